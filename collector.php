@@ -26,36 +26,52 @@ $logFile   = $config['log_file'];
 $staleAfter = $config['ship_stale_after'];
 $daemon    = in_array('--daemon', $argv);
 
-// --- AIS ship type code mapping ---
-$shipTypeMap = [
-    30 => 'fishing',
-    31 => 'tug', 32 => 'tug',
-    33 => 'tug',    // dredging (close enough)
-    34 => 'tug',    // diving ops
-    35 => 'tug',    // military (map to generic)
-    36 => 'tug',    // sailing
-    37 => 'tug',    // pleasure craft
-    40 => 'fishing', // HSC
-    50 => 'tug',    // pilot vessel
-    51 => 'tug',    // SAR
-    52 => 'tug',
-    60 => 'passenger', 61 => 'passenger', 62 => 'passenger',
-    63 => 'passenger', 64 => 'passenger', 65 => 'passenger',
-    66 => 'passenger', 67 => 'passenger', 68 => 'passenger', 69 => 'passenger',
-    70 => 'cargo', 71 => 'cargo', 72 => 'cargo',
-    73 => 'cargo', 74 => 'cargo', 75 => 'cargo',
-    76 => 'cargo', 77 => 'cargo', 78 => 'cargo', 79 => 'cargo',
-    80 => 'tanker', 81 => 'tanker', 82 => 'tanker',
-    83 => 'tanker', 84 => 'tanker', 85 => 'tanker',
-    86 => 'tanker', 87 => 'tanker', 88 => 'tanker', 89 => 'tanker',
+// --- AIS ship type code mapping (same taxonomy as public/js/shiptypes.js) ---
+$shipTypeCodes = [
+    30 => 'fishing', 31 => 'towing', 32 => 'towing', 33 => 'dredging', 34 => 'diving',
+    35 => 'military', 36 => 'sailing', 37 => 'pleasure',
+    50 => 'pilot', 51 => 'sar', 52 => 'tug', 53 => 'tender', 54 => 'antiPollution',
+    55 => 'law', 56 => 'special', 57 => 'special', 58 => 'medical', 59 => 'special',
 ];
 
+// Whole decades: 2x wing in ground, 4x high-speed craft, 6x passenger, ...
+$shipTypeDecades = [2 => 'wig', 4 => 'hsc', 6 => 'passenger', 7 => 'cargo', 8 => 'tanker', 9 => 'other'];
+
 $shipTypeNames = [
-    'cargo' => 'Cargo', 'tanker' => 'Tanker', 'container' => 'Container',
-    'ferry' => 'Ferry', 'fishing' => 'Fishing', 'passenger' => 'Passenger',
-    'tug' => 'Tug',
+    'cargo' => 'Cargo', 'container' => 'Container', 'tanker' => 'Tanker',
+    'passenger' => 'Passenger', 'ferry' => 'Ferry', 'hsc' => 'High-Speed Craft',
+    'fishing' => 'Fishing', 'tug' => 'Tug', 'towing' => 'Towing', 'dredging' => 'Dredging',
+    'diving' => 'Diving Ops', 'pilot' => 'Pilot', 'sar' => 'Search & Rescue',
+    'tender' => 'Port Tender', 'antiPollution' => 'Anti-Pollution', 'law' => 'Law Enforcement',
+    'medical' => 'Medical', 'military' => 'Military', 'sailing' => 'Sailing',
+    'pleasure' => 'Pleasure Craft', 'wig' => 'Wing in Ground', 'special' => 'Special Craft',
+    'other' => 'Other', 'unknown' => 'Unknown',
 ];
 
+function categorizeShipType(int $code): string {
+    global $shipTypeCodes, $shipTypeDecades;
+    if ($code <= 0 || $code > 99) return 'unknown';
+    return $shipTypeCodes[$code] ?? $shipTypeDecades[intdiv($code, 10)] ?? 'unknown';
+}
+
+/**
+ * Set type/typeName from the type code, treating passenger ships bound
+ * for a ferry port as ferries.
+ */
+function applyShipType(array &$ship): void {
+    global $shipTypeNames;
+    $type = categorizeShipType((int)($ship['typeCode'] ?? 0));
+
+    $dest = strtoupper($ship['destination'] ?? '');
+    if ($type === 'passenger' && (str_contains($dest, 'DOVER') || str_contains($dest, 'CALAIS') ||
+        str_contains($dest, 'DUNKERQUE') || str_contains($dest, 'DUNKIRK'))) {
+        $type = 'ferry';
+    }
+
+    $ship['type'] = $type;
+    $ship['typeName'] = $shipTypeNames[$type];
+}
+
 // --- Ship position cache (in-memory) ---
 $ships = [];
 
@@ -215,7 +231,7 @@ function wsPong(mixed $socket, string $data): void {
 // --- AIS message processing ---
 
 function processMessage(array $msg): void {
-    global $ships, $shipTypeMap, $shipTypeNames;
+    global $ships;
 
     $messageType = $msg['MessageType'] ?? '';
     $meta = $msg['MetaData'] ?? [];
@@ -231,8 +247,14 @@ function processMessage(array $msg): void {
         $ships[$mmsi] = [
             'mmsi' => (int)$mmsi,
             'name' => '',
-            'type' => 'cargo',
-            'typeName' => 'Cargo',
+            'type' => 'unknown',
+            'typeName' => 'Unknown',
+            'typeCode' => null,
+            'aisClass' => null,
+            'navStatus' => null,
+            'destination' => null,
+            'draught' => null,
+            'beam' => null,
             'lat' => 0,
             'lon' => 0,
             'speed' => 0,
@@ -256,10 +278,10 @@ function processMessage(array $msg): void {
         $ship['lon'] = round((float)$lon, 6);
     }
 
-    // Process based on message type
-    if ($messageType === 'PositionReport') {
-        $report = $msg['Message']['PositionReport'] ?? [];
+    $report = $msg['Message'][$messageType] ?? [];
 
+    // Position reports (Class A and B)
+    if (in_array($messageType, ['PositionReport', 'StandardClassBPositionReport', 'ExtendedClassBPositionReport'], true)) {
         if (isset($report['Latitude']) && $report['Latitude'] != 0) {
             $ship['lat'] = round((float)$report['Latitude'], 6);
         }
@@ -274,67 +296,44 @@ function processMessage(array $msg): void {
         } elseif (isset($report['Cog']) && $report['Cog'] < 360) {
             $ship['heading'] = round((float)$report['Cog']);
         }
+        $ship['aisClass'] = $messageType === 'PositionReport' ? 'A' : 'B';
+    }
 
-    } elseif ($messageType === 'StandardClassBPositionReport' || $messageType === 'ExtendedClassBPositionReport') {
-        $key = $messageType;
-        $report = $msg['Message'][$key] ?? [];
+    if ($messageType === 'PositionReport' && isset($report['NavigationalStatus'])) {
+        $ship['navStatus'] = (int)$report['NavigationalStatus'];
+    }
 
-        if (isset($report['Latitude']) && $report['Latitude'] != 0) {
-            $ship['lat'] = round((float)$report['Latitude'], 6);
+    // Static data: Class A ShipStaticData, and Extended Class B reports
+    if ($messageType === 'ShipStaticData' || $messageType === 'ExtendedClassBPositionReport') {
+        if (!empty($report['Name'])) {
+            $ship['name'] = trim($report['Name']);
         }
-        if (isset($report['Longitude']) && $report['Longitude'] != 0) {
-            $ship['lon'] = round((float)$report['Longitude'], 6);
+        if (isset($report['Type'])) {
+            $ship['typeCode'] = (int)$report['Type'];
         }
-        if (isset($report['Sog'])) {
-            $ship['speed'] = round((float)$report['Sog'], 1);
+
+        // Length from dimensions A+B, beam from C+D
+        $dim = $report['Dimension'] ?? [];
+        $length = (int)($dim['A'] ?? 0) + (int)($dim['B'] ?? 0);
+        $beam = (int)($dim['C'] ?? 0) + (int)($dim['D'] ?? 0);
+        if ($length > 0) {
+            $ship['length'] = $length;
         }
-        if (isset($report['TrueHeading']) && $report['TrueHeading'] < 360) {
-            $ship['heading'] = (int)$report['TrueHeading'];
-        } elseif (isset($report['Cog']) && $report['Cog'] < 360) {
-            $ship['heading'] = round((float)$report['Cog']);
+        if ($beam > 0) {
+            $ship['beam'] = $beam;
         }
 
-        // Extended Class B has ship name and type
-        if ($messageType === 'ExtendedClassBPositionReport') {
-            if (!empty($report['Name'])) {
-                $ship['name'] = trim($report['Name']);
+        if ($messageType === 'ShipStaticData') {
+            $ship['aisClass'] = 'A';
+            if (trim($report['Destination'] ?? '') !== '') {
+                $ship['destination'] = trim($report['Destination']);
             }
-            if (isset($report['Type'])) {
-                $typeCode = (int)$report['Type'];
-                $ship['type'] = $shipTypeMap[$typeCode] ?? 'cargo';
-                $ship['typeName'] = $shipTypeNames[$ship['type']] ?? 'Unknown';
+            if (!empty($report['MaximumStaticDraught'])) {
+                $ship['draught'] = (float)$report['MaximumStaticDraught'];
             }
         }
 
-    } elseif ($messageType === 'ShipStaticData') {
-        $static = $msg['Message']['ShipStaticData'] ?? [];
-
-        if (!empty($static['Name'])) {
-            $ship['name'] = trim($static['Name']);
-        }
-        if (isset($static['Type'])) {
-            $typeCode = (int)$static['Type'];
-            $ship['type'] = $shipTypeMap[$typeCode] ?? 'cargo';
-            $ship['typeName'] = $shipTypeNames[$ship['type']] ?? 'Unknown';
-        }
-
-        // Calculate length from dimensions A+B
-        $dim = $static['Dimension'] ?? [];
-        $a = (int)($dim['A'] ?? 0);
-        $b = (int)($dim['B'] ?? 0);
-        if ($a + $b > 0) {
-            $ship['length'] = $a + $b;
-        }
-
-        // Detect ferries by destination
-        $dest = strtoupper(trim($static['Destination'] ?? ''));
-        if (str_contains($dest, 'DOVER') || str_contains($dest, 'CALAIS') ||
-            str_contains($dest, 'DUNKERQUE') || str_contains($dest, 'DUNKIRK')) {
-            if ($ship['type'] === 'passenger') {
-                $ship['type'] = 'ferry';
-                $ship['typeName'] = 'Ferry';
-            }
-        }
+        applyShipType($ship);
     }
 }
 
@@ -369,11 +368,18 @@ function writeCache(): void {
             'name'     => $ship['name'] ?: ('MMSI ' . $ship['mmsi']),
             'type'     => $ship['type'],
             'typeName' => $ship['typeName'],
+            'typeCode' => $ship['typeCode'],
+            'aisClass' => $ship['aisClass'],
+            'navStatus' => $ship['navStatus'],
+            'destination' => $ship['destination'],
+            'draught'  => $ship['draught'],
+            'beam'     => $ship['beam'],
             'lat'      => $ship['lat'],
             'lon'      => $ship['lon'],
             'speed'    => $ship['speed'],
             'heading'  => $ship['heading'],
             'length'   => $ship['length'],
+            'lastUpdate' => $ship['lastUpdate'],
         ];
     }
 
@@ -10,9 +10,13 @@ return [
     // AISstream.io API key (get yours at https://aisstream.io)
     'aisstream_api_key' => 'YOUR_API_KEY_HERE',
 
-    // Data source: 'live' or 'simulated'
+    // Data source: 'live', or 'simulated' to have every client run its own simulation
     'data_source' => 'live',
 
+    // Region preset the client should load map data for
+    // (public/data/regions/<region>.geojson); keep bbox/center in step with it
+    'region' => 'dover',
+
     // Dover Strait bounding box
     'bbox' => [
         'lat_min' => 50.7,
@@ -0,0 +1,198 @@
+/**
+ * Dover Radar Synth - AISstream WebSocket Source
+ *
+ * Streams AIS straight from AISstream.io (or a compatible server, e.g.
+ * tools/mock-aisstream.js) into DoverShips, without the PHP collector:
+ * - Subscribes to PositionReport, ShipStaticData and Class B reports
+ *   for the current region's bounding box
+ * - Merges messages by MMSI, expiring ships that go quiet
+ * - Reconnects with backoff, and resubscribes when the region changes
+ */
+const DoverAisStream = (() => {
+    const DEFAULT_URL = 'wss://stream.aisstream.io/v0/stream';
+    const MESSAGE_TYPES = [
+        'PositionReport',
+        'ShipStaticData',
+        'StandardClassBPositionReport',
+        'ExtendedClassBPositionReport',
+    ];
+    const EMIT_INTERVAL_MS = 2000;
+    const STALE_AFTER_MS = 300000;
+    const RECONNECT_MIN_MS = 5000;
+    const RECONNECT_MAX_MS = 60000;
+
+    function subscription(apiKey, box) {
+        return {
+            APIKey: apiKey,
+            BoundingBoxes: [[[box.latMin, box.lonMin], [box.latMax, box.lonMax]]],
+            FiltersShipMMSI: [],
+            FilterMessageTypes: MESSAGE_TYPES,
+        };
+    }
+
+    const round = (value, digits) => Number(Number(value).toFixed(digits));
+
+    function dimensionFields(dim = {}) {
+        const fields = {};
+        const length = (Number(dim.A) || 0) + (Number(dim.B) || 0);
+        const beam = (Number(dim.C) || 0) + (Number(dim.D) || 0);
+        if (length > 0) fields.length = length;
+        if (beam > 0) fields.beam = beam;
+        return fields;
+    }
+
+    /**
+     * Position, speed and heading from a (Class A or B) position report.
+     */
+    function motionFields(report) {
+        const fields = {};
+        if (report.Latitude) fields.lat = round(report.Latitude, 6);
+        if (report.Longitude) fields.lon = round(report.Longitude, 6);
+        if (report.Sog !== undefined) fields.speed = round(report.Sog, 1);
+        // 511 = heading not available; fall back to course over ground
+        if (report.TrueHeading !== undefined && report.TrueHeading < 360) {
+            fields.heading = Math.round(report.TrueHeading);
+        } else if (report.Cog !== undefined && report.Cog < 360) {
+            fields.heading = Math.round(report.Cog);
+        }
+        return fields;
+    }
+
+    /**
+     * Apply one AISstream message to a ship tracker (see
+     * DoverShips.createShipTracker). Same rules as collector.php.
+     */
+    function processMessage(tracker, msg) {
+        const meta = msg.MetaData || {};
+        const mmsi = Number(meta.MMSI);
+        if (!mmsi) return null;
+
+        const fields = {};
+        if (meta.ShipName && meta.ShipName.trim()) fields.name = meta.ShipName.trim();
+        if (meta.latitude && meta.longitude) {
+            fields.lat = round(meta.latitude, 6);
+            fields.lon = round(meta.longitude, 6);
+        }
+
+        const type = msg.MessageType;
+        const body = (msg.Message || {})[type] || {};
+
+        if (type === 'PositionReport') {
+            Object.assign(fields, motionFields(body), { aisClass: 'A' });
+            if (body.NavigationalStatus !== undefined) fields.navStatus = Number(body.NavigationalStatus);
+        } else if (type === 'StandardClassBPositionReport') {
+            Object.assign(fields, motionFields(body), { aisClass: 'B' });
+        } else if (type === 'ExtendedClassBPositionReport') {
+            Object.assign(fields, motionFields(body), dimensionFields(body.Dimension), { aisClass: 'B' });
+            if (body.Name && body.Name.trim()) fields.name = body.Name.trim();
+            if (body.Type !== undefined) fields.typeCode = Number(body.Type);
+        } else if (type === 'ShipStaticData') {
+            Object.assign(fields, dimensionFields(body.Dimension), { aisClass: 'A' });
+            if (body.Name && body.Name.trim()) fields.name = body.Name.trim();
+            if (body.Type !== undefined) fields.typeCode = Number(body.Type);
+            if (body.Destination && body.Destination.trim()) fields.destination = body.Destination.trim();
+            if (body.MaximumStaticDraught) fields.draught = Number(body.MaximumStaticDraught);
+        }
+
+        return tracker.update(mmsi, fields);
+    }
+
+    /**
+     * Source factory for DoverShips.useSource('aisstream', { apiKey, url }).
+     */
+    function createSource({ apiKey = '', url = DEFAULT_URL } = {}) {
+        const tracker = DoverShips.createShipTracker({ staleAfterMs: STALE_AFTER_MS });
+        let feed = null;
+        let socket = null;
+        let running = false;
+        let emitTimer = null;
+        let reconnectTimer = null;
+        let reconnectDelay = RECONNECT_MIN_MS;
+        let messageCount = 0;
+
+        function emit() {
+            feed.emit(tracker.snapshot(feed.getBBox()), { source: 'live' });
+        }
+
+        function subscribe() {
+            socket.send(JSON.stringify(subscription(apiKey, feed.getBBox())));
+        }
+
+        function connect() {
+            feed.setStatus(`connecting to ${new URL(url).host}`);
+            try {
+                socket = new WebSocket(url);
+            } catch (e) {
+                feed.fail(e);
+                return;
+            }
+
+            socket.addEventListener('open', () => {
+                reconnectDelay = RECONNECT_MIN_MS;
+                subscribe();
+                feed.setStatus('connected');
+            });
+
+            socket.addEventListener('message', async event => {
+                const text = typeof event.data === 'string' ? event.data : await event.data.text();
+                let msg;
+                try {
+                    msg = JSON.parse(text);
+                } catch (e) {
+                    return;
+                }
+                // AISstream reports a bad key or subscription as { error }
+                if (msg.error) {
+                    feed.setStatus(`error: ${msg.error}`);
+                    return;
+                }
+                if (processMessage(tracker, msg)) messageCount++;
+            });
+
+            socket.addEventListener('close', () => {
+                socket = null;
+                if (!running) return;
+                feed.setStatus(`disconnected, retrying in ${reconnectDelay / 1000}s`);
+                reconnectTimer = setTimeout(connect, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+            });
+        }
+
+        return {
+            start(f) {
+                feed = f;
+                running = true;
+                if (!apiKey) {
+                    feed.fail(new Error('AISstream needs an API key'));
+                    return;
+                }
+                emit();
+                emitTimer = setInterval(emit, EMIT_INTERVAL_MS);
+                connect();
+            },
+            stop() {
+                running = false;
+                clearInterval(emitTimer);
+                clearTimeout(reconnectTimer);
+                if (socket) socket.close();
+                socket = null;
+            },
+            regionChanged() {
+                tracker.clear();
+                if (socket && socket.readyState === WebSocket.OPEN) subscribe();
+                emit();
+            },
+            getMessageCount: () => messageCount,
+        };
+    }
+
+    DoverShips.registerSource('aisstream', createSource);
+
+    return {
+        createSource,
+        processMessage,
+        subscription,
+        DEFAULT_URL,
+        MESSAGE_TYPES,
+    };
+})();
@@ -0,0 +1,146 @@
+/**
+ * Dover Radar Synth - Ambient Modulation
+ *
+ * Turns the traffic into slow-moving statistics for the drone and ocean
+ * layers (DoverAudio.setAmbientState):
+ * - density: ships in the box, 0–1
+ * - speed: mean speed of the ships under way, 0–1
+ * - churn: arrivals and departures per minute, 0–1
+ * - harmony: which kind of traffic dominates (commercial, passenger, small craft)
+ *
+ * Everything is smoothed over minutes, and the harmony only moves after
+ * a new mix has led for a while, so the piece drifts over an evening
+ * rather than twitching with every snapshot.
+ */
+const DoverAmbient = (() => {
+    const DENSITY_FULL = 40;        // ships for density 1
+    const SPEED_FULL = 20;          // knots for speed 1
+    const CHURN_FULL = 4;           // arrivals + departures per minute for churn 1
+    const HARMONY_MARGIN = 0.1;     // a new mix must lead by this share…
+    const HARMONY_HOLD_MS = 5 * 60000; // …and the harmony must have held this long
+
+    // Category → harmony group; anything else counts as small craft
+    const HARMONY_GROUPS = {
+        cargo: 'commercial', container: 'commercial', tanker: 'commercial',
+        passenger: 'passenger', ferry: 'passenger', hsc: 'passenger',
+    };
+
+    let smoothingMinutes = 5;
+    let state = null;               // smoothed values, null until the first snapshot
+    let lastUpdate = 0;
+    let churnCount = 0;             // arrivals/departures since the last snapshot
+    let harmony = 'commercial';
+    let harmonyChangedAt = 0;
+    const listeners = new Set();
+
+    function measure(ships, elapsedMin) {
+        const { ships: inBox, count, meanSpeed } = DoverShips.getTrafficStats(ships);
+
+        const mix = { commercial: 0, passenger: 0, small: 0 };
+        for (const ship of inBox) mix[HARMONY_GROUPS[ship.type] || 'small']++;
+        for (const key of Object.keys(mix)) mix[key] = count ? mix[key] / count : 0;
+
+        return {
+            count,
+            meanSpeed,
+            churnPerMin: elapsedMin > 0 ? churnCount / elapsedMin : 0,
+            mix,
+        };
+    }
+
+    /**
+     * Exponential smoothing with a time constant of `smoothingMinutes`.
+     */
+    function smooth(previous, next, elapsedMin) {
+        const k = 1 - Math.exp(-elapsedMin / smoothingMinutes);
+        const blend = (a, b) => a + (b - a) * k;
+        return {
+            count: blend(previous.count, next.count),
+            meanSpeed: blend(previous.meanSpeed, next.meanSpeed),
+            churnPerMin: blend(previous.churnPerMin, next.churnPerMin),
+            mix: {
+                commercial: blend(previous.mix.commercial, next.mix.commercial),
+                passenger: blend(previous.mix.passenger, next.mix.passenger),
+                small: blend(previous.mix.small, next.mix.small),
+            },
+        };
+    }
+
+    function updateHarmony(now) {
+        const [leader, share] = Object.entries(state.mix).sort((a, b) => b[1] - a[1])[0];
+        if (leader === harmony || now - harmonyChangedAt < HARMONY_HOLD_MS) return;
+        if (share - state.mix[harmony] < HARMONY_MARGIN) return;
+        harmony = leader;
+        harmonyChangedAt = now;
+    }
+
+    function onSnapshot(snapshot) {
+        const now = Date.now();
+        const elapsedMin = lastUpdate ? (now - lastUpdate) / 60000 : 0;
+        const measured = measure(snapshot.ships, elapsedMin);
+        churnCount = 0;
+        lastUpdate = now;
+
+        if (!state) {
+            // Start from the traffic as it is, not from silence
+            state = { ...measured, churnPerMin: 0 };
+            harmony = Object.entries(state.mix).sort((a, b) => b[1] - a[1])[0][0];
+            harmonyChangedAt = now;
+        } else {
+            state = smooth(state, measured, elapsedMin);
+            updateHarmony(now);
+        }
+
+        const ambient = getState();
+        DoverAudio.setAmbientState(ambient);
+        for (const fn of listeners) fn(ambient);
+    }
+
+    /**
+     * The current smoothed state: normalised values for DoverAudio plus
+     * the raw figures behind them.
+     */
+    function getState() {
+        if (!state) return null;
+        return {
+            density: Math.min(1, state.count / DENSITY_FULL),
+            speed: Math.min(1, state.meanSpeed / SPEED_FULL),
+            churn: Math.min(1, state.churnPerMin / CHURN_FULL),
+            harmony,
+            count: state.count,
+            meanSpeed: state.meanSpeed,
+            churnPerMin: state.churnPerMin,
+            mix: { ...state.mix },
+        };
+    }
+
+    function init() {
+        DoverShips.onSnapshot(onSnapshot);
+        DoverShips.onEvent(event => {
+            if (event.type === 'arrival' || event.type === 'departure') churnCount++;
+        });
+    }
+
+    /**
+     * Time constant of the smoothing, in minutes.
+     */
+    function setSmoothing(minutes) {
+        smoothingMinutes = Math.max(0.1, minutes);
+    }
+
+    /**
+     * Subscribe to state updates. Returns an unsubscribe function.
+     */
+    function onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        init,
+        getState,
+        setSmoothing,
+        getSmoothing: () => smoothingMinutes,
+        onChange,
+    };
+})();
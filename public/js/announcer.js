@@ -0,0 +1,70 @@
+/**
+ * Dover Radar Synth - Screen Reader Announcements
+ *
+ * Speaks the piece through an aria-live region: the names of vessels as
+ * they sound, gathered up and read out every couple of seconds so a
+ * busy strait doesn't drown the reader, plus short messages for
+ * keyboard actions (say).
+ */
+const DoverAnnouncer = (() => {
+    const VESSEL_INTERVAL_MS = 2500;
+    const MAX_NAMES = 4;            // per announcement; the rest are counted
+
+    let region = null;
+    let enabled = true;
+    let pending = [];               // mmsi heard since the last announcement
+    let timer = null;
+
+    /**
+     * Announce into `element` (an aria-live region) and start listening
+     * for notes.
+     */
+    function init(element) {
+        region = element;
+        DoverAudio.onNote(note => {
+            if (note.kind !== 'ship' || !enabled) return;
+            if (!pending.includes(note.mmsi)) pending.push(note.mmsi);
+            if (timer === null) timer = setTimeout(flush, VESSEL_INTERVAL_MS);
+        });
+    }
+
+    function flush() {
+        timer = null;
+        const heard = pending;
+        pending = [];
+        if (!enabled) return;
+
+        const names = [];
+        for (const mmsi of heard) {
+            const ship = DoverShips.getReportedShips().find(s => s.mmsi === mmsi);
+            if (ship && ship.name) names.push(ship.name);
+        }
+        if (!names.length) return;
+        const extra = names.length - MAX_NAMES;
+        say(names.slice(0, MAX_NAMES).join(', ') + (extra > 0 ? ` and ${extra} more` : ''));
+    }
+
+    /**
+     * Read out `text` now.
+     */
+    function say(text) {
+        if (!region) return;
+        // Clearing first makes a repeated message count as a change
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    }
+
+    function setEnabled(on) {
+        enabled = Boolean(on);
+        if (!enabled) pending = [];
+    }
+
+    return {
+        init,
+        say,
+        setEnabled,
+        isEnabled: () => enabled,
+    };
+})();
@@ -2,24 +2,141 @@
  * Dover Radar Synth - Audio Engine
  *
  * Tone.js-based generative audio matching art.lol/boats style:
- * - Pentatonic notes triggered by radar sweep
- * - Ambient drone layer
- * - Ocean noise layer
+ * - Scale-mapped notes triggered by radar sweep (see scales.js)
+ * - Per-ship-type voices, speed-shaped attack, bearing-based stereo pan
+ * - Short gestures for traffic events (arrivals, turns, close quarters, ...)
+ * - Ambient drone layer, its chord and filter following the traffic
+ * - Ocean noise layer, its swell following traffic churn
  * - Long reverb tails, filter cutoff control
+ * - Effect buses (tempo-synced ping-pong delay, chorus, shimmer reverb)
+ *   with a send from each layer (main, pad, drone, ocean), then a tape
+ *   saturation stage and a limiter on the master
+ * - Optional musical clock: sweep hits quantized to Tone.Transport with
+ *   swing, at a set tempo or following external MIDI clock
+ * - Every note is also announced (onNote) for MIDI/OSC output; the
+ *   internal sound can be muted while those keep playing
+ * - A mixer strip per ring: mute, solo, volume, pan, note and synth
+ *   (setRingMix, getMixer, onMixerChange)
  */
 const DoverAudio = (() => {
     let started = false;
 
-    // Pentatonic scale - 5 rings from center outward
-    // Higher pitch in center, lower at edges
-    const RING_NOTES = ['C5', 'G4', 'Eb4', 'Bb3', 'C3'];
-    const RING_COUNT = RING_NOTES.length;
-    const ringEnabled = new Array(RING_COUNT).fill(true);
+    const MIN_RINGS = 2;
+    const MAX_RINGS = 12;
+
+    // Voices are monophonic synths behind their own panner, handed out
+    // round-robin so every note keeps its own timbre and stereo position
+    const MAIN_VOICES = 16;
+    const PAD_VOICES = 8;
+    const PAD_LEVEL = -8;
+
+    /**
+     * Ship type → voice. Edit freely; types without an entry use the voice
+     * their DoverShipTypes category names, then `default`.
+     * attack/decay/sustain are envelope values, `release` multiplies the
+     * Note Release setting, `level` is in dB, `pad` lets big ships add the pad.
+     */
+    const SHIP_VOICES = {
+        default:   { oscillator: 'sine',     attack: 0.05, decay: 0.3,  sustain: 0.4,  release: 1.0, level: 0,  pad: true },
+        cargo:     { oscillator: 'sine',     attack: 0.05, decay: 0.3,  sustain: 0.4,  release: 1.0, level: 0,  pad: true },
+        container: { oscillator: 'sine',     attack: 0.05, decay: 0.3,  sustain: 0.4,  release: 1.0, level: 0,  pad: true },
+        tanker:    { oscillator: 'sine',     attack: 0.15, decay: 0.5,  sustain: 0.5,  release: 1.2, level: 0,  pad: true },
+        passenger: { oscillator: 'triangle', attack: 0.04, decay: 0.3,  sustain: 0.35, release: 0.9, level: -2, pad: true },
+        ferry:     { oscillator: 'triangle', attack: 0.03, decay: 0.25, sustain: 0.3,  release: 0.8, level: -2, pad: true },
+        fishing:   { oscillator: 'fmsine',   attack: 0.01, decay: 0.2,  sustain: 0.2,  release: 0.5, level: -4, pad: true },
+        tug:       { oscillator: 'amsine',   attack: 0.02, decay: 0.2,  sustain: 0.25, release: 0.6, level: -4, pad: true },
+        military:  { oscillator: 'square',   attack: 0.02, decay: 0.15, sustain: 0.2,  release: 0.5, level: -10, pad: true },
+        leisure:   { oscillator: 'sine',     attack: 0.08, decay: 0.4,  sustain: 0.2,  release: 1.4, level: -6, pad: true },
+    };
+
+    // Pad layer shared by all big ships — triangle, softer
+    const PAD_VOICE = { oscillator: 'triangle', attack: 0.2, decay: 0.5, sustain: 0.3, release: 1.5 };
+
+    /**
+     * Traffic event → gesture: a voice plus `steps`, semitone offsets from
+     * the ship's ring note played `spacing` seconds apart. `release` here
+     * is in seconds (not scaled by Note Release), `level` in dB.
+     */
+    const EVENT_VOICES = 6;
+    const EVENT_GESTURES = {
+        arrival:       { oscillator: 'triangle', attack: 0.02, decay: 0.2,  sustain: 0.2, release: 1.5, level: -6,  steps: [0, 7, 12],     spacing: 0.12 },
+        departure:     { oscillator: 'sine',     attack: 0.05, decay: 0.3,  sustain: 0.2, release: 3,   level: -6,  steps: [12, 7, 0],     spacing: 0.18 },
+        anchoring:     { oscillator: 'fmsine',   attack: 0.01, decay: 0.6,  sustain: 0.1, release: 4,   level: -8,  steps: [0, -12],       spacing: 0.5 },
+        turn:          { oscillator: 'amsine',   attack: 0.02, decay: 0.15, sustain: 0.2, release: 0.8, level: -10, steps: [0, 2],         spacing: 0.07 },
+        ferryCrossing: { oscillator: 'square',   attack: 0.04, decay: 0.2,  sustain: 0.5, release: 1.2, level: -18, steps: [-12, -12, -5], spacing: 0.22 },
+        closeQuarters: { oscillator: 'sawtooth', attack: 0.01, decay: 0.1,  sustain: 0.3, release: 0.6, level: -18, steps: [0, 1, 0, 1, 0], spacing: 0.08 },
+    };
+    const MIN_GESTURE_GAP_S = 0.3;  // events arriving together are staggered this far apart…
+    const MAX_GESTURE_DELAY_S = 3;  // …up to about one snapshot's worth; later ones are dropped
+
+    /**
+     * Drone chords, as semitones from the scale root in octave 2, chosen
+     * by the dominant traffic (DoverAmbient harmony). The third note is
+     * a quieter colour tone.
+     */
+    const DRONE_CHORDS = {
+        commercial: [0, -5, 12],    // open fifth and octave
+        passenger:  [0, -5, 16],    // major tenth
+        small:      [0, -5, 14],    // ninth
+    };
+    const DRONE_COLOR_LEVEL = -8;
+    const DRONE_FILTER_HZ = 400;       // at middling density; ±1 octave at full depth
+    const DRONE_MAX_DETUNE = 12;       // cents of beating at full mean speed
+    const OCEAN_RATE_HZ = 0.08;        // swell rate at middling churn
+    const OCEAN_BASE_HZ = 150;
+    const AMBIENT_RAMP_S = 8;          // glide between updates (the smoothing is upstream)
+    const CHORD_GLIDE_S = 30;
+
+    // Musical clock: 'free' plays hits the moment the sweep finds them,
+    // 'tempo' and 'midi' run the Transport and quantize hits to the grid
+    const CLOCK_SOURCES = ['free', 'tempo', 'midi'];
+    const QUANTIZE_GRIDS = {
+        off:   'Off',
+        '8n':  '1/8',
+        '16n': '1/16',
+        '8t':  '1/8 triplet',
+        '16t': '1/16 triplet',
+    };
+    // Effect buses, the layers that send to them, and the delay's
+    // Transport-relative times (Tone notation)
+    const EFFECT_BUSES = ['delay', 'chorus', 'shimmer'];
+    const SEND_LAYERS = ['main', 'pad', 'drone', 'ocean'];
+    const DELAY_TIMES = {
+        '4n':  '1/4',
+        '8n.': 'Dotted 1/8',
+        '8n':  '1/8',
+        '8t':  '1/8 triplet',
+        '16n': '1/16',
+    };
+    const SHIMMER_INTERVAL = 12;        // semitones the shimmer climbs per pass
+    const TAPE_ROLLOFF_HZ = 9000;       // saturated signal loses its top like tape
+
+    const MIDI_CLOCK_PPQ = 24;          // clock messages per quarter note
+    const MIDI_CLOCK_MAX_DRIFT = 1 / 8; // beats off before the Transport is moved
+
+    // Speed → attack: slow ships swell in, fast ships strike.
+    // At `pivotSpeed` the voice's own attack is used unchanged.
+    const SPEED_ARTICULATION = { pivotSpeed: 12.5, maxSpeed: 25, range: 2 };
+
+    // Only this ship sounds while set (detail panel "follow")
+    let soloShip = null;
+
+    // Internal sound off (external outputs only), and who hears about notes
+    let internalMuted = false;
+    const noteListeners = new Set();
 
     // Audio nodes
-    let mainSynth, padSynth;
+    let mainVoices = [], padVoices = [], eventVoices = [];
+    let nextMainVoice = 0, nextPadVoice = 0, nextEventVoice = 0;
+    let nextGestureAt = 0;              // earliest time the next gesture may start
+    let eventGain;
     let reverb, filter, compressor, masterGain;
-    let droneGain, droneOsc1, droneOsc2, droneFilter;
+    let mainBus, padBus;
+    let delay, chorus, shimmerReverb, shimmerPitch, shimmerFeedback;
+    let sends = {};                     // layer -> bus -> Tone.Gain
+    let tapeInput, tapeDrive, tapeTone, tape, limiter;
+    let droneGain, droneOsc1, droneOsc2, droneOsc3, droneColorGain, droneFilter;
+    let ambientState = { density: 0.5, speed: 0, churn: 0.5, harmony: 'commercial' };
     let oceanGain, oceanNoise, oceanFilter;
 
     // Current settings
@@ -31,15 +148,102 @@ const DoverAudio = (() => {
         masterVolume: -15,
         droneVolume: -39,
         oceanVolume: -30,
+        eventVolume: -6,
+        ambientDepth: 1,
+        panWidth: 0,
+        speedArticulation: 0,
+        scaleRoot: 'C',
+        scaleMode: 'dover',
+        scaleOctave: 5,
+        scaleSpread: 2,
+        ringCount: 5,
+        clock: 'free',
+        bpm: 96,
+        beatsPerBar: 4,
+        quantize: '16n',
+        swing: 0,
+        delayTime: '8n.',
+        delayFeedback: 0.35,
+        chorusRate: 1.5,
+        chorusDepth: 0.6,
+        shimmerDecay: 12,
+        shimmerFeedback: 0.4,
+        tapeDrive: 0.3,
+        tapeMix: 0,
+        limiterThreshold: -1,
+        // Send level (0–1) from each layer to each effect bus
+        sends: Object.fromEntries(SEND_LAYERS.map(layer => [layer, { delay: 0, chorus: 0, shimmer: 0 }])),
     };
 
+    // External MIDI clock state
+    let midiClockCount = 0;             // clock messages since start/sync
+    let midiClockBaseTicks = 0;         // Transport ticks at that point
+    let midiBeatStamp = 0;              // ms timestamp of the last whole beat
+    const tempoListeners = new Set();
+
+    // One note per ring, from center outward
+    // Higher pitch in center, lower at edges
+    let customNotes = [];
+    let ringNotes = [];
+    const ringEnabled = [];
+
+    /**
+     * Ring mixer strips, innermost ring first. `volume` is dB on top of
+     * the voice level; `pan` (-1..1) replaces the bearing pan, `note` (a
+     * name or Hz) the scale's note and `synth` (a SHIP_VOICES name) each
+     * ship's own voice, or null to keep them. Mute is ringEnabled.
+     */
+    const STRIP_DEFAULTS = { solo: false, volume: 0, pan: null, note: null, synth: null };
+    const MIN_RING_VOLUME = -40;
+    const MAX_RING_VOLUME = 6;
+    const ringMix = [];
+    const mixerListeners = new Set();
+
+    function rebuildRingNotes() {
+        ringNotes = DoverScales.buildRingNotes({
+            root: settings.scaleRoot,
+            mode: settings.scaleMode,
+            ringCount: settings.ringCount,
+            octave: settings.scaleOctave,
+            spread: settings.scaleSpread,
+            customNotes,
+        });
+
+        // Resize in place so callers holding the array stay in sync
+        const previous = ringEnabled.length;
+        ringEnabled.length = settings.ringCount;
+        ringEnabled.fill(true, Math.min(previous, settings.ringCount));
+        ringMix.length = Math.min(ringMix.length, settings.ringCount);
+        while (ringMix.length < settings.ringCount) ringMix.push({ ...STRIP_DEFAULTS });
+        notifyMixer(null);
+    }
+
+    /**
+     * The note ring `index` plays: its strip's note, else the scale's.
+     */
+    function ringNote(index) {
+        const strip = ringMix[index];
+        return strip && strip.note !== null ? strip.note : ringNotes[index];
+    }
+
+    rebuildRingNotes();
+
     function init() {
-        // Master chain: filter -> compressor -> reverb -> gain -> destination
-        masterGain = new Tone.Gain(Tone.dbToGain(settings.masterVolume)).toDestination();
+        // Master chain: filter -> compressor -> reverb -> tape -> gain -> limiter -> destination.
+        // Drone, ocean and the effect returns join at the tape stage.
+        limiter = new Tone.Limiter(settings.limiterThreshold).toDestination();
+        masterGain = new Tone.Gain(internalMuted ? 0 : Tone.dbToGain(settings.masterVolume)).connect(limiter);
+
+        // Tape: the dry signal crossfaded with a driven, darkened copy
+        tape = new Tone.CrossFade(settings.tapeMix).connect(masterGain);
+        tapeTone = new Tone.Filter({ frequency: TAPE_ROLLOFF_HZ, type: 'lowpass', rolloff: -12 }).connect(tape.b);
+        tapeDrive = new Tone.Distortion({ distortion: settings.tapeDrive, oversample: '2x' }).connect(tapeTone);
+        tapeInput = new Tone.Gain(1).fan(tape.a, tapeDrive);
+
         reverb = new Tone.Reverb({
             decay: settings.reverbDecay,
             wet: settings.reverbWet,
-        }).connect(masterGain);
+        }).connect(tapeInput);
         compressor = new Tone.Compressor(-20, 4).connect(reverb);
         filter = new Tone.Filter({
             frequency: settings.filterCutoff,
@@ -47,47 +251,32 @@ const DoverAudio = (() => {
             rolloff: -12,
         }).connect(compressor);
 
-        // Main melodic synth — soft sine with long release
-        mainSynth = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: 16,
-            voice: Tone.Synth,
-            options: {
-                oscillator: { type: 'sine' },
-                envelope: {
-                    attack: 0.05,
-                    decay: 0.3,
-                    sustain: 0.4,
-                    release: settings.noteRelease,
-                },
-            },
-        }).connect(filter);
-
-        // Pad synth for bigger ships — triangle, softer
-        padSynth = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: 8,
-            voice: Tone.Synth,
-            options: {
-                oscillator: { type: 'triangle' },
-                envelope: {
-                    attack: 0.2,
-                    decay: 0.5,
-                    sustain: 0.3,
-                    release: settings.noteRelease * 1.5,
-                },
-            },
-        }).connect(filter);
-        padSynth.volume.value = -8;
+        // Main melodic voices — shaped per ship type at trigger time
+        mainBus = new Tone.Gain(1).connect(filter);
+        mainVoices = createVoices(MAIN_VOICES, SHIP_VOICES.default, 0, mainBus);
+
+        // Pad voices for bigger ships
+        padBus = new Tone.Gain(1).connect(filter);
+        padVoices = createVoices(PAD_VOICES, PAD_VOICE, PAD_LEVEL, padBus);
+
+        // Event gestures, with their own volume
+        eventGain = new Tone.Gain(Tone.dbToGain(settings.eventVolume)).connect(filter);
+        eventVoices = createVoices(EVENT_VOICES, SHIP_VOICES.default, 0, eventGain);
 
         // --- Drone layer ---
-        droneGain = new Tone.Gain(Tone.dbToGain(settings.droneVolume)).connect(masterGain);
+        droneGain = new Tone.Gain(Tone.dbToGain(settings.droneVolume)).connect(tapeInput);
         droneFilter = new Tone.Filter({ frequency: 400, type: 'lowpass' }).connect(droneGain);
-        droneOsc1 = new Tone.Oscillator({ frequency: 'C2', type: 'sine' }).connect(droneFilter);
-        droneOsc2 = new Tone.Oscillator({ frequency: 'G1', type: 'sine' }).connect(droneFilter);
+        droneColorGain = new Tone.Gain(Tone.dbToGain(DRONE_COLOR_LEVEL)).connect(droneFilter);
+        const chord = droneChord();
+        droneOsc1 = new Tone.Oscillator({ frequency: chord[0], type: 'sine' }).connect(droneFilter);
+        droneOsc2 = new Tone.Oscillator({ frequency: chord[1], type: 'sine' }).connect(droneFilter);
+        droneOsc3 = new Tone.Oscillator({ frequency: chord[2], type: 'sine' }).connect(droneColorGain);
         droneOsc1.start();
         droneOsc2.start();
+        droneOsc3.start();
 
         // --- Ocean noise layer ---
-        oceanGain = new Tone.Gain(Tone.dbToGain(settings.oceanVolume)).connect(masterGain);
+        oceanGain = new Tone.Gain(Tone.dbToGain(settings.oceanVolume)).connect(tapeInput);
         oceanFilter = new Tone.AutoFilter({
             frequency: 0.08,
             baseFrequency: 150,
@@ -96,6 +285,62 @@ const DoverAudio = (() => {
         }).connect(oceanGain).start();
         oceanNoise = new Tone.Noise('brown').connect(oceanFilter);
         oceanNoise.start();
+
+        // --- Effect buses, fully wet; the sends set how much each layer gets ---
+        delay = new Tone.PingPongDelay({
+            delayTime: settings.delayTime,
+            maxDelay: 4,                // a quarter note at the slowest tempo
+            feedback: settings.delayFeedback,
+            wet: 1,
+        }).connect(tapeInput);
+        chorus = new Tone.Chorus({
+            frequency: settings.chorusRate,
+            delayTime: 3.5,
+            depth: settings.chorusDepth,
+            wet: 1,
+        }).connect(tapeInput).start();
+
+        // Shimmer: a long reverb whose tail is fed back an octave up
+        shimmerReverb = new Tone.Reverb({ decay: settings.shimmerDecay, wet: 1 }).connect(tapeInput);
+        shimmerPitch = new Tone.PitchShift({ pitch: SHIMMER_INTERVAL, wet: 1 });
+        shimmerFeedback = new Tone.Gain(settings.shimmerFeedback);
+        shimmerReverb.chain(shimmerPitch, shimmerFeedback, shimmerReverb);
+
+        const buses = { delay, chorus, shimmer: shimmerReverb };
+        const layers = { main: mainBus, pad: padBus, drone: droneGain, ocean: oceanGain };
+        sends = {};
+        for (const layer of SEND_LAYERS) {
+            sends[layer] = {};
+            for (const bus of EFFECT_BUSES) {
+                sends[layer][bus] = new Tone.Gain(settings.sends[layer][bus]).connect(buses[bus]);
+                layers[layer].connect(sends[layer][bus]);
+            }
+        }
+
+        applyAmbient(0);
+    }
+
+    function createVoices(count, voice, level, destination = filter) {
+        const voices = [];
+        for (let i = 0; i < count; i++) {
+            const panner = new Tone.Panner(0).connect(destination);
+            const synth = new Tone.Synth({
+                oscillator: { type: voice.oscillator },
+                envelope: envelopeFor(voice, 1),
+            }).connect(panner);
+            synth.volume.value = level;
+            voices.push({ synth, panner, voice });
+        }
+        return voices;
+    }
+
+    function envelopeFor(voice, attackScale) {
+        return {
+            attack: voice.attack * attackScale,
+            decay: voice.decay,
+            sustain: voice.sustain,
+            release: settings.noteRelease * voice.release,
+        };
     }
 
     async function start() {
@@ -106,19 +351,47 @@ const DoverAudio = (() => {
             await Tone.context.resume();
         }
         init();
+        applyClock();
+        // Runs from the start so tempo-synced sweeps have a bar to follow
+        Tone.Transport.start();
         started = true;
     }
 
     function stop() {
         if (!started) return;
-        mainSynth?.dispose();
-        padSynth?.dispose();
+        Tone.Transport.stop();
+        for (const v of [...mainVoices, ...padVoices, ...eventVoices]) {
+            v.synth.dispose();
+            v.panner.dispose();
+        }
+        mainVoices = [];
+        padVoices = [];
+        eventVoices = [];
+        for (const layer of Object.values(sends)) {
+            for (const send of Object.values(layer)) send.dispose();
+        }
+        sends = {};
+        mainBus?.dispose();
+        padBus?.dispose();
+        delay?.dispose();
+        chorus?.dispose();
+        shimmerReverb?.dispose();
+        shimmerPitch?.dispose();
+        shimmerFeedback?.dispose();
+        tapeInput?.dispose();
+        tapeDrive?.dispose();
+        tapeTone?.dispose();
+        tape?.dispose();
+        limiter?.dispose();
+        eventGain?.dispose();
         reverb?.dispose();
         filter?.dispose();
         compressor?.dispose();
         masterGain?.dispose();
         droneOsc1?.dispose();
         droneOsc2?.dispose();
+        droneOsc3?.dispose();
+        droneColorGain?.dispose();
         droneFilter?.dispose();
         droneGain?.dispose();
         oceanNoise?.dispose();
@@ -127,30 +400,209 @@ const DoverAudio = (() => {
         started = false;
     }
 
+    function getVoice(type) {
+        return SHIP_VOICES[type] || SHIP_VOICES[DoverShipTypes.get(type).voice] || SHIP_VOICES.default;
+    }
+
+    /**
+     * Attack multiplier from speed: 2^range for stationary ships down to
+     * 2^-range at maxSpeed, scaled by the Speed Articulation setting.
+     */
+    function speedAttackScale(speed) {
+        const { pivotSpeed, maxSpeed, range } = SPEED_ARTICULATION;
+        const s = Math.min(maxSpeed, Math.max(0, speed || 0));
+        const norm = s <= pivotSpeed ? (s - pivotSpeed) / pivotSpeed : (s - pivotSpeed) / (maxSpeed - pivotSpeed);
+        return Math.pow(2, -norm * range * settings.speedArticulation);
+    }
+
+    /**
+     * Stereo position from the blip's bearing: east is right, west is left.
+     */
+    function panFromPosition(pos) {
+        if (!pos) return 0;
+        const dist = Math.sqrt(pos.x * pos.x + pos.y * pos.y);
+        if (dist < 1e-6) return 0;
+        return Math.max(-1, Math.min(1, (pos.x / dist) * settings.panWidth));
+    }
+
+    function playVoice(pool, index, voice, note, duration, velocity, level, attackScale, pan, time = Tone.now(), envelope = envelopeFor(voice, attackScale)) {
+        const v = pool[index % pool.length];
+        try {
+            v.synth.set({
+                oscillator: { type: voice.oscillator },
+                envelope,
+            });
+            v.synth.volume.value = level;
+            v.voice = voice;
+            v.panner.pan.setValueAtTime(pan, time);
+            v.synth.triggerAttackRelease(note, duration, time, velocity);
+        } catch (e) { /* voice still busy */ }
+    }
+
     /**
      * Trigger a note when sweep crosses a ship.
+     * `pos` is the ship's radar position ({x, y}, -1..1), used for panning;
+     * `time` is when it sounds (audio context time, default now).
      */
-    function triggerNote(ship, ringIndex) {
+    function triggerNote(ship, ringIndex, pos, time = Tone.now()) {
         if (!started) return;
-        if (ringIndex < 0 || ringIndex >= RING_COUNT) return;
-        if (!ringEnabled[ringIndex]) return;
+        if (ringIndex < 0 || ringIndex >= ringNotes.length) return;
+        if (!isRingAudible(ringIndex)) return;
+        if (soloShip !== null && ship.mmsi !== soloShip) return;
 
-        const note = RING_NOTES[ringIndex];
+        const strip = ringMix[ringIndex];
+        const note = ringNote(ringIndex);
+        const voice = strip.synth ? SHIP_VOICES[strip.synth] : getVoice(ship.type);
+        const attackScale = speedAttackScale(ship.speed);
+        const pan = strip.pan !== null ? strip.pan : panFromPosition(pos);
 
-        // Ship length determines volume: bigger = louder
+        // Ship length determines velocity: bigger = louder
         const lengthNorm = Math.min(1, Math.max(0, (ship.length - 15) / 385));
-        const volume = -25 + lengthNorm * 18; // -25 to -7 dB
+        const velocity = 0.3 + lengthNorm * 0.5;
+
+        onGrid(time => {
+            notifyNote({
+                kind: 'ship', type: ship.type, mmsi: ship.mmsi, ring: ringIndex,
+                midi: Tone.Frequency(note).toMidi(), velocity,
+                duration: Tone.Time('4n').toSeconds(), delay: Math.max(0, time - Tone.now()), pan,
+            });
+            if (internalMuted) return;
+
+            // Big ships also trigger the pad layer
+            if (voice.pad && lengthNorm > 0.5) {
+                playVoice(padVoices, nextPadVoice++, PAD_VOICE, note, '2n',
+                    0.3 + lengthNorm * 0.4, PAD_LEVEL + strip.volume, attackScale, pan, time);
+            }
+
+            playVoice(mainVoices, nextMainVoice++, voice, note, '4n',
+                velocity, voice.level + strip.volume, attackScale, pan, time);
+        }, time);
+    }
+
+    /**
+     * Run `play(time)` at `time`, or on the next quantize step of the
+     * Transport after it (where swing applies) when a clock is running.
+     */
+    function onGrid(play, time) {
+        const grid = settings.clock !== 'free' && settings.quantize !== 'off' ? settings.quantize : null;
+        if (!grid || Tone.Transport.state !== 'started') {
+            play(time);
+            return;
+        }
+        const step = Tone.Time(grid).toTicks();
+        const next = (Math.floor(Tone.Transport.getTicksAtTime(time) / step) + 1) * step;
+        Tone.Transport.scheduleOnce(play, `${next}i`);
+    }
+
+    /**
+     * Play the gesture for a traffic event (see DoverShips.onEvent).
+     * `ringIndex` picks the base note (outside the rings: the outer ring),
+     * `pos` the stereo position as for triggerNote. Events that arrive
+     * together are played one after another, MIN_GESTURE_GAP_S apart.
+     */
+    function triggerEvent(event, ringIndex, pos) {
+        if (!started) return;
+        const gesture = EVENT_GESTURES[event.type];
+        if (!gesture) return;
+        if (soloShip !== null && event.mmsi !== soloShip && event.other !== soloShip) return;
+
+        // Events from one snapshot arrive in the same tick; queue them up
+        const now = Tone.now();
+        const at = Math.max(now, nextGestureAt);
+        if (at - now > MAX_GESTURE_DELAY_S) return;
+        nextGestureAt = at + MIN_GESTURE_GAP_S;
+
+        const ring = ringIndex >= 0 && ringIndex < ringNotes.length ? ringIndex : ringNotes.length - 1;
+        const base = Tone.Frequency(ringNote(ring));
+        const envelope = {
+            attack: gesture.attack,
+            decay: gesture.decay,
+            sustain: gesture.sustain,
+            release: gesture.release,
+        };
+        const pan = panFromPosition(pos);
+
+        gesture.steps.forEach((semitones, i) => {
+            const note = base.transpose(semitones);
+            notifyNote({
+                kind: 'event', type: event.type, mmsi: event.mmsi, ring,
+                midi: note.toMidi(), velocity: 0.6,
+                duration: gesture.spacing, delay: at - now + i * gesture.spacing, pan,
+            });
+            if (internalMuted) return;
+            playVoice(eventVoices, nextEventVoice++, gesture, note.toFrequency(),
+                gesture.spacing, 0.6, gesture.level, 1, pan, at + i * gesture.spacing, envelope);
+        });
+    }
 
-        // Big ships also trigger pad synth
-        if (lengthNorm > 0.5) {
+    /**
+     * Subscribe to every note played: fn({ kind: 'ship'|'event', type,
+     * mmsi, ring, midi, velocity (0–1), duration and delay (seconds), pan }).
+     * Notes are announced even while the internal sound is muted.
+     * Returns an unsubscribe function.
+     */
+    function onNote(fn) {
+        noteListeners.add(fn);
+        return () => noteListeners.delete(fn);
+    }
+
+    function notifyNote(note) {
+        for (const fn of noteListeners) {
             try {
-                padSynth.triggerAttackRelease(note, '2n', Tone.now(), 0.3 + lengthNorm * 0.4);
-            } catch (e) { /* polyphony limit */ }
+                fn(note);
+            } catch (e) {
+                console.warn('Note listener failed:', e);
+            }
         }
+    }
 
-        try {
-            mainSynth.triggerAttackRelease(note, '4n', Tone.now(), 0.3 + lengthNorm * 0.5);
-        } catch (e) { /* polyphony limit */ }
+    // --- Ambient layers ---
+
+    /**
+     * Drone frequencies for the current harmony and scale root. With no
+     * modulation depth the drone stays on the open chord.
+     */
+    function droneChord() {
+        const harmony = settings.ambientDepth > 0 ? ambientState.harmony : 'commercial';
+        const root = Tone.Frequency(settings.scaleRoot + '2');
+        return (DRONE_CHORDS[harmony] || DRONE_CHORDS.commercial).map(st => root.transpose(st).toFrequency());
+    }
+
+    /**
+     * Move the drone and ocean toward the ambient state, scaled by the
+     * Ambient Depth setting (0 = the static layers).
+     */
+    function applyAmbient(rampSeconds) {
+        if (!droneOsc1) return;
+        const depth = settings.ambientDepth;
+        const { density, speed, churn } = ambientState;
+        const ramp = (param, value, seconds = rampSeconds) => {
+            if (seconds > 0) param.rampTo(value, seconds);
+            else param.value = value;
+        };
+
+        ramp(droneFilter.frequency, DRONE_FILTER_HZ * Math.pow(2, (density - 0.5) * 2 * depth));
+        ramp(droneOsc2.detune, speed * DRONE_MAX_DETUNE * depth);
+        ramp(oceanFilter.frequency, OCEAN_RATE_HZ * Math.pow(2, (churn - 0.5) * 3 * depth));
+        oceanFilter.baseFrequency = OCEAN_BASE_HZ * Math.pow(2, (density - 0.5) * depth);
+
+        const chord = droneChord();
+        const glide = rampSeconds > 0 ? CHORD_GLIDE_S : 0;
+        [droneOsc1, droneOsc2, droneOsc3].forEach((osc, i) => ramp(osc.frequency, chord[i], glide));
+    }
+
+    /**
+     * Traffic statistics from DoverAmbient: density, speed and churn
+     * (0–1) and harmony ('commercial', 'passenger' or 'small').
+     */
+    function setAmbientState(state) {
+        ambientState = { ...ambientState, ...state };
+        if (started) applyAmbient(AMBIENT_RAMP_S);
+    }
+
+    function setAmbientDepth(val) {
+        settings.ambientDepth = Math.min(1, Math.max(0, val));
+        if (started) applyAmbient(AMBIENT_RAMP_S);
     }
 
     // --- Setting updaters ---
@@ -168,11 +620,9 @@ const DoverAudio = (() => {
 
     function setNoteRelease(val) {
         settings.noteRelease = val;
-        if (mainSynth) {
-            mainSynth.set({ envelope: { release: val } });
-        }
-        if (padSynth) {
-            padSynth.set({ envelope: { release: val * 1.5 } });
+        // Ship and pad voices scale it by the voice they last played
+        for (const v of [...mainVoices, ...padVoices]) {
+            v.synth.set({ envelope: { release: val * v.voice.release } });
         }
     }
 
@@ -181,9 +631,196 @@ const DoverAudio = (() => {
         if (filter) filter.frequency.value = val;
     }
 
+    // --- Musical clock ---
+
+    function applyClock() {
+        Tone.Transport.bpm.value = settings.bpm;
+        Tone.Transport.timeSignature = settings.beatsPerBar;
+        // Swing only makes sense on a straight grid; it lands on the offbeats
+        const straight = settings.quantize === '8n' || settings.quantize === '16n';
+        Tone.Transport.swing = straight ? settings.swing : 0;
+        if (straight) Tone.Transport.swingSubdivision = settings.quantize;
+        applyDelayTime();
+    }
+
+    function notifyTempo() {
+        applyDelayTime();
+        for (const fn of tempoListeners) fn(settings.bpm);
+    }
+
+    /**
+     * 'free' (hits play immediately), 'tempo' (the BPM setting) or
+     * 'midi' (tempo and start/stop from DoverMidi's clock input).
+     */
+    function setClockSource(source) {
+        if (!CLOCK_SOURCES.includes(source)) return;
+        settings.clock = source;
+        midiClockCount = 0;
+        midiBeatStamp = 0;
+        // Only an external Stop may leave the Transport paused
+        if (started && source !== 'midi' && Tone.Transport.state !== 'started') Tone.Transport.start();
+    }
+
+    function setTempo(bpm) {
+        settings.bpm = Math.min(300, Math.max(20, bpm));
+        Tone.Transport.bpm.value = settings.bpm;
+        notifyTempo();
+    }
+
+    function setBeatsPerBar(beats) {
+        settings.beatsPerBar = Math.round(Math.min(12, Math.max(1, beats)));
+        Tone.Transport.timeSignature = settings.beatsPerBar;
+    }
+
+    function setQuantize(grid) {
+        if (!(grid in QUANTIZE_GRIDS)) return;
+        settings.quantize = grid;
+        applyClock();
+    }
+
+    function setSwing(amount) {
+        settings.swing = Math.min(1, Math.max(0, amount));
+        applyClock();
+    }
+
+    /**
+     * MIDI realtime messages from DoverMidi: 'tick' (24 per quarter note),
+     * 'start', 'continue' or 'stop'. `stamp` is the message timestamp in ms.
+     * The tempo is measured over each beat; the Transport is moved only
+     * when it has drifted noticeably, so small jitter never jumps the sweep.
+     */
+    function receiveMidiClock(type, stamp) {
+        if (settings.clock !== 'midi' || !started) return;
+
+        if (type === 'start') {
+            Tone.Transport.stop();
+            Tone.Transport.start();
+            midiClockCount = 0;
+            midiBeatStamp = 0;
+        } else if (type === 'continue') {
+            Tone.Transport.start();
+        } else if (type === 'stop') {
+            Tone.Transport.pause();
+        } else if (type === 'tick') {
+            // Count from wherever the Transport is when the clock is picked up
+            if (midiClockCount === 0) midiClockBaseTicks = Tone.Transport.ticks;
+            midiClockCount++;
+            if (midiClockCount % MIDI_CLOCK_PPQ !== 0) return;
+
+            if (midiBeatStamp) {
+                const bpm = 60000 / (stamp - midiBeatStamp);
+                if (bpm >= 20 && bpm <= 300 && Math.abs(bpm - settings.bpm) > 0.1) setTempo(bpm);
+            }
+            midiBeatStamp = stamp;
+
+            const ppq = Tone.Transport.PPQ;
+            const expected = midiClockBaseTicks + midiClockCount * ppq / MIDI_CLOCK_PPQ;
+            if (Math.abs(Tone.Transport.ticks - expected) > ppq * MIDI_CLOCK_MAX_DRIFT) {
+                Tone.Transport.ticks = expected;
+            }
+        }
+    }
+
+    /**
+     * Subscribe to tempo changes (including from MIDI clock). Returns an
+     * unsubscribe function.
+     */
+    function onTempoChange(fn) {
+        tempoListeners.add(fn);
+        return () => tempoListeners.delete(fn);
+    }
+
+    /**
+     * Transport position in bars (fractional) at `time` (default now),
+     * 0 before start.
+     */
+    function getTransportBars(time) {
+        if (!started) return 0;
+        const ticks = time === undefined ? Tone.Transport.ticks : Tone.Transport.getTicksAtTime(time);
+        return ticks / (Tone.Transport.PPQ * Tone.Transport.timeSignature);
+    }
+
     function setMasterVolume(val) {
         settings.masterVolume = val;
-        if (masterGain) masterGain.gain.value = Tone.dbToGain(val);
+        if (masterGain && !internalMuted) masterGain.gain.value = Tone.dbToGain(val);
+    }
+
+    /**
+     * Silence the built-in synths, drone and ocean; notes still reach
+     * onNote listeners (MIDI/OSC).
+     */
+    function setInternalMuted(muted) {
+        internalMuted = Boolean(muted);
+        if (masterGain) masterGain.gain.value = internalMuted ? 0 : Tone.dbToGain(settings.masterVolume);
+    }
+
+    // --- Effects ---
+
+    /**
+     * Send level (0–1) from a layer ('main', 'pad', 'drone', 'ocean') to
+     * an effect bus ('delay', 'chorus', 'shimmer').
+     */
+    function setSend(layer, bus, level) {
+        if (!SEND_LAYERS.includes(layer) || !EFFECT_BUSES.includes(bus)) return;
+        settings.sends[layer][bus] = Math.min(1, Math.max(0, level));
+        if (sends[layer]) sends[layer][bus].gain.rampTo(settings.sends[layer][bus], 0.05);
+    }
+
+    // The delay follows the Transport tempo (re-applied on tempo changes)
+    function applyDelayTime() {
+        if (delay) delay.delayTime.rampTo(Tone.Time(settings.delayTime).toSeconds(), 0.1);
+    }
+
+    function setDelayTime(time) {
+        if (!(time in DELAY_TIMES)) return;
+        settings.delayTime = time;
+        applyDelayTime();
+    }
+
+    function setDelayFeedback(val) {
+        settings.delayFeedback = Math.min(0.9, Math.max(0, val));
+        if (delay) delay.feedback.value = settings.delayFeedback;
+    }
+
+    function setChorusRate(hz) {
+        settings.chorusRate = Math.min(10, Math.max(0.05, hz));
+        if (chorus) chorus.frequency.value = settings.chorusRate;
+    }
+
+    function setChorusDepth(val) {
+        settings.chorusDepth = Math.min(1, Math.max(0, val));
+        if (chorus) chorus.depth = settings.chorusDepth;
+    }
+
+    function setShimmerDecay(seconds) {
+        settings.shimmerDecay = Math.min(30, Math.max(1, seconds));
+        if (shimmerReverb) shimmerReverb.decay = settings.shimmerDecay;
+    }
+
+    /**
+     * How much of the shimmer tail climbs again (0–0.7; higher runs away).
+     */
+    function setShimmerFeedback(val) {
+        settings.shimmerFeedback = Math.min(0.7, Math.max(0, val));
+        if (shimmerFeedback) shimmerFeedback.gain.rampTo(settings.shimmerFeedback, 0.05);
+    }
+
+    function setTapeDrive(val) {
+        settings.tapeDrive = Math.min(1, Math.max(0, val));
+        if (tapeDrive) tapeDrive.distortion = settings.tapeDrive;
+    }
+
+    /**
+     * Blend of saturated signal into the master (0 = clean).
+     */
+    function setTapeMix(val) {
+        settings.tapeMix = Math.min(1, Math.max(0, val));
+        if (tape) tape.fade.rampTo(settings.tapeMix, 0.05);
+    }
+
+    function setLimiterThreshold(db) {
+        settings.limiterThreshold = Math.min(0, Math.max(-24, db));
+        if (limiter) limiter.threshold.value = settings.limiterThreshold;
     }
 
     function setDroneVolume(val) {
@@ -196,16 +833,150 @@ const DoverAudio = (() => {
         if (oceanGain) oceanGain.gain.value = Tone.dbToGain(val);
     }
 
+    function setEventVolume(val) {
+        settings.eventVolume = val;
+        if (eventGain) eventGain.gain.value = Tone.dbToGain(val);
+    }
+
+    function setPanWidth(val) {
+        settings.panWidth = Math.min(1, Math.max(0, val));
+    }
+
+    function setSpeedArticulation(val) {
+        settings.speedArticulation = Math.min(1, Math.max(0, val));
+    }
+
+    /**
+     * Merge voice parameters for a ship type (creates the type if new).
+     */
+    function setVoice(type, params) {
+        SHIP_VOICES[type] = { ...(SHIP_VOICES[type] || SHIP_VOICES.default), ...params };
+        return { ...SHIP_VOICES[type] };
+    }
+
+    function setSoloShip(mmsi) {
+        soloShip = mmsi === undefined ? null : mmsi;
+    }
+
     function setRingEnabled(index, enabled) {
-        if (index >= 0 && index < RING_COUNT) {
+        if (index >= 0 && index < ringEnabled.length) {
             ringEnabled[index] = enabled;
+            notifyMixer(index);
+        }
+    }
+
+    // --- Ring mixer ---
+
+    /**
+     * Whether ring `index` sounds: not muted and, if any ring is soloed,
+     * soloed itself.
+     */
+    function isRingAudible(index) {
+        if (!ringEnabled[index]) return false;
+        return !ringMix.some(strip => strip.solo) || ringMix[index].solo;
+    }
+
+    function getRingMix(index) {
+        if (!ringMix[index]) return null;
+        return { muted: !ringEnabled[index], ...ringMix[index] };
+    }
+
+    /**
+     * Change ring `index`'s strip: any of muted, solo, volume, pan, note
+     * and synth (null resets pan, note and synth). Invalid values are
+     * ignored. Returns the strip, or null for a ring that doesn't exist.
+     */
+    function setRingMix(index, { muted, solo, volume, pan, note, synth } = {}) {
+        const strip = ringMix[index];
+        if (!strip) return null;
+        if (muted !== undefined) ringEnabled[index] = !muted;
+        if (solo !== undefined) strip.solo = Boolean(solo);
+        if (Number.isFinite(volume)) strip.volume = Math.min(MAX_RING_VOLUME, Math.max(MIN_RING_VOLUME, volume));
+        if (pan === null) strip.pan = null;
+        else if (Number.isFinite(pan)) strip.pan = Math.min(1, Math.max(-1, pan));
+        if (note === null || note === '') strip.note = null;
+        else if (note !== undefined) strip.note = parseNote(note) ?? strip.note;
+        if (synth === null || synth === '') strip.synth = null;
+        else if (SHIP_VOICES[synth]) strip.synth = synth;
+        notifyMixer(index);
+        return getRingMix(index);
+    }
+
+    function resetMixer() {
+        ringEnabled.fill(true);
+        for (const strip of ringMix) Object.assign(strip, STRIP_DEFAULTS);
+        notifyMixer(null);
+    }
+
+    /**
+     * Subscribe to mixer changes: fn(index), or fn(null) when every strip
+     * changed (also when the rings or their scale notes do). Returns an
+     * unsubscribe function.
+     */
+    function onMixerChange(fn) {
+        mixerListeners.add(fn);
+        return () => mixerListeners.delete(fn);
+    }
+
+    function notifyMixer(index) {
+        for (const fn of mixerListeners) fn(index);
+    }
+
+    // --- Scale & ring mapping ---
+
+    /**
+     * Change any of root, mode, octave and spread; omitted keys are kept.
+     * Returns the new ring notes.
+     */
+    function setScale({ root, mode, octave, spread } = {}) {
+        if (root !== undefined && DoverScales.noteToMidi(root + '4') !== null) settings.scaleRoot = root;
+        if (mode !== undefined && DoverScales.SCALES[mode]) settings.scaleMode = mode;
+        if (octave !== undefined) settings.scaleOctave = Math.round(Math.min(7, Math.max(1, octave)));
+        if (spread !== undefined) settings.scaleSpread = Math.round(Math.min(6, Math.max(1, spread)));
+        rebuildRingNotes();
+        // The drone follows the root
+        if (started) applyAmbient(AMBIENT_RAMP_S);
+        return ringNotes.slice();
+    }
+
+    function setRingCount(count) {
+        settings.ringCount = Math.round(Math.min(MAX_RINGS, Math.max(MIN_RINGS, count)));
+        rebuildRingNotes();
+        return ringNotes.slice();
+    }
+
+    /**
+     * Use an explicit note list (names like 'Eb4' or frequencies in Hz),
+     * innermost ring first. Switches the mode to 'custom'.
+     */
+    function setCustomNotes(notes) {
+        customNotes = notes.map(parseNote).filter(n => n !== null);
+        settings.scaleMode = 'custom';
+        rebuildRingNotes();
+        return ringNotes.slice();
+    }
+
+    /**
+     * A note name like 'Eb4' or a frequency in Hz (number or numeric
+     * string), or null if it is neither.
+     */
+    function parseNote(n) {
+        if (typeof n === 'number' || /^\d+(\.\d+)?$/.test(String(n).trim())) {
+            const hz = parseFloat(n);
+            return hz > 0 ? hz : null;
         }
+        const name = String(n).trim();
+        return DoverScales.noteToMidi(name) !== null ? name : null;
     }
 
     return {
         start,
         stop,
         triggerNote,
+        triggerEvent,
+        onNote,
+        setInternalMuted,
+        isInternalMuted: () => internalMuted,
         setReverbDecay,
         setReverbWet,
         setNoteRelease,
@@ -213,11 +984,62 @@ const DoverAudio = (() => {
         setMasterVolume,
         setDroneVolume,
         setOceanVolume,
+        setEventVolume,
+        setAmbientState,
+        setAmbientDepth,
         setRingEnabled,
+        isRingAudible,
+        getRingMix,
+        getMixer: () => ringMix.map((strip, i) => getRingMix(i)),
+        setRingMix,
+        resetMixer,
+        onMixerChange,
+        setSoloShip,
+        getSoloShip: () => soloShip,
+        setPanWidth,
+        setSpeedArticulation,
+        setSend,
+        setDelayTime,
+        setDelayFeedback,
+        setChorusRate,
+        setChorusDepth,
+        setShimmerDecay,
+        setShimmerFeedback,
+        setTapeDrive,
+        setTapeMix,
+        setLimiterThreshold,
+        setVoice,
+        setScale,
+        setRingCount,
+        setCustomNotes,
         isStarted: () => started,
-        RING_NOTES,
-        RING_COUNT,
+        getTransportBars,
+        setClockSource,
+        setTempo,
+        setBeatsPerBar,
+        setQuantize,
+        setSwing,
+        receiveMidiClock,
+        onTempoChange,
+        getOutput: () => limiter,
+        getRingNotes: () => ringNotes.map((note, i) => ringNote(i)),
+        getScaleNotes: () => ringNotes.slice(),
+        getRingCount: () => ringNotes.length,
+        getCustomNotes: () => customNotes.slice(),
+        MIN_RINGS,
+        MAX_RINGS,
+        MIN_RING_VOLUME,
+        MAX_RING_VOLUME,
         ringEnabled,
         settings,
+        SHIP_VOICES,
+        EVENT_GESTURES,
+        DRONE_CHORDS,
+        SPEED_ARTICULATION,
+        CLOCK_SOURCES,
+        QUANTIZE_GRIDS,
+        EFFECT_BUSES,
+        SEND_LAYERS,
+        DELAY_TIMES,
     };
 })();
@@ -0,0 +1,103 @@
+/**
+ * Dover Radar Synth - Sweep Engine
+ *
+ * Runs the sweep and plays the ships it crosses, on the audio clock
+ * rather than the animation frame: a Tone.Clock drives it, and Tone's
+ * ticker keeps running in a background tab where requestAnimationFrame
+ * stalls. Each hit is scheduled at the clock's own (look-ahead) time, so
+ * the timing no longer depends on the frame rate.
+ *
+ * Drawing is optional: the radar subscribes (onHit) and reads the sweep
+ * at the time being heard (displayPhase), and without it the piece plays
+ * audio only.
+ */
+const DoverEngine = (() => {
+    const TICK_HZ = 60;
+    const VISIBLE_RANGE = 1.05;     // radar units; matches what the scope draws
+
+    // Blip radius in radar units for hit tolerance, from ship length
+    const HIT_SIZE_MIN = 0.012;
+    const HIT_SIZE_RANGE = 0.012;
+
+    const sweep = DoverSweep.create({ speed: 0.8 });
+    const hitListeners = new Set();
+    let clock = null;
+    let lastTickTime = null;
+    let visibleCount = 0;
+
+    function hitSize(ship) {
+        const sizeNorm = Math.min(1, Math.max(0, (ship.length - 15) / 385));
+        return HIT_SIZE_MIN + sizeNorm * HIT_SIZE_RANGE;
+    }
+
+    function tick(time) {
+        const dt = lastTickTime === null ? 0 : time - lastTickTime;
+        lastTickTime = time;
+        sweep.advance(dt, DoverAudio.getTransportBars(time));
+
+        const ringCount = DoverAudio.getRingCount();
+        let visible = 0;
+        for (const ship of DoverShips.getShips()) {
+            const pos = DoverShips.toRadarPosition(ship);
+            if (Math.hypot(pos.x, pos.y) > VISIBLE_RANGE) continue;
+            visible++;
+
+            // DoverSweep keeps count of passes, so each front plays a ship once
+            if (!sweep.hits(ship.mmsi, pos, hitSize(ship))) continue;
+            const ringIndex = DoverShips.getRingIndex(ship, ringCount);
+            if (ringIndex < 0) continue;
+
+            DoverAudio.triggerNote(ship, ringIndex, pos, time);
+            const hit = { ship, pos, ringIndex, time };
+            for (const fn of hitListeners) fn(hit);
+        }
+        visibleCount = visible;
+    }
+
+    /**
+     * Start sweeping. Call after DoverAudio.start() (from a user gesture);
+     * the clock waits for the audio context to run.
+     */
+    function start() {
+        if (clock) return;
+        lastTickTime = null;
+        clock = new Tone.Clock(tick, TICK_HZ);
+        clock.start();
+    }
+
+    function stop() {
+        if (!clock) return;
+        clock.stop();
+        clock.dispose();
+        clock = null;
+    }
+
+    /**
+     * The sweep phase at the moment being heard, between engine ticks,
+     * for smooth drawing.
+     */
+    function displayPhase() {
+        if (!clock || lastTickTime === null) return sweep.getPhase();
+        const heard = Tone.immediate();
+        return sweep.phaseAt(heard - lastTickTime, DoverAudio.getTransportBars(heard));
+    }
+
+    /**
+     * Subscribe to hits: fn({ ship, pos, ringIndex, time }), with `time`
+     * the audio context time the note sounds. Returns an unsubscribe function.
+     */
+    function onHit(fn) {
+        hitListeners.add(fn);
+        return () => hitListeners.delete(fn);
+    }
+
+    return {
+        sweep,
+        start,
+        stop,
+        isRunning: () => clock !== null,
+        displayPhase,
+        onHit,
+        getVisibleCount: () => visibleCount,
+    };
+})();
@@ -0,0 +1,253 @@
+/**
+ * Dover Radar Synth - Traffic Events
+ *
+ * Compares successive ship snapshots and reports what happened in between:
+ * - arrival / departure: a ship enters or leaves the bounding box
+ * - anchoring: a moving ship anchors or moors (see DoverShipTypes.isStationary)
+ * - turn: a sharp course change by a ship under way
+ * - ferryCrossing: a ferry crosses a traffic lane
+ * - closeQuarters: two ships heading for a close point of approach (CPA)
+ *   within a few minutes (TCPA)
+ *
+ * DoverShips runs a detector on every snapshot and announces the events
+ * (DoverShips.onEvent). No DOM dependencies; also loads under Node.
+ */
+const DoverEvents = (() => {
+    const NM_PER_DEGREE_LAT = 60;
+
+    const TURN_DEGREES = 30;          // course change that counts as a turn…
+    const TURN_WINDOW_S = 120;        // …if made within this much ship time
+    const TURN_MIN_SPEED = 5;         // slower ships wander; ignore them
+    const CPA_NM = 0.5;
+    const CPA_CLEAR_NM = 1;           // an encounter ends once the CPA opens past this
+    const TCPA_MAX_MIN = 12;
+    const CPA_RANGE_NM = 6;           // only pairs this close are considered
+    const CPA_MIN_SPEED = 1;
+    const BULK_CHANGE = 0.5;          // more churn than this is a source/seek change, not traffic
+
+    const TYPES = {
+        arrival:        { label: 'Arrival' },
+        departure:      { label: 'Departure' },
+        anchoring:      { label: 'Anchored' },
+        turn:           { label: 'Turn' },
+        ferryCrossing:  { label: 'Lane crossing' },
+        closeQuarters:  { label: 'Close quarters' },
+    };
+
+    const inBox = (box, ship) => ship.lat >= box.latMin && ship.lat <= box.latMax
+        && ship.lon >= box.lonMin && ship.lon <= box.lonMax;
+    const turnBetween = (from, to) => ((to - from + 540) % 360) - 180;
+
+    function isStationary(ship) {
+        return typeof DoverShipTypes !== 'undefined'
+            ? DoverShipTypes.isStationary(ship)
+            : ship.speed <= 0.5;
+    }
+
+    /**
+     * Do segments a→b and c→d (x/y points) cross?
+     */
+    function segmentsCross(a, b, c, d) {
+        const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+        const d1 = side(c, d, a), d2 = side(c, d, b);
+        const d3 = side(a, b, c), d4 = side(a, b, d);
+        return d1 * d2 < 0 && d3 * d4 < 0;
+    }
+
+    /**
+     * Closest point of approach between two ships, from positions in nm
+     * and speed/heading. Returns { cpaNm, tcpaMin, rangeNm }.
+     */
+    function closestApproach(a, b) {
+        const velocity = ship => {
+            const h = ship.heading * Math.PI / 180;
+            return { x: Math.sin(h) * ship.speed, y: Math.cos(h) * ship.speed };
+        };
+        const va = velocity(a), vb = velocity(b);
+        const px = b.x - a.x, py = b.y - a.y;
+        const vx = vb.x - va.x, vy = vb.y - va.y;
+        const v2 = vx * vx + vy * vy;
+        const rangeNm = Math.hypot(px, py);
+        if (v2 < 1e-9) return { cpaNm: rangeNm, tcpaMin: Infinity, rangeNm };
+
+        const tcpa = -(px * vx + py * vy) / v2; // hours
+        return {
+            cpaNm: Math.hypot(px + vx * tcpa, py + vy * tcpa),
+            tcpaMin: tcpa * 60,
+            rangeNm,
+        };
+    }
+
+    /**
+     * Create a detector. detect(ships, context) returns the events since
+     * the previous call; context is { bbox, center, laneBearing, lanes,
+     * elapsedS }, with `lanes` as DoverRegion traffic lanes ({ name,
+     * points: [{lat, lon}] }) and `elapsedS` the ship time since the last
+     * snapshot. The first call after create/reset only sets the baseline.
+     */
+    function createDetector() {
+        let previous = null;              // mmsi -> ship
+        const headingRefs = new Map();    // mmsi -> { heading, age }
+        const encounters = new Set();     // "mmsiA-mmsiB" pairs already reported
+
+        function reset() {
+            previous = null;
+            headingRefs.clear();
+            encounters.clear();
+        }
+
+        function toNm(center, lat, lon) {
+            const cosLat = Math.cos(center.lat * Math.PI / 180);
+            return {
+                x: (lon - center.lon) * NM_PER_DEGREE_LAT * cosLat,
+                y: (lat - center.lat) * NM_PER_DEGREE_LAT,
+            };
+        }
+
+        // Lane centrelines in nm; without lane data, the lane bearing axis
+        function laneLines(context) {
+            const { center } = context;
+            if (context.lanes && context.lanes.length) {
+                return context.lanes.map(lane => ({
+                    name: lane.name || 'traffic lane',
+                    points: lane.points.map(p => toNm(center, p.lat, p.lon)),
+                }));
+            }
+            const b = (context.laneBearing ?? 45) * Math.PI / 180;
+            const reach = 200;
+            return [{
+                name: 'traffic lanes',
+                points: [
+                    { x: -Math.sin(b) * reach, y: -Math.cos(b) * reach },
+                    { x: Math.sin(b) * reach, y: Math.cos(b) * reach },
+                ],
+            }];
+        }
+
+        function event(type, ship, details = {}) {
+            return { type, mmsi: ship.mmsi, ship, lat: ship.lat, lon: ship.lon, timestamp: Date.now(), ...details };
+        }
+
+        function detectTurn(prev, ship, elapsedS, events) {
+            const ref = headingRefs.get(ship.mmsi);
+            if (!ref || ship.speed < TURN_MIN_SPEED || isStationary(ship)) {
+                headingRefs.set(ship.mmsi, { heading: ship.heading, age: 0 });
+                return;
+            }
+            ref.age += elapsedS;
+            const change = turnBetween(ref.heading, ship.heading);
+            if (Math.abs(change) >= TURN_DEGREES) {
+                events.push(event('turn', ship, { from: ref.heading, to: ship.heading, change }));
+                headingRefs.set(ship.mmsi, { heading: ship.heading, age: 0 });
+            } else if (ref.age > TURN_WINDOW_S) {
+                // Forget old headings so slow drifts never add up to a turn
+                headingRefs.set(ship.mmsi, { heading: ship.heading, age: 0 });
+            }
+        }
+
+        function detectCrossings(prev, ship, context, lanes, events) {
+            if (ship.type !== 'ferry') return;
+            const a = toNm(context.center, prev.lat, prev.lon);
+            const b = toNm(context.center, ship.lat, ship.lon);
+            for (const lane of lanes) {
+                for (let i = 1; i < lane.points.length; i++) {
+                    if (segmentsCross(a, b, lane.points[i - 1], lane.points[i])) {
+                        events.push(event('ferryCrossing', ship, { lane: lane.name }));
+                        break;
+                    }
+                }
+            }
+        }
+
+        function detectEncounters(ships, context, events) {
+            const moving = ships
+                .filter(s => s.speed >= CPA_MIN_SPEED && !isStationary(s))
+                .map(s => ({ ship: s, ...toNm(context.center, s.lat, s.lon), speed: s.speed, heading: s.heading }));
+            const active = new Set();
+
+            for (let i = 0; i < moving.length; i++) {
+                for (let j = i + 1; j < moving.length; j++) {
+                    const a = moving[i], b = moving[j];
+                    if (Math.abs(a.x - b.x) > CPA_RANGE_NM || Math.abs(a.y - b.y) > CPA_RANGE_NM) continue;
+
+                    const key = a.ship.mmsi < b.ship.mmsi ? `${a.ship.mmsi}-${b.ship.mmsi}` : `${b.ship.mmsi}-${a.ship.mmsi}`;
+                    const { cpaNm, tcpaMin, rangeNm } = closestApproach(a, b);
+                    const closing = tcpaMin > 0 && tcpaMin <= TCPA_MAX_MIN && cpaNm < CPA_NM && rangeNm <= CPA_RANGE_NM;
+
+                    if (encounters.has(key) && cpaNm <= CPA_CLEAR_NM && tcpaMin > 0) {
+                        active.add(key);
+                    } else if (closing) {
+                        active.add(key);
+                        events.push(event('closeQuarters', a.ship, {
+                            other: b.ship.mmsi,
+                            otherShip: b.ship,
+                            lat: (a.ship.lat + b.ship.lat) / 2,
+                            lon: (a.ship.lon + b.ship.lon) / 2,
+                            cpaNm: Math.round(cpaNm * 100) / 100,
+                            tcpaMin: Math.round(tcpaMin * 10) / 10,
+                        }));
+                    }
+                }
+            }
+
+            encounters.clear();
+            for (const key of active) encounters.add(key);
+        }
+
+        function detect(ships, context) {
+            const current = new Map();
+            for (const ship of ships) {
+                if (inBox(context.bbox, ship)) current.set(ship.mmsi, ship);
+            }
+
+            if (!previous) {
+                previous = current;
+                for (const ship of current.values()) headingRefs.set(ship.mmsi, { heading: ship.heading, age: 0 });
+                return [];
+            }
+
+            const events = [];
+            const arrived = [...current.values()].filter(ship => !previous.has(ship.mmsi));
+            const departed = [...previous.values()].filter(ship => !current.has(ship.mmsi));
+
+            // A new source, region or replay seek swaps most ships at once
+            const churn = arrived.length + departed.length;
+            if (churn > 4 && churn > BULK_CHANGE * Math.max(current.size, previous.size)) {
+                reset();
+                return detect(ships, context);
+            }
+
+            for (const ship of arrived) events.push(event('arrival', ship));
+            for (const ship of departed) {
+                events.push(event('departure', ship));
+                headingRefs.delete(ship.mmsi);
+            }
+
+            const lanes = laneLines(context);
+            const elapsedS = context.elapsedS || 0;
+            for (const ship of current.values()) {
+                const prev = previous.get(ship.mmsi);
+                if (!prev) continue;
+                if (!isStationary(prev) && isStationary(ship)) {
+                    events.push(event('anchoring', ship, { navStatus: ship.navStatus }));
+                }
+                detectTurn(prev, ship, elapsedS, events);
+                detectCrossings(prev, ship, context, lanes, events);
+            }
+            detectEncounters([...current.values()], context, events);
+
+            previous = current;
+            return events;
+        }
+
+        return { detect, reset };
+    }
+
+    return {
+        createDetector,
+        closestApproach,
+        TYPES,
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = DoverEvents;
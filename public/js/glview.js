@@ -0,0 +1,282 @@
+/**
+ * Dover Radar Synth - WebGL View
+ *
+ * The strait in perspective: ships as glowing points floating over a
+ * wireframe sea bed, the sweep fronts traced across it, and a bright
+ * pulse on each ship as the engine plays it (DoverEngine.onHit).
+ * Plain WebGL, no libraries. Radar north is away from the viewer.
+ */
+const DoverGLView = (() => {
+    const GRID = 56;                // sea-bed lines each way
+    const EXTENT = 1.1;             // radar units covered by the sea bed
+    const PULSE_MS = 600;
+    const POINT_SIZE = 26;          // px at unit distance, before ship size
+    const SWEEP_SEGMENTS = 96;
+
+    const LINE_VERTEX = `
+        attribute vec3 position;
+        attribute vec4 color;
+        uniform mat4 viewProjection;
+        varying vec4 vColor;
+        void main() {
+            gl_Position = viewProjection * vec4(position, 1.0);
+            vColor = color;
+        }`;
+    const LINE_FRAGMENT = `
+        precision mediump float;
+        varying vec4 vColor;
+        void main() {
+            gl_FragColor = vColor;
+        }`;
+    const POINT_VERTEX = `
+        attribute vec3 position;
+        attribute vec4 color;
+        attribute float size;
+        uniform mat4 viewProjection;
+        uniform float pixelRatio;
+        varying vec4 vColor;
+        void main() {
+            gl_Position = viewProjection * vec4(position, 1.0);
+            gl_PointSize = size * pixelRatio / gl_Position.w;
+            vColor = color;
+        }`;
+    const POINT_FRAGMENT = `
+        precision mediump float;
+        varying vec4 vColor;
+        void main() {
+            float r = length(gl_PointCoord - 0.5) * 2.0;
+            float core = smoothstep(0.35, 0.0, r);
+            float glow = exp(-r * r * 5.0) * 0.6;
+            gl_FragColor = vec4(vColor.rgb * (core + glow), (core + glow) * vColor.a);
+        }`;
+
+    // --- Matrices (column-major, as WebGL expects) ---
+
+    function perspective(fovY, aspect, near, far) {
+        const f = 1 / Math.tan(fovY / 2);
+        const nf = 1 / (near - far);
+        return [f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) * nf, -1, 0, 0, 2 * far * near * nf, 0];
+    }
+
+    function lookAt(eye, target, up) {
+        const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+        const norm = v => {
+            const l = Math.hypot(...v);
+            return v.map(c => c / l);
+        };
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        const z = norm(sub(eye, target));
+        const x = norm(cross(up, z));
+        const y = cross(z, x);
+        return [x[0], y[0], z[0], 0, x[1], y[1], z[1], 0, x[2], y[2], z[2], 0, -dot(x, eye), -dot(y, eye), -dot(z, eye), 1];
+    }
+
+    function multiply(a, b) {
+        const out = new Array(16).fill(0);
+        for (let col = 0; col < 4; col++) {
+            for (let row = 0; row < 4; row++) {
+                for (let k = 0; k < 4; k++) out[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Sea-bed depth below the surface at radar (x, y): a trough along the
+     * strait with some rolling banks. Invented, not charted.
+     */
+    function depth(x, y) {
+        const along = (x + y) * Math.SQRT1_2;       // roughly the lane axis
+        const across = (x - y) * Math.SQRT1_2;
+        return 0.12 + 0.1 * Math.exp(-across * across * 6)
+            + 0.025 * Math.sin(along * 7 + 1.3) * Math.cos(across * 5)
+            + 0.015 * Math.sin(x * 13 - y * 9);
+    }
+
+    // --- GL helpers ---
+
+    function compile(gl, vertexSource, fragmentSource) {
+        const program = gl.createProgram();
+        for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error('Shader failed: ' + gl.getShaderInfoLog(shader));
+            }
+            gl.attachShader(program, shader);
+        }
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error('Program failed: ' + gl.getProgramInfoLog(program));
+        }
+        return program;
+    }
+
+    /**
+     * Bind interleaved float attributes ({ name: components }) from `buffer`.
+     */
+    function bindAttributes(gl, program, buffer, layout) {
+        const stride = Object.values(layout).reduce((sum, n) => sum + n, 0) * 4;
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        let offset = 0;
+        for (const [name, components] of Object.entries(layout)) {
+            const location = gl.getAttribLocation(program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, components, gl.FLOAT, false, stride, offset);
+            offset += components * 4;
+        }
+    }
+
+    function create(container) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'view-canvas';
+        const gl = canvas.getContext('webgl', { antialias: true, premultipliedAlpha: false });
+        if (!gl) throw new Error('WebGL is not available');
+
+        // Only join the page once both programs link, so a failure
+        // leaves nothing over the radar
+        const lineProgram = compile(gl, LINE_VERTEX, LINE_FRAGMENT);
+        const pointProgram = compile(gl, POINT_VERTEX, POINT_FRAGMENT);
+        container.appendChild(canvas);
+        const LINE_LAYOUT = { position: 3, color: 4 };
+        const POINT_LAYOUT = { position: 3, color: 4, size: 1 };
+
+        // Sea bed: static lines, coloured by depth
+        const bed = [];
+        const vertex = (x, y) => {
+            const d = depth(x, y);
+            const shade = 0.25 + (d - 0.1) * 2;
+            bed.push(x, -d, y, 0.2 * shade, 0.6 * shade, 0.55 * shade, 0.55);
+        };
+        for (let i = 0; i <= GRID; i++) {
+            const a = -EXTENT + (2 * EXTENT * i) / GRID;
+            for (let j = 0; j < GRID; j++) {
+                const b0 = -EXTENT + (2 * EXTENT * j) / GRID;
+                const b1 = -EXTENT + (2 * EXTENT * (j + 1)) / GRID;
+                vertex(a, b0); vertex(a, b1);
+                vertex(b0, a); vertex(b1, a);
+            }
+        }
+        const bedBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, bedBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(bed), gl.STATIC_DRAW);
+        const bedCount = bed.length / 7;
+
+        const sweepBuffer = gl.createBuffer();
+        const pointBuffer = gl.createBuffer();
+
+        let size = 0;
+        let dpr = 1;
+        const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        const pulses = new Map();   // mmsi -> performance.now() when heard
+        const unsubscribe = DoverEngine.onHit(hit => {
+            pulses.set(hit.ship.mmsi, performance.now() + (hit.time - Tone.immediate()) * 1000);
+        });
+
+        function resize(newSize, ratio) {
+            size = newSize;
+            dpr = ratio;
+            canvas.width = Math.round(size * dpr);
+            canvas.height = Math.round(size * dpr);
+            canvas.style.width = size + 'px';
+            canvas.style.height = size + 'px';
+            gl.viewport(0, 0, canvas.width, canvas.height);
+        }
+
+        // Sweep fronts as lines just above the water
+        function sweepLines() {
+            const lines = [];
+            const color = [0.4, 1, 0.6, 0.7];
+            const push = (x0, y0, x1, y1) => lines.push(x0, 0.005, y0, ...color, x1, 0.005, y1, ...color);
+            for (const front of DoverEngine.sweep.getFronts(DoverEngine.displayPhase())) {
+                if (front.kind === 'arm') {
+                    push(0, 0, Math.cos(front.angle), Math.sin(front.angle));
+                } else if (front.kind === 'ring') {
+                    for (let i = 0; i < SWEEP_SEGMENTS; i++) {
+                        const a0 = (i / SWEEP_SEGMENTS) * Math.PI * 2;
+                        const a1 = ((i + 1) / SWEEP_SEGMENTS) * Math.PI * 2;
+                        push(Math.cos(a0) * front.radius, Math.sin(a0) * front.radius,
+                            Math.cos(a1) * front.radius, Math.sin(a1) * front.radius);
+                    }
+                } else {
+                    const half = Math.sqrt(Math.max(0, 1 - front.x * front.x));
+                    push(front.x, -half, front.x, half);
+                }
+            }
+            return lines;
+        }
+
+        function frame(time, ships, colorMode) {
+            const now = performance.now();
+            // The camera drifts round slowly, unless motion is to be kept down
+            const orbit = reducedMotion && reducedMotion.matches ? 0 : Math.sin(time / 40000) * 0.35;
+            const eye = [Math.sin(orbit) * 1.9, 1.25, Math.cos(orbit) * 1.9];
+            const viewProjection = multiply(perspective(Math.PI / 4, 1, 0.05, 10), lookAt(eye, [0, -0.1, 0], [0, 1, 0]));
+
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.enable(gl.BLEND);
+
+            // Sea bed and sweep
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            gl.useProgram(lineProgram);
+            gl.uniformMatrix4fv(gl.getUniformLocation(lineProgram, 'viewProjection'), false, viewProjection);
+            bindAttributes(gl, lineProgram, bedBuffer, LINE_LAYOUT);
+            gl.drawArrays(gl.LINES, 0, bedCount);
+
+            const sweep = sweepLines();
+            gl.bindBuffer(gl.ARRAY_BUFFER, sweepBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(sweep), gl.DYNAMIC_DRAW);
+            bindAttributes(gl, lineProgram, sweepBuffer, LINE_LAYOUT);
+            gl.drawArrays(gl.LINES, 0, sweep.length / 7);
+
+            // Ships, additive so crowded lanes glow
+            const points = [];
+            let shown = 0;
+            for (const ship of ships) {
+                const pos = DoverShips.toRadarPosition(ship);
+                if (Math.hypot(pos.x, pos.y) > 1.05) continue;
+                shown++;
+
+                const [r, g, b] = DoverViews.hslToRgb(DoverShips.getShipColor(ship, colorMode));
+                const heardAt = pulses.get(ship.mmsi);
+                let pulse = 0;
+                if (heardAt !== undefined && now >= heardAt) {
+                    pulse = Math.max(0, 1 - (now - heardAt) / PULSE_MS);
+                    if (!pulse) pulses.delete(ship.mmsi);
+                }
+                const sizeNorm = Math.min(1, Math.max(0, (ship.length - 15) / 385));
+                const lift = 0.02 + pulse * 0.04;
+                points.push(pos.x, lift, pos.y, r + pulse, g + pulse, b + pulse, 0.85,
+                    POINT_SIZE * (0.6 + sizeNorm * 0.8) * (1 + pulse));
+            }
+
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+            gl.useProgram(pointProgram);
+            gl.uniformMatrix4fv(gl.getUniformLocation(pointProgram, 'viewProjection'), false, viewProjection);
+            gl.uniform1f(gl.getUniformLocation(pointProgram, 'pixelRatio'), dpr);
+            gl.bindBuffer(gl.ARRAY_BUFFER, pointBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(points), gl.DYNAMIC_DRAW);
+            bindAttributes(gl, pointProgram, pointBuffer, POINT_LAYOUT);
+            gl.drawArrays(gl.POINTS, 0, points.length / 8);
+
+            return shown;
+        }
+
+        function destroy() {
+            unsubscribe();
+            for (const buffer of [bedBuffer, sweepBuffer, pointBuffer]) gl.deleteBuffer(buffer);
+            gl.deleteProgram(lineProgram);
+            gl.deleteProgram(pointProgram);
+            canvas.remove();
+        }
+
+        return { resize, frame, destroy };
+    }
+
+    DoverViews.register('webgl', 'WebGL (3D sea bed)', create);
+
+    return { create };
+})();
@@ -0,0 +1,193 @@
+/**
+ * Dover Radar Synth - Web MIDI Output
+ *
+ * Plays every note DoverAudio plays (DoverAudio.onNote) on a MIDI output,
+ * so hardware synths and DAWs can voice the strait:
+ * - Note on/off, velocity from ship length, timed like the internal voices
+ * - Channels: one channel, one per ring, or one per ship type;
+ *   event gestures always go to EVENT_CHANNEL
+ * - Control changes for ship count and mean speed on the base channel
+ * - Clock input: MIDI clock and start/stop from another device drive
+ *   the musical clock (DoverAudio.receiveMidiClock)
+ *
+ * Access is requested on demand (the browser asks the user).
+ */
+const DoverMidi = (() => {
+    const EVENT_CHANNEL = 16;
+    const CC_SHIP_COUNT = 20;       // ships in the region, 0–127
+    const CC_MEAN_SPEED = 21;       // mean speed of ships under way, 0–127 = 0–25 kn
+    const MAX_SPEED = 25;
+    const CC_ALL_NOTES_OFF = 123;
+    const REALTIME = { 0xF8: 'tick', 0xFA: 'start', 0xFB: 'continue', 0xFC: 'stop' };
+
+    // Ship type → channel in 'type' mode; other types use the default
+    const TYPE_CHANNELS = {
+        cargo: 1, container: 2, tanker: 3, passenger: 4, ferry: 5, hsc: 5,
+        fishing: 6, tug: 7, towing: 7, pilot: 7, sar: 7, tender: 7,
+        military: 9, sailing: 10, pleasure: 10,
+        default: 8,
+    };
+
+    let access = null;
+    let output = null;
+    let clockInput = null;
+    let channelMode = 'single';     // 'single', 'ring' or 'type'
+    let baseChannel = 1;
+    let lastCC = {};
+    const listeners = new Set();
+
+    function notify() {
+        for (const fn of listeners) fn(getStatus());
+    }
+
+    function getStatus() {
+        return {
+            supported: typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator,
+            enabled: access !== null,
+            outputs: getOutputs(),
+            output: output ? output.id : null,
+            inputs: getInputs(),
+            clockInput: clockInput ? clockInput.id : null,
+        };
+    }
+
+    function getOutputs() {
+        if (!access) return [];
+        return [...access.outputs.values()].map(o => ({ id: o.id, name: o.name }));
+    }
+
+    function getInputs() {
+        if (!access) return [];
+        return [...access.inputs.values()].map(i => ({ id: i.id, name: i.name }));
+    }
+
+    /**
+     * Ask for MIDI access. Resolves with the status; picks the first
+     * output if none is selected.
+     */
+    async function enable() {
+        if (!access) {
+            access = await navigator.requestMIDIAccess();
+            access.addEventListener('statechange', () => {
+                if (output && output.state === 'disconnected') output = null;
+                if (clockInput && clockInput.state === 'disconnected') setClockInput(null);
+                notify();
+            });
+        }
+        if (!output) {
+            const first = access.outputs.values().next().value;
+            if (first) output = first;
+        }
+        notify();
+        return getStatus();
+    }
+
+    function allNotesOff() {
+        if (!output) return;
+        for (let ch = 0; ch < 16; ch++) output.send([0xB0 | ch, CC_ALL_NOTES_OFF, 0]);
+    }
+
+    /**
+     * Select an output by id (null or '' for none).
+     */
+    function setOutput(id) {
+        allNotesOff();
+        output = (id && access && access.outputs.get(id)) || null;
+        lastCC = {};
+        notify();
+    }
+
+    function receiveClock(message) {
+        const type = REALTIME[message.data[0]];
+        if (type) DoverAudio.receiveMidiClock(type, message.timeStamp);
+    }
+
+    /**
+     * Follow MIDI clock from an input, by id (null or '' for none).
+     */
+    function setClockInput(id) {
+        if (clockInput) clockInput.removeEventListener('midimessage', receiveClock);
+        clockInput = (id && access && access.inputs.get(id)) || null;
+        if (clockInput) {
+            clockInput.addEventListener('midimessage', receiveClock);
+            clockInput.open();
+        }
+        notify();
+    }
+
+    function setChannelMode(mode) {
+        if (['single', 'ring', 'type'].includes(mode)) {
+            allNotesOff();
+            channelMode = mode;
+        }
+    }
+
+    function setBaseChannel(channel) {
+        allNotesOff();
+        baseChannel = Math.round(Math.min(16, Math.max(1, channel)));
+        lastCC = {};
+    }
+
+    /**
+     * 1-based channel for a note from DoverAudio.onNote.
+     */
+    function channelFor(note) {
+        if (note.kind === 'event') return EVENT_CHANNEL;
+        if (channelMode === 'ring') return Math.min(16, baseChannel + note.ring);
+        if (channelMode === 'type') return TYPE_CHANNELS[note.type] || TYPE_CHANNELS.default;
+        return baseChannel;
+    }
+
+    function sendNote(note) {
+        if (!output || note.midi < 0 || note.midi > 127) return;
+        const status = channelFor(note) - 1;
+        const key = Math.round(note.midi);
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+        const at = performance.now() + note.delay * 1000;
+        output.send([0x90 | status, key, velocity], at);
+        output.send([0x80 | status, key, 0], at + note.duration * 1000);
+    }
+
+    function sendCC(number, value) {
+        const v = Math.max(0, Math.min(127, Math.round(value)));
+        if (lastCC[number] === v) return;
+        lastCC[number] = v;
+        output.send([0xB0 | (baseChannel - 1), number, v]);
+    }
+
+    function sendTraffic() {
+        if (!output) return;
+        const { count, meanSpeed } = DoverShips.getTrafficStats();
+        sendCC(CC_SHIP_COUNT, count);
+        sendCC(CC_MEAN_SPEED, meanSpeed / MAX_SPEED * 127);
+    }
+
+    function init() {
+        DoverAudio.onNote(sendNote);
+        DoverShips.onSnapshot(sendTraffic);
+    }
+
+    /**
+     * Subscribe to device and selection changes. Returns an unsubscribe function.
+     */
+    function onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        init,
+        enable,
+        setOutput,
+        setClockInput,
+        setChannelMode,
+        setBaseChannel,
+        getStatus,
+        onChange,
+        allNotesOff,
+        TYPE_CHANNELS,
+        EVENT_CHANNEL,
+        CC_SHIP_COUNT,
+        CC_MEAN_SPEED,
+    };
+})();
@@ -0,0 +1,367 @@
+/**
+ * Dover Radar Synth - NMEA 0183 / AIVDM Decoder
+ *
+ * Decodes raw !AIVDM / !AIVDO sentences from a local AIS receiver
+ * (dAISy, RTL-SDR + AIS-catcher, ...) into the same ship fields the
+ * AISstream source produces (type code, nav status, class, dimensions):
+ * - Checksum validation, 6-bit payload armouring, multi-fragment reassembly
+ * - Message types 1/2/3 (Class A position), 5 (static & voyage),
+ *   18/19 (Class B position) and 24 (Class B static, parts A and B)
+ * - An 'nmea' DoverShips source reading sentences from tools/nmea-bridge.js
+ *
+ * The decoder has no DOM dependencies and also loads under Node
+ * (test/nmea.test.js runs it against recorded sentences: node --test).
+ */
+const DoverNmea = (() => {
+    const DEFAULT_URL = 'ws://localhost:8766';
+    const FRAGMENT_TIMEOUT_MS = 10000;
+    const EMIT_INTERVAL_MS = 2000;
+    const STALE_AFTER_MS = 300000;
+    const RECONNECT_MIN_MS = 5000;
+    const RECONNECT_MAX_MS = 60000;
+
+    // --- Sentences ---
+
+    function checksum(body) {
+        let sum = 0;
+        for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+        return sum;
+    }
+
+    /**
+     * Split one AIVDM/AIVDO line into its fields, or null if it is not
+     * one or fails its checksum. Tag blocks (\...\) before the '!' are skipped.
+     */
+    function parseSentence(line) {
+        const start = line.indexOf('!');
+        if (start < 0) return null;
+        const sentence = line.slice(start).trim();
+
+        const star = sentence.lastIndexOf('*');
+        if (star < 0) return null;
+        const body = sentence.slice(1, star);
+        if (checksum(body) !== parseInt(sentence.slice(star + 1, star + 3), 16)) return null;
+
+        const fields = body.split(',');
+        if (fields.length < 7 || !/^(AI|BS|AB)VD[MO]$/.test(fields[0])) return null;
+
+        return {
+            talker: fields[0],
+            total: parseInt(fields[1], 10),
+            number: parseInt(fields[2], 10),
+            sequenceId: fields[3],
+            channel: fields[4],
+            payload: fields[5],
+            fillBits: parseInt(fields[6], 10) || 0,
+        };
+    }
+
+    /**
+     * Collects fragments of multi-sentence messages. add() returns
+     * { payload, fillBits } once a message is complete, else null.
+     */
+    function createAssembler({ timeoutMs = FRAGMENT_TIMEOUT_MS } = {}) {
+        const pending = new Map();
+
+        function add(sentence, now = Date.now()) {
+            if (sentence.total === 1) {
+                return { payload: sentence.payload, fillBits: sentence.fillBits };
+            }
+
+            for (const [key, entry] of pending) {
+                if (now - entry.startedAt > timeoutMs) pending.delete(key);
+            }
+
+            const key = `${sentence.sequenceId}/${sentence.total}`;
+            let entry = pending.get(key);
+            // Fragments may arrive out of order; only a repeated fragment
+            // means a new message has reused the sequence id
+            if (!entry || entry.parts[sentence.number - 1]) {
+                entry = { parts: [], startedAt: now };
+                pending.set(key, entry);
+            }
+            entry.parts[sentence.number - 1] = sentence;
+
+            for (let i = 0; i < sentence.total; i++) {
+                if (!entry.parts[i]) return null;
+            }
+            pending.delete(key);
+            return {
+                payload: entry.parts.map(p => p.payload).join(''),
+                fillBits: entry.parts[sentence.total - 1].fillBits,
+            };
+        }
+
+        return { add, clear: () => pending.clear() };
+    }
+
+    // --- Payload bits ---
+
+    /**
+     * Undo the 6-bit ASCII armouring into an array of bits.
+     */
+    function unarmour(payload, fillBits = 0) {
+        const bits = [];
+        for (let i = 0; i < payload.length; i++) {
+            let value = payload.charCodeAt(i) - 48;
+            if (value > 40) value -= 8;
+            for (let b = 5; b >= 0; b--) bits.push((value >> b) & 1);
+        }
+        bits.length = Math.max(0, bits.length - fillBits);
+        return bits;
+    }
+
+    function createReader(bits) {
+        function uint(start, length) {
+            let value = 0;
+            for (let i = start; i < start + length; i++) {
+                value = value * 2 + (bits[i] || 0);
+            }
+            return value;
+        }
+
+        function int(start, length) {
+            const value = uint(start, length);
+            return bits[start] ? value - 2 ** length : value;
+        }
+
+        // AIS 6-bit text: 0–31 map to '@'–'_', 32–63 to ' '–'?'
+        function text(start, length) {
+            let str = '';
+            for (let i = start; i + 6 <= start + length && i + 6 <= bits.length; i += 6) {
+                const c = uint(i, 6);
+                str += String.fromCharCode(c < 32 ? c + 64 : c);
+            }
+            return str.replace(/@.*$/, '').trim();
+        }
+
+        return { uint, int, text, length: bits.length };
+    }
+
+    // --- Messages ---
+
+    function position(r, lonAt, latAt, lonBits, latBits) {
+        const lon = r.int(lonAt, lonBits) / 600000;
+        const lat = r.int(latAt, latBits) / 600000;
+        // 181° / 91° mean "not available"
+        if (Math.abs(lon) > 180 || Math.abs(lat) > 90) return {};
+        return { lon: Number(lon.toFixed(6)), lat: Number(lat.toFixed(6)) };
+    }
+
+    function motion(r, sogAt, cogAt, headingAt) {
+        const fields = {};
+        const sog = r.uint(sogAt, 10);
+        if (sog !== 1023) fields.speed = sog / 10;
+        const heading = r.uint(headingAt, 9);
+        const cog = r.uint(cogAt, 12);
+        if (heading < 360) {
+            fields.heading = heading;
+        } else if (cog < 3600) {
+            fields.heading = Math.round(cog / 10) % 360;
+        }
+        return fields;
+    }
+
+    function dimensions(r, at) {
+        const length = r.uint(at, 9) + r.uint(at + 9, 9);
+        const beam = r.uint(at + 18, 6) + r.uint(at + 24, 6);
+        const fields = {};
+        if (length > 0) fields.length = length;
+        if (beam > 0) fields.beam = beam;
+        return fields;
+    }
+
+    function withName(fields, name) {
+        if (name) fields.name = name;
+        return fields;
+    }
+
+    /**
+     * Decode a complete payload into { msgType, mmsi, fields } where
+     * `fields` uses DoverShips' ship field names (plus typeCode and
+     * destination, which the ship tracker turns into type/typeName).
+     * Returns null for unsupported or truncated messages.
+     */
+    function decodePayload(payload, fillBits = 0) {
+        const r = createReader(unarmour(payload, fillBits));
+        if (r.length < 38) return null;
+
+        const msgType = r.uint(0, 6);
+        const mmsi = r.uint(8, 30);
+        let fields;
+
+        switch (msgType) {
+            case 1:
+            case 2:
+            case 3:
+                if (r.length < 149) return null;
+                fields = {
+                    navStatus: r.uint(38, 4),
+                    ...position(r, 61, 89, 28, 27),
+                    ...motion(r, 50, 116, 128),
+                };
+                break;
+
+            case 5:
+                if (r.length < 420) return null;
+                fields = withName({
+                    callsign: r.text(70, 42) || undefined,
+                    typeCode: r.uint(232, 8),
+                    ...dimensions(r, 240),
+                    draught: r.uint(294, 8) / 10 || undefined,
+                    destination: r.text(302, 120) || undefined,
+                }, r.text(112, 120));
+                break;
+
+            case 18:
+                if (r.length < 168) return null;
+                fields = {
+                    ...position(r, 57, 85, 28, 27),
+                    ...motion(r, 46, 112, 124),
+                };
+                break;
+
+            case 19:
+                if (r.length < 312) return null;
+                fields = withName({
+                    ...position(r, 57, 85, 28, 27),
+                    ...motion(r, 46, 112, 124),
+                    typeCode: r.uint(263, 8),
+                    ...dimensions(r, 271),
+                }, r.text(143, 120));
+                break;
+
+            case 24: {
+                const part = r.uint(38, 2);
+                if (part === 0) {
+                    if (r.length < 160) return null;
+                    fields = withName({}, r.text(40, 120));
+                } else if (part === 1) {
+                    if (r.length < 162) return null;
+                    fields = {
+                        typeCode: r.uint(40, 8),
+                        callsign: r.text(90, 42) || undefined,
+                        // Auxiliary craft (98xxxxxxx) report a mothership MMSI here instead
+                        ...(String(mmsi).startsWith('98') ? {} : dimensions(r, 132)),
+                    };
+                } else {
+                    return null;
+                }
+                break;
+            }
+
+            default:
+                return null;
+        }
+
+        fields.aisClass = msgType <= 5 ? 'A' : 'B';
+        return { msgType, mmsi, fields };
+    }
+
+    /**
+     * Feed a chunk of text (one or more lines) through an assembler.
+     * Returns the decoded messages.
+     */
+    function decodeLines(text, assembler) {
+        const messages = [];
+        for (const line of text.split(/\r?\n/)) {
+            const sentence = parseSentence(line);
+            if (!sentence) continue;
+            const complete = assembler.add(sentence);
+            if (!complete) continue;
+            const message = decodePayload(complete.payload, complete.fillBits);
+            if (message) messages.push(message);
+        }
+        return messages;
+    }
+
+    // --- DoverShips source ---
+
+    /**
+     * Source factory for DoverShips.useSource('nmea', { url }): reads
+     * sentences relayed over WebSocket by tools/nmea-bridge.js.
+     */
+    function createSource({ url = DEFAULT_URL } = {}) {
+        const tracker = DoverShips.createShipTracker({ staleAfterMs: STALE_AFTER_MS });
+        const assembler = createAssembler();
+        let feed = null;
+        let socket = null;
+        let running = false;
+        let emitTimer = null;
+        let reconnectTimer = null;
+        let reconnectDelay = RECONNECT_MIN_MS;
+
+        function emit() {
+            feed.emit(tracker.snapshot(feed.getBBox()), { source: 'live' });
+        }
+
+        function connect() {
+            feed.setStatus(`connecting to ${url}`);
+            try {
+                socket = new WebSocket(url);
+            } catch (e) {
+                feed.fail(e);
+                return;
+            }
+
+            socket.addEventListener('open', () => {
+                reconnectDelay = RECONNECT_MIN_MS;
+                feed.setStatus('connected to receiver');
+            });
+
+            socket.addEventListener('message', async event => {
+                const text = typeof event.data === 'string' ? event.data : await event.data.text();
+                for (const { mmsi, fields } of decodeLines(text, assembler)) {
+                    tracker.update(mmsi, fields);
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                socket = null;
+                if (!running) return;
+                feed.setStatus(`bridge unreachable, retrying in ${reconnectDelay / 1000}s`);
+                reconnectTimer = setTimeout(connect, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+            });
+        }
+
+        return {
+            start(f) {
+                feed = f;
+                running = true;
+                emit();
+                emitTimer = setInterval(emit, EMIT_INTERVAL_MS);
+                connect();
+            },
+            stop() {
+                running = false;
+                clearInterval(emitTimer);
+                clearTimeout(reconnectTimer);
+                if (socket) socket.close();
+                socket = null;
+                assembler.clear();
+            },
+            // The receiver hears what it hears; only the bbox filter changes
+            regionChanged() {
+                emit();
+            },
+        };
+    }
+
+    if (typeof DoverShips !== 'undefined') {
+        DoverShips.registerSource('nmea', createSource);
+    }
+
+    return {
+        parseSentence,
+        createAssembler,
+        unarmour,
+        decodePayload,
+        decodeLines,
+        createSource,
+        checksum,
+        DEFAULT_URL,
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = DoverNmea;
@@ -0,0 +1,181 @@
+/**
+ * Dover Radar Synth - OSC Output
+ *
+ * Sends Open Sound Control messages over a WebSocket, for Max, Pd,
+ * TouchDesigner and friends. Browsers cannot send UDP, so point it at
+ * tools/osc-bridge.js, which forwards each packet to a UDP port (or at
+ * anything that takes binary OSC over WebSocket directly).
+ *
+ *   /dover/note    kind type mmsi ring midi velocity duration pan
+ *   /dover/event   type mmsi lat lon
+ *   /dover/traffic count meanSpeed
+ *   /dover/ambient density speed churn harmony
+ */
+const DoverOsc = (() => {
+    const DEFAULT_URL = 'ws://localhost:8767';
+    const RECONNECT_MIN_MS = 5000;
+    const RECONNECT_MAX_MS = 60000;
+
+    // --- Encoding ---
+
+    function paddedString(str) {
+        const bytes = new TextEncoder().encode(str);
+        const padded = new Uint8Array(Math.ceil((bytes.length + 1) / 4) * 4);
+        padded.set(bytes);
+        return padded;
+    }
+
+    /**
+     * One OSC message as bytes. `types` gives each argument's type tag
+     * ('i', 'f', 's'); without it integers are sent as int32, other
+     * numbers as float32, strings as 's', booleans as 'T'/'F'.
+     */
+    function encodeMessage(address, args = [], types = '') {
+        let tags = ',';
+        const parts = [paddedString(address)];
+        const argParts = [];
+
+        args.forEach((arg, i) => {
+            const type = types[i] || (typeof arg === 'number'
+                ? (Number.isInteger(arg) && Math.abs(arg) < 2 ** 31 ? 'i' : 'f')
+                : typeof arg === 'boolean' ? (arg ? 'T' : 'F') : 's');
+
+            if (type === 'T' || type === 'F') {
+                tags += type;
+            } else if (type === 'i' || type === 'f') {
+                const bytes = new Uint8Array(4);
+                const view = new DataView(bytes.buffer);
+                tags += type;
+                if (type === 'i') view.setInt32(0, Math.round(Number(arg) || 0));
+                else view.setFloat32(0, Number(arg) || 0);
+                argParts.push(bytes);
+            } else {
+                tags += 's';
+                argParts.push(paddedString(String(arg ?? '')));
+            }
+        });
+
+        parts.push(paddedString(tags), ...argParts);
+        const message = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            message.set(part, offset);
+            offset += part.length;
+        }
+        return message;
+    }
+
+    // --- Connection ---
+
+    let url = DEFAULT_URL;
+    let socket = null;
+    let wanted = false;
+    let status = 'off';
+    let reconnectTimer = null;
+    let reconnectDelay = RECONNECT_MIN_MS;
+    const listeners = new Set();
+
+    function setStatus(text) {
+        status = text;
+        for (const fn of listeners) fn(status);
+    }
+
+    function open() {
+        setStatus(`connecting to ${url}`);
+        let ws;
+        try {
+            ws = new WebSocket(url);
+        } catch (e) {
+            wanted = false;
+            setStatus(`bad URL: ${e.message}`);
+            return;
+        }
+        ws.binaryType = 'arraybuffer';
+        socket = ws;
+
+        // A socket closed by disconnect() may report back after a new one
+        // has opened; only the current socket touches the state
+        ws.addEventListener('open', () => {
+            if (ws !== socket) return;
+            reconnectDelay = RECONNECT_MIN_MS;
+            setStatus('connected');
+        });
+        ws.addEventListener('close', () => {
+            if (ws !== socket) return;
+            socket = null;
+            if (!wanted) return;
+            setStatus(`bridge unreachable, retrying in ${reconnectDelay / 1000}s`);
+            reconnectTimer = setTimeout(open, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+        });
+    }
+
+    /**
+     * Connect to an OSC WebSocket (default tools/osc-bridge.js).
+     */
+    function connect(newUrl = url) {
+        disconnect();
+        url = newUrl;
+        wanted = true;
+        open();
+    }
+
+    function disconnect() {
+        wanted = false;
+        clearTimeout(reconnectTimer);
+        if (socket) socket.close();
+        socket = null;
+        setStatus('off');
+    }
+
+    /**
+     * Send one message if connected; see encodeMessage for `types`.
+     */
+    function send(address, args = [], types = '') {
+        if (!socket || socket.readyState !== WebSocket.OPEN) return;
+        socket.send(encodeMessage(address, args, types));
+    }
+
+    // --- Sources ---
+
+    function sendNote(note) {
+        const args = [note.kind, note.type, note.mmsi, note.ring, note.midi, note.velocity, note.duration, note.pan];
+        const deliver = () => send('/dover/note', args, 'ssiiifff');
+        if (note.delay > 0) setTimeout(deliver, note.delay * 1000);
+        else deliver();
+    }
+
+    function init() {
+        DoverAudio.onNote(sendNote);
+        DoverShips.onEvent(event => {
+            send('/dover/event', [event.type, event.mmsi, event.lat, event.lon], 'siff');
+        });
+        DoverShips.onSnapshot(() => {
+            const { count, meanSpeed } = DoverShips.getTrafficStats();
+            send('/dover/traffic', [count, meanSpeed], 'if');
+        });
+        DoverAmbient.onChange(state => {
+            send('/dover/ambient', [state.density, state.speed, state.churn, state.harmony], 'fffs');
+        });
+    }
+
+    /**
+     * Subscribe to connection status text. Returns an unsubscribe function.
+     */
+    function onStatusChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        init,
+        connect,
+        disconnect,
+        send,
+        encodeMessage,
+        onStatusChange,
+        getStatus: () => status,
+        isConnected: () => Boolean(socket && socket.readyState === WebSocket.OPEN),
+        DEFAULT_URL,
+    };
+})();
@@ -0,0 +1,242 @@
+/**
+ * Dover Radar Synth - Presets & Shareable State
+ *
+ * Captures every control in the debug panel (plus the ring mixer) as a
+ * plain object and restores it by driving the controls themselves, so
+ * sliders, readouts and the live audio nodes all go through the same
+ * input handlers:
+ * - Named presets in localStorage
+ * - Import/export as JSON files
+ * - The current state encoded in the URL hash (#preset=...)
+ */
+const DoverPresets = (() => {
+    const STORAGE_KEY = 'doverRadar.presets';
+    const HASH_KEY = 'preset';
+    const VERSION = 1;
+    const HASH_DEBOUNCE_MS = 400;
+
+    // Controls that describe playback position rather than sound
+    const EXCLUDE = /^ctrl-session-/;
+    // Query parameters a shared link carries over; anything else (an API
+    // key, say) stays on this machine
+    const SHARED_PARAMS = ['region', 'bbox', 'source', 'seed', 'view', 'audio-only', 'stats'];
+
+    let hashTimer = null;
+
+    function getControls() {
+        return [...document.querySelectorAll('#debug-panel [id^="ctrl-"]')]
+            .filter(el => !EXCLUDE.test(el.id) && el.type !== 'file');
+    }
+
+    function keyFor(el) {
+        return el.id.replace(/^ctrl-/, '');
+    }
+
+    /**
+     * Snapshot of the current control values.
+     */
+    function capture() {
+        const controls = {};
+        for (const el of getControls()) {
+            if (el.type === 'checkbox') {
+                controls[keyFor(el)] = el.checked;
+            } else if (el.type === 'range') {
+                controls[keyFor(el)] = parseFloat(el.value);
+            } else {
+                controls[keyFor(el)] = el.value;
+            }
+        }
+        return { v: VERSION, controls, ringEnabled: DoverAudio.ringEnabled.slice(), mixer: DoverAudio.getMixer() };
+    }
+
+    function setControl(el, value) {
+        if (el.type === 'checkbox') {
+            if (el.checked === Boolean(value)) return;
+            el.checked = Boolean(value);
+            el.dispatchEvent(new Event('change'));
+        } else if (el.type === 'range') {
+            el.value = value;
+            el.dispatchEvent(new Event('input'));
+            el.dispatchEvent(new Event('change'));
+        } else {
+            el.value = value;
+            el.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Restore a captured state. Unknown keys are ignored and missing keys
+     * leave their control alone, so older presets keep working.
+     */
+    function apply(state) {
+        if (!state || typeof state.controls !== 'object') throw new Error('Not a preset');
+
+        // Text fields first: selects (e.g. the scale mode) may read them
+        const controls = getControls().sort((a, b) => (b.type === 'text') - (a.type === 'text'));
+        for (const el of controls) {
+            const key = keyFor(el);
+            if (key in state.controls) setControl(el, state.controls[key]);
+        }
+
+        if (Array.isArray(state.ringEnabled)) {
+            state.ringEnabled.forEach((on, i) => DoverAudio.setRingEnabled(i, Boolean(on)));
+        }
+        // Older presets have no mixer and leave it as it is
+        if (Array.isArray(state.mixer)) {
+            state.mixer.forEach((strip, i) => DoverAudio.setRingMix(i, strip));
+        }
+    }
+
+    // --- URL hash ---
+
+    function encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        for (const b of bytes) binary += String.fromCharCode(b);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decode(str) {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    function readHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const value = params.get(HASH_KEY);
+        if (!value) return null;
+        try {
+            return decode(value);
+        } catch (e) {
+            console.warn('Ignoring unreadable preset in URL:', e);
+            return null;
+        }
+    }
+
+    function getShareUrl(state = capture()) {
+        const url = new URL(window.location.origin + window.location.pathname);
+        const params = new URLSearchParams(window.location.search);
+        for (const name of SHARED_PARAMS) {
+            for (const value of params.getAll(name)) url.searchParams.append(name, value);
+        }
+        url.hash = `${HASH_KEY}=${encode(state)}`;
+        return url.toString();
+    }
+
+    function writeHash() {
+        clearTimeout(hashTimer);
+        hashTimer = setTimeout(() => {
+            history.replaceState(null, '', getShareUrl());
+        }, HASH_DEBOUNCE_MS);
+    }
+
+    // --- Named presets ---
+
+    function readStore() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function writeStore(store) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    }
+
+    function list() {
+        return Object.keys(readStore()).sort((a, b) => a.localeCompare(b));
+    }
+
+    function save(name, state = capture()) {
+        const store = readStore();
+        store[name] = state;
+        writeStore(store);
+    }
+
+    function load(name) {
+        const state = readStore()[name];
+        if (!state) return false;
+        apply(state);
+        return true;
+    }
+
+    function remove(name) {
+        const store = readStore();
+        delete store[name];
+        writeStore(store);
+    }
+
+    // --- Files ---
+
+    function exportFile(name) {
+        const state = name ? readStore()[name] : capture();
+        const blob = new Blob([JSON.stringify({ name: name || 'current', ...state }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `dover-preset_${(name || 'current').replace(/[^\w-]+/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read a preset file, store it under its name and apply it.
+     * Resolves with the name it was stored under.
+     */
+    async function importFile(file) {
+        const state = JSON.parse(await file.text());
+        if (!state || typeof state.controls !== 'object') throw new Error('Not a preset');
+        const name = state.name || file.name.replace(/\.json$/i, '');
+        delete state.name;
+        save(name, state);
+        apply(state);
+        return name;
+    }
+
+    /**
+     * Apply the URL hash state (if any) and keep the hash in sync with
+     * every later control change.
+     */
+    function init() {
+        const fromHash = readHash();
+        if (fromHash) {
+            try {
+                apply(fromHash);
+            } catch (e) {
+                console.warn('Ignoring invalid preset in URL:', e);
+            }
+        }
+
+        const panel = document.getElementById('debug-panel');
+        const onChange = e => {
+            if (e.target.id && e.target.id.startsWith('ctrl-') && !EXCLUDE.test(e.target.id)) writeHash();
+        };
+        panel.addEventListener('input', onChange);
+        panel.addEventListener('change', onChange);
+        DoverAudio.onMixerChange(writeHash);
+
+        window.addEventListener('hashchange', () => {
+            const state = readHash();
+            if (state) apply(state);
+        });
+    }
+
+    return {
+        init,
+        capture,
+        apply,
+        encode,
+        decode,
+        getShareUrl,
+        list,
+        save,
+        load,
+        remove,
+        exportFile,
+        importFile,
+    };
+})();
@@ -0,0 +1,61 @@
+/**
+ * Dover Radar Synth - Map Projection
+ *
+ * Equirectangular projection with a cos(latitude) correction at the
+ * radar center, so one nautical mile is the same length on screen in
+ * every direction. Radar coordinates are normalised: the rim of the
+ * radar (the range) is at distance 1 from the center, north is -y.
+ */
+const DoverProjection = (() => {
+
+    const NM_PER_DEGREE_LAT = 60;
+
+    /**
+     * Create a projection centered on {lat, lon} with the rim `rangeNm` away.
+     */
+    function create(center, rangeNm) {
+        const cosLat = Math.cos(center.lat * Math.PI / 180);
+
+        function toNm(lat, lon) {
+            return {
+                east: (lon - center.lon) * NM_PER_DEGREE_LAT * cosLat,
+                north: (lat - center.lat) * NM_PER_DEGREE_LAT,
+            };
+        }
+
+        function project(lat, lon) {
+            const { east, north } = toNm(lat, lon);
+            return { x: east / rangeNm, y: -north / rangeNm };
+        }
+
+        function unproject(x, y) {
+            return {
+                lat: center.lat + (-y * rangeNm) / NM_PER_DEGREE_LAT,
+                lon: center.lon + (x * rangeNm) / (NM_PER_DEGREE_LAT * cosLat),
+            };
+        }
+
+        function distanceNm(lat, lon) {
+            const { east, north } = toNm(lat, lon);
+            return Math.sqrt(east * east + north * north);
+        }
+
+        return { center, rangeNm, project, unproject, distanceNm };
+    }
+
+    /**
+     * Range that fits a bounding box's longer half-axis inside the rim.
+     */
+    function rangeForBBox(center, bbox) {
+        const cosLat = Math.cos(center.lat * Math.PI / 180);
+        const northSouth = Math.max(bbox.latMax - center.lat, center.lat - bbox.latMin) * NM_PER_DEGREE_LAT;
+        const eastWest = Math.max(bbox.lonMax - center.lon, center.lon - bbox.lonMin) * NM_PER_DEGREE_LAT * cosLat;
+        return Math.max(northSouth, eastWest);
+    }
+
+    return {
+        create,
+        rangeForBBox,
+        NM_PER_DEGREE_LAT,
+    };
+})();
@@ -3,76 +3,161 @@
  *
  * Matching art.lol/boats aesthetic:
  * - Chevron-shaped ship blips colored by speed
- * - Dover Strait coastline outline
- * - Clean concentric rings with subtle grid
+ * - Fading wake trails and optional phosphor persistence
+ * - Markers and sounds for traffic events (arrivals, close quarters, ...)
+ * - Coastline outline and place labels for the current region
+ * - Sweep modes: multiple and counter-rotating arms, tempo steps, sonar ping, linear scan
+ * - Musical clock: tempo, quantize and swing, or external MIDI clock
+ * - Range rings labelled in nautical miles, subtle grid
+ * - Cached static layers and chevron sprites, HiDPI backing store, a grid
+ *   index for hover/tap, and a frame-time overlay (?stats)
  * - Cinematic start screen
- * - Hover tooltips
+ * - Audio-only mode (?audio-only): DoverEngine plays on with nothing drawn
+ * - Other views in place of the scope (DoverViews: WebGL, score), ?view=
+ * - Wheel/pinch zoom and drag to pan; keyboard shortcuts (see KEYBOARD in
+ *   the panel); vessel names read out to screen readers (DoverAnnouncer)
+ * - High-contrast palette and reduced motion (both follow the system setting)
+ * - Ring mixer strips (mute, solo, volume, pan, note, synth); muted rings
+ *   dim on the scope, soloed ones are outlined, the strip in hand lights up
+ * - Hover tooltips, click/tap detail panel with follow (solo) mode
  * - Audio controls via 'D' key
  * - Fullscreen support
+ * - WAV recording of the session
+ * - Traffic session record/replay controls
+ * - Web MIDI and OSC output, with the internal sound optionally muted
+ * - Presets (localStorage, JSON files, URL hash)
  */
 (() => {
     // --- DOM ---
     const canvas = document.getElementById('sonar');
     const ctx = canvas.getContext('2d');
     const startScreen = document.getElementById('start-screen');
+    const startPrompt = startScreen.querySelector('p');
     const zoneIndicator = document.getElementById('zone-indicator');
+    const zoneName = document.getElementById('zone-name');
     const infoPanel = document.getElementById('info-panel');
     const shipCountEl = document.getElementById('ship-count');
     const tooltip = document.getElementById('hover-tooltip');
     const debugPanel = document.getElementById('debug-panel');
     const fullscreenBtn = document.getElementById('fullscreen-btn');
     const audioToggleBtn = document.getElementById('audio-toggle-btn');
+    const recordBtn = document.getElementById('record-btn');
+    const detailPanel = document.getElementById('ship-detail');
+    const detailName = document.getElementById('ship-detail-name');
+    const detailFields = document.getElementById('ship-detail-fields');
+    const detailFollowBtn = document.getElementById('ship-detail-follow');
+    const detailCloseBtn = document.getElementById('ship-detail-close');
 
     // --- State ---
-    const RING_COUNT = DoverAudio.RING_COUNT;
-    let sweepSpeed = 0.8; // radians per second
-    let sweepAngle = 0;
-    let lastTime = 0;
+    const sweep = DoverEngine.sweep; // the engine plays it; we only draw it
+    let framePhase = 0;             // sweep phase being heard this frame
     let animId = null;
     let hasStarted = false;
-    let triggeredShips = new Set();
-    let lastSweepQuadrant = -1;
+    let audioStarting = false;
+    let audioOnly = new URLSearchParams(window.location.search).has('audio-only');
+
+    // Hit flashes — mmsi -> performance.now() when the note is heard
+    const HIT_FLASH_MS = 300;
+    const hitFlashes = new Map();
+
+    // Trails — past positions per mmsi, sampled once a second
+    const TRAIL_SAMPLE_MS = 1000;
+    const TRAIL_BREAK = 0.15; // radar units; longer hops are wraps, not wakes
+    const TRAIL_FADE_STEPS = 8;
+    const trails = new Map();
+    let trailsEnabled = true;
+    let trailLength = 30;
+    let lastTrailSample = 0;
+
+    // Detail panel — selected ship, and whether we follow (solo) it
+    const DETAIL_REFRESH_MS = 250;
+    const MIN_HIT_RADIUS = 12; // px; keeps small chevrons tappable
+    const MAX_CHEVRON_SIZE = 9; // px; see shipGeometry
+    let selectedMmsi = null;
+    let following = false;
+    let lastDetailRefresh = 0;
+
+    // Phosphor persistence — blips glow when painted, then fade until the next pass
+    const PHOSPHOR_DECAY = 1.6; // radians of sweep travel per 1/e of brightness
+    let phosphorMode = false;
+
+    // Traffic event markers — an expanding ring and label where it happened
+    const EVENT_MARKER_MS = 4000;
+    const EVENT_MARKER_COLORS = {
+        arrival:       'rgba(100, 255, 150, A)',
+        departure:     'rgba(150, 170, 255, A)',
+        anchoring:     'rgba(200, 140, 255, A)',
+        turn:          'rgba(255, 220, 100, A)',
+        ferryCrossing: 'rgba(100, 220, 255, A)',
+        closeQuarters: 'rgba(255, 100, 100, A)',
+    };
+    const eventMarkers = [];
+    let eventMarkersEnabled = true;
+
+    // Blip colours: 'speed', 'type' or 'status' (see DoverShips.getShipColor)
+    let colorMode = 'speed';
+    const legendTitle = document.getElementById('legend-title');
+    const legendEl = document.getElementById('legend');
+    const SPEED_LEGEND = [
+        ['hsl(15, 80%, 60%)', 'Fast (18+ kn)'],
+        ['hsl(45, 80%, 60%)', 'Medium (12-18 kn)'],
+        ['hsl(120, 80%, 60%)', 'Slow (6-12 kn)'],
+        ['hsl(190, 80%, 60%)', 'Very Slow (0-6 kn)'],
+        ['hsl(270, 60%, 60%)', 'Anchored / Moored'],
+    ];
 
-    // Canvas sizing
+    // Ring under the pointer or focus in the mixer (null: none)
+    let highlightRing = null;
+
+    // Scope palettes. High contrast lifts the faint lines and labels and
+    // draws the sweep in yellow; ship colours keep their legend meaning.
+    const PALETTES = {
+        standard: { ink: 1, sweep: '100, 255, 150', front: 0.6, coast: 0.12, blip: 0.85 },
+        contrast: { ink: 3, sweep: '255, 230, 0', front: 1, coast: 0.7, blip: 1 },
+    };
+    let palette = PALETTES.standard;
+    const ink = alpha => `rgba(255, 255, 255, ${Math.min(1, alpha * palette.ink)})`;
+
+    // Reduced motion: event markers and the follow ring hold still
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let reducedMotion = Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+
+    // Zoom and pan gestures (the view itself lives in DoverShips)
+    const WHEEL_ZOOM = 0.0015;      // zoom factor per wheel pixel, as an exponent
+    const KEY_ZOOM = 1.25;
+    const KEY_PAN = 0.1;            // radar units per arrow press
+    const DRAG_THRESHOLD = 5;       // px before a press becomes a drag, not a tap
+    const pointers = new Map();     // pointerId -> { x, y } in canvas px
+    let gesture = null;             // { dragged, travel } of the latest press
+
+    // Canvas sizing — drawing is in CSS pixels; the backing store is
+    // devicePixelRatio times larger so lines stay crisp on HiDPI screens
     let cx, cy, radius;
+    let dpr = 1;
+    let cssSize = 0;
 
-    // --- Simplified Dover Strait coastline (lat/lon points) ---
-    // English coast: Dover to Folkestone area
-    const COAST_ENGLAND = [
-        { lat: 51.35, lon: 1.00 },
-        { lat: 51.33, lon: 1.10 },
-        { lat: 51.30, lon: 1.15 },
-        { lat: 51.25, lon: 1.18 },
-        { lat: 51.20, lon: 1.20 },
-        { lat: 51.15, lon: 1.22 },
-        { lat: 51.13, lon: 1.30 },
-        { lat: 51.12, lon: 1.35 },
-        { lat: 51.10, lon: 1.32 },
-        { lat: 51.08, lon: 1.22 },
-        { lat: 51.07, lon: 1.10 },
-        { lat: 51.08, lon: 1.00 },
-    ];
+    // Static layer — coastline, rings, labels and compass, redrawn only
+    // when one of them changes (see staticLayerKey)
+    let staticLayer = null;
+    let staticKey = '';
+    let regionVersion = 0;
 
-    // French coast: Calais to Cap Gris-Nez area
-    const COAST_FRANCE = [
-        { lat: 50.87, lon: 1.55 },
-        { lat: 50.88, lon: 1.60 },
-        { lat: 50.90, lon: 1.68 },
-        { lat: 50.93, lon: 1.78 },
-        { lat: 50.95, lon: 1.85 },
-        { lat: 50.96, lon: 1.90 },
-        { lat: 50.97, lon: 1.98 },
-        { lat: 50.97, lon: 2.05 },
-        { lat: 50.96, lon: 2.10 },
-        { lat: 50.95, lon: 2.15 },
-    ];
+    // Chevron sprites with the glow baked in, per colour and size
+    const CHEVRON_GLOW = 6;
+    const chevronSprites = new Map();
 
-    // Place labels
-    const PLACES = [
-        { name: 'Dover', lat: 51.13, lon: 1.31 },
-        { name: 'Folkestone', lat: 51.08, lon: 1.17 },
-        { name: 'Calais', lat: 50.95, lon: 1.86 },
-    ];
+    // Where each ship was drawn last frame, for hover and tap
+    const HIT_GRID_CELL = 32; // px
+    const hitGrid = DoverSpatial.createGrid(HIT_GRID_CELL);
+
+    // Frame-time overlay (also ?stats)
+    const FRAME_STATS_SAMPLES = 120;
+    const frameStats = { intervals: [], drawTimes: [], lastFrame: 0 };
+    let frameStatsEnabled = new URLSearchParams(window.location.search).has('stats');
+
+    // Another view drawing in place of the scope (null: the radar itself)
+    let activeView = null;
+    let activeViewName = 'radar';
 
     function resize() {
         const isFullscreen = document.fullscreenElement
@@ -99,52 +184,161 @@
             }
         }
 
-        const size = Math.min(maxW, maxH);
-        canvas.width = size;
-        canvas.height = size;
+        const size = Math.floor(Math.min(maxW, maxH));
+        const ratio = window.devicePixelRatio || 1;
+        if (ratio !== dpr) chevronSprites.clear();
+        dpr = ratio;
+        cssSize = size;
+
+        canvas.width = Math.round(size * dpr);
+        canvas.height = Math.round(size * dpr);
+        canvas.style.width = size + 'px';
+        canvas.style.height = size + 'px';
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
         cx = size / 2;
         cy = size / 2;
         radius = size / 2 - 20;
+        if (activeView) activeView.resize(cssSize, dpr);
+        watchPixelRatio();
+    }
+
+    // Zooming or moving to another screen changes devicePixelRatio
+    // without a resize event
+    let pixelRatioQuery = null;
+    function watchPixelRatio() {
+        if (!window.matchMedia) return;
+        if (pixelRatioQuery) pixelRatioQuery.removeEventListener('change', resize);
+        pixelRatioQuery = window.matchMedia(`(resolution: ${dpr}dppx)`);
+        pixelRatioQuery.addEventListener('change', resize);
+    }
+
+    /**
+     * An offscreen drawing surface: OffscreenCanvas where available,
+     * otherwise a detached canvas.
+     */
+    function createLayer(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        return layer;
     }
 
     // --- Drawing ---
 
     function drawBackground() {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.clearRect(0, 0, cssSize, cssSize);
     }
 
-    function drawRings() {
-        const ringWidth = radius / RING_COUNT;
+    // Everything the static layer depends on
+    function staticLayerKey() {
+        const view = DoverShips.getView();
+        return [canvas.width, dpr, DoverAudio.getRingCount(), DoverShips.getRangeNm(),
+            view.x, view.y, regionVersion, palette.ink].join('|');
+    }
+
+    /**
+     * Blit the static layer, rebuilding it first if anything it shows changed.
+     */
+    function drawStatic() {
+        const key = staticLayerKey();
+        if (!staticLayer || key !== staticKey) {
+            staticKey = key;
+            staticLayer = createLayer(canvas.width, canvas.height);
+            const layerCtx = staticLayer.getContext('2d');
+            layerCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            drawCoastline(layerCtx);
+            drawRings(layerCtx);
+            drawCompass(layerCtx);
+        }
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(staticLayer, 0, 0);
+        ctx.restore();
+    }
+
+    function drawRings(c) {
+        const ringCount = DoverAudio.getRingCount();
+        const ringWidth = radius / ringCount;
 
         // Concentric rings
-        for (let i = 1; i <= RING_COUNT; i++) {
+        for (let i = 1; i <= ringCount; i++) {
             const r = ringWidth * i;
-            ctx.beginPath();
-            ctx.arc(cx, cy, r, 0, Math.PI * 2);
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
-            ctx.lineWidth = 0.5;
-            ctx.stroke();
+            c.beginPath();
+            c.arc(cx, cy, r, 0, Math.PI * 2);
+            c.strokeStyle = ink(0.08);
+            c.lineWidth = 0.5;
+            c.stroke();
+        }
+
+        // Ring distances, just east of the north line
+        const ringNm = DoverShips.getRangeNm() / ringCount;
+        c.font = '9px Courier New';
+        c.fillStyle = ink(0.22);
+        c.textAlign = 'left';
+        c.textBaseline = 'bottom';
+        for (let i = 1; i <= ringCount; i++) {
+            const nm = ringNm * i;
+            c.fillText((nm < 10 ? nm.toFixed(1) : Math.round(nm)) + ' nm', cx + 4, cy - ringWidth * i - 2);
         }
 
         // Crosshairs — 8 lines
         for (let a = 0; a < 8; a++) {
             const angle = (a * Math.PI) / 4;
-            ctx.beginPath();
-            ctx.moveTo(cx, cy);
-            ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.04)';
-            ctx.lineWidth = 0.5;
-            ctx.stroke();
+            c.beginPath();
+            c.moveTo(cx, cy);
+            c.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+            c.strokeStyle = ink(0.04);
+            c.lineWidth = 0.5;
+            c.stroke();
         }
 
         // Center dot
-        ctx.beginPath();
-        ctx.arc(cx, cy, 2, 0, Math.PI * 2);
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.fill();
+        c.beginPath();
+        c.arc(cx, cy, 2, 0, Math.PI * 2);
+        c.fillStyle = ink(0.3);
+        c.fill();
+    }
+
+    /**
+     * Mixer state on the rings: muted (and, while others solo, silent)
+     * rings darken, soloed rings are outlined and the ring whose strip is
+     * being used lights up.
+     */
+    function drawRingStates() {
+        const ringCount = DoverAudio.getRingCount();
+        const ringWidth = radius / ringCount;
+        const annulus = (i) => {
+            ctx.beginPath();
+            ctx.arc(cx, cy, ringWidth * (i + 1), 0, Math.PI * 2);
+            ctx.arc(cx, cy, ringWidth * i, 0, Math.PI * 2, true);
+        };
+
+        ctx.save();
+        for (let i = 0; i < ringCount; i++) {
+            const strip = DoverAudio.getRingMix(i);
+            if (i === highlightRing) {
+                annulus(i);
+                ctx.fillStyle = `rgba(${palette.sweep}, 0.08)`;
+                ctx.fill();
+            } else if (!DoverAudio.isRingAudible(i)) {
+                annulus(i);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+                ctx.fill();
+            }
+            if (strip && strip.solo) {
+                annulus(i);
+                ctx.strokeStyle = `rgba(${palette.sweep}, ${palette.front * 0.6})`;
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
     }
 
-    function drawCompass() {
+    function drawCompass(c) {
         const labels = [
             { text: 'N', angle: -Math.PI / 2 },
             { text: 'E', angle: 0 },
@@ -152,236 +346,551 @@
             { text: 'W', angle: Math.PI },
         ];
 
-        ctx.font = '11px Courier New';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
+        c.font = '11px Courier New';
+        c.fillStyle = ink(0.3);
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
 
         for (const l of labels) {
             const x = cx + Math.cos(l.angle) * (radius + 14);
             const y = cy + Math.sin(l.angle) * (radius + 14);
-            ctx.fillText(l.text, x, y);
+            c.fillText(l.text, x, y);
         }
     }
 
-    function drawCoastline() {
-        drawCoastPath(COAST_ENGLAND);
-        drawCoastPath(COAST_FRANCE);
+    function drawCoastline(c) {
+        const region = DoverRegion.get();
+        if (!region) return;
+
+        for (const coast of region.coasts) {
+            drawCoastPath(c, coast);
+        }
 
         // Place labels
-        ctx.font = '10px Courier New';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
-        ctx.textAlign = 'left';
+        c.font = '10px Courier New';
+        c.fillStyle = ink(0.25);
+        c.textAlign = 'left';
 
-        for (const place of PLACES) {
+        for (const place of region.places) {
             const p = DoverShips.geoToRadar(place.lat, place.lon);
             const px = cx + p.x * radius;
             const py = cy + p.y * radius;
 
             // Small dot
-            ctx.beginPath();
-            ctx.arc(px, py, 2, 0, Math.PI * 2);
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-            ctx.fill();
+            c.beginPath();
+            c.arc(px, py, 2, 0, Math.PI * 2);
+            c.fillStyle = ink(0.2);
+            c.fill();
 
             // Label
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
-            ctx.fillText(place.name, px + 6, py + 3);
+            c.fillStyle = ink(0.25);
+            c.fillText(place.name, px + 6, py + 3);
         }
     }
 
-    function drawCoastPath(points) {
+    function drawCoastPath(c, points) {
         if (points.length < 2) return;
 
-        ctx.beginPath();
+        c.beginPath();
         const first = DoverShips.geoToRadar(points[0].lat, points[0].lon);
-        ctx.moveTo(cx + first.x * radius, cy + first.y * radius);
+        c.moveTo(cx + first.x * radius, cy + first.y * radius);
 
         for (let i = 1; i < points.length; i++) {
             const p = DoverShips.geoToRadar(points[i].lat, points[i].lon);
-            ctx.lineTo(cx + p.x * radius, cy + p.y * radius);
+            c.lineTo(cx + p.x * radius, cy + p.y * radius);
         }
 
-        ctx.strokeStyle = 'rgba(100, 255, 150, 0.12)';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        c.strokeStyle = `rgba(${palette.sweep}, ${palette.coast})`;
+        c.lineWidth = 1.5;
+        c.stroke();
     }
 
     function drawSweep() {
-        const endX = cx + Math.cos(sweepAngle) * radius;
-        const endY = cy + Math.sin(sweepAngle) * radius;
-
-        // Sweep trail — fading wedge
         ctx.save();
         ctx.beginPath();
         ctx.arc(cx, cy, radius, 0, Math.PI * 2);
         ctx.clip();
 
-        const trailAngle = 0.5;
+        for (const front of sweep.getFronts(framePhase)) {
+            if (front.kind === 'arm') drawSweepArm(front.angle, front.direction);
+            else if (front.kind === 'ring') drawSweepRing(front.radius);
+            else drawSweepBar(front.x);
+        }
+        ctx.restore();
+    }
+
+    // How far behind a front its fading trail reaches, in cycles
+    function sweepTrailLength() {
+        return (phosphorMode ? 1.6 : 0.5) / (Math.PI * 2);
+    }
+
+    function drawSweepArm(angle, direction) {
+        // Sweep trail — fading wedge
+        const trailAngle = sweepTrailLength() * Math.PI * 2;
         for (let i = 20; i >= 0; i--) {
             const t = i / 20;
-            const a = sweepAngle - trailAngle * t;
+            const a = angle - direction * trailAngle * t;
             const ex = cx + Math.cos(a) * radius;
             const ey = cy + Math.sin(a) * radius;
 
             ctx.beginPath();
             ctx.moveTo(cx, cy);
             ctx.lineTo(ex, ey);
-            ctx.strokeStyle = `rgba(100, 255, 150, ${0.03 * (1 - t)})`;
+            ctx.strokeStyle = `rgba(${palette.sweep}, ${(phosphorMode ? 0.05 : 0.03) * (1 - t)})`;
             ctx.lineWidth = 1;
             ctx.stroke();
         }
-        ctx.restore();
 
         // Main sweep line
         ctx.beginPath();
         ctx.moveTo(cx, cy);
-        ctx.lineTo(endX, endY);
-        ctx.strokeStyle = 'rgba(100, 255, 150, 0.6)';
+        ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+        ctx.strokeStyle = `rgba(${palette.sweep}, ${palette.front})`;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    function drawSweepRing(r) {
+        // Trail — a fading band inside the expanding ring
+        const inner = Math.max(0, r - sweepTrailLength()) * radius;
+        const outer = r * radius;
+        if (outer > inner) {
+            const grad = ctx.createRadialGradient(cx, cy, inner, cx, cy, outer);
+            grad.addColorStop(0, 'transparent');
+            grad.addColorStop(1, `rgba(${palette.sweep}, ${phosphorMode ? 0.12 : 0.08})`);
+            ctx.beginPath();
+            ctx.arc(cx, cy, outer, 0, Math.PI * 2);
+            ctx.fillStyle = grad;
+            ctx.fill();
+        }
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, outer, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(${palette.sweep}, ${palette.front * (1 - r * 0.5)})`;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    function drawSweepBar(x) {
+        // The bar covers the diameter per cycle, so its trail is twice as wide
+        const sx = cx + x * radius;
+        const trail = sweepTrailLength() * 2 * radius;
+        const grad = ctx.createLinearGradient(sx - trail, 0, sx, 0);
+        grad.addColorStop(0, 'transparent');
+        grad.addColorStop(1, `rgba(${palette.sweep}, ${phosphorMode ? 0.12 : 0.08})`);
+        ctx.fillStyle = grad;
+        ctx.fillRect(sx - trail, cy - radius, trail, radius * 2);
+
+        ctx.beginPath();
+        ctx.moveTo(sx, cy - radius);
+        ctx.lineTo(sx, cy + radius);
+        ctx.strokeStyle = `rgba(${palette.sweep}, ${palette.front})`;
         ctx.lineWidth = 1.5;
         ctx.stroke();
     }
 
     /**
-     * Draw a chevron/arrow shape for a ship.
+     * A glowing chevron pointing right (0°), pre-rendered at the current
+     * pixel ratio. Sizes are rounded to half a pixel to keep the cache small.
      */
-    function drawChevron(x, y, heading, size, color, alpha) {
-        const headingRad = ((heading - 90) * Math.PI) / 180;
+    function chevronSprite(color, size) {
+        const key = `${color}|${size}`;
+        let sprite = chevronSprites.get(key);
+        if (sprite) return sprite;
+
+        const half = Math.ceil(size + CHEVRON_GLOW * 2);
+        const image = createLayer(Math.ceil(half * 2 * dpr), Math.ceil(half * 2 * dpr));
+        const c = image.getContext('2d');
+        c.setTransform(dpr, 0, 0, dpr, half * dpr, half * dpr);
+        c.shadowColor = color;
+        c.shadowBlur = CHEVRON_GLOW * dpr;
 
-        ctx.save();
-        ctx.translate(x, y);
-        ctx.rotate(headingRad);
-        ctx.globalAlpha = alpha;
-
-        // Chevron shape pointing right (0°), rotated by heading
         const len = size;
         const width = size * 0.6;
+        c.beginPath();
+        c.moveTo(len, 0);                    // tip
+        c.lineTo(-len * 0.3, -width);        // top-left
+        c.lineTo(-len * 0.1, 0);             // inner notch
+        c.lineTo(-len * 0.3, width);         // bottom-left
+        c.closePath();
+        c.fillStyle = color;
+        c.fill();
+
+        sprite = { image, half };
+        chevronSprites.set(key, sprite);
+        return sprite;
+    }
 
-        ctx.beginPath();
-        ctx.moveTo(len, 0);                    // tip
-        ctx.lineTo(-len * 0.3, -width);        // top-left
-        ctx.lineTo(-len * 0.1, 0);             // inner notch
-        ctx.lineTo(-len * 0.3, width);         // bottom-left
-        ctx.closePath();
-
-        ctx.fillStyle = color;
-        ctx.fill();
+    /**
+     * Draw a chevron/arrow shape for a ship.
+     */
+    function drawChevron(x, y, heading, size, color, alpha) {
+        const headingRad = ((heading - 90) * Math.PI) / 180;
+        const sprite = chevronSprite(color, Math.round(size * 2) / 2);
+        const cos = Math.cos(headingRad) * dpr;
+        const sin = Math.sin(headingRad) * dpr;
 
+        ctx.globalAlpha = alpha;
+        ctx.setTransform(cos, sin, -sin, cos, x * dpr, y * dpr);
+        ctx.drawImage(sprite.image, -sprite.half, -sprite.half, sprite.half * 2, sprite.half * 2);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         ctx.globalAlpha = 1;
-        ctx.restore();
     }
 
-    function drawShips() {
-        const ships = DoverShips.getShips();
-        let visibleCount = 0;
+    /**
+     * Record one position per ship every TRAIL_SAMPLE_MS, keep the newest
+     * `trailLength` samples and forget ships that left the feed.
+     */
+    function updateTrails(ships, time) {
+        if (time - lastTrailSample < TRAIL_SAMPLE_MS) return;
+        lastTrailSample = time;
 
+        const seen = new Set();
         for (const ship of ships) {
+            seen.add(ship.mmsi);
+            let trail = trails.get(ship.mmsi);
+            if (!trail) {
+                trail = [];
+                trails.set(ship.mmsi, trail);
+            }
+
             const pos = DoverShips.toRadarPosition(ship);
-            const dist = Math.sqrt(pos.x * pos.x + pos.y * pos.y);
+            const last = trail.length ? DoverShips.toRadarPosition(trail[trail.length - 1]) : null;
+            if (last && Math.hypot(pos.x - last.x, pos.y - last.y) > TRAIL_BREAK) {
+                trail.length = 0;
+            }
 
-            if (dist > 1.05) continue;
-            visibleCount++;
+            trail.push({ lat: ship.lat, lon: ship.lon });
+            if (trail.length > trailLength) trail.splice(0, trail.length - trailLength);
+        }
 
-            const sx = cx + pos.x * radius;
-            const sy = cy + pos.y * radius;
+        for (const mmsi of trails.keys()) {
+            if (!seen.has(mmsi)) trails.delete(mmsi);
+        }
+    }
 
-            const color = DoverShips.getSpeedColor(ship.speed);
+    function drawTrails(ships) {
+        // Segments are batched into one path per colour and fade step,
+        // so hundreds of wakes cost a few dozen strokes
+        const paths = new Map();
+        for (const ship of ships) {
+            const trail = trails.get(ship.mmsi);
+            if (!trail || trail.length < 1) continue;
 
-            // Ship size based on length
-            const sizeNorm = Math.min(1, Math.max(0, (ship.length - 15) / 385));
-            const chevronSize = 4 + sizeNorm * 5;
+            // Oldest sample first, ending at the ship's current position
+            const points = [...trail, ship].map(p => {
+                const pos = DoverShips.toRadarPosition(p);
+                return { x: cx + pos.x * radius, y: cy + pos.y * radius };
+            });
 
-            // Glow
-            ctx.shadowColor = color;
-            ctx.shadowBlur = 6;
-            drawChevron(sx, sy, ship.heading, chevronSize, color, 0.85);
-            ctx.shadowBlur = 0;
+            const color = DoverShips.getShipColor(ship, colorMode);
+            for (let i = 1; i < points.length; i++) {
+                const step = Math.ceil(TRAIL_FADE_STEPS * i / (points.length - 1));
+                const key = `${step}|${color}`;
+                let path = paths.get(key);
+                if (!path) {
+                    path = new Path2D();
+                    paths.set(key, path);
+                }
+                path.moveTo(points[i - 1].x, points[i - 1].y);
+                path.lineTo(points[i].x, points[i].y);
+            }
+        }
 
-            // Check sweep hit
-            checkSweepHit(ship, pos, sx, sy, chevronSize);
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.lineCap = 'round';
+        for (const [key, path] of paths) {
+            const split = key.indexOf('|');
+            ctx.globalAlpha = 0.35 * Number(key.slice(0, split)) / TRAIL_FADE_STEPS;
+            ctx.strokeStyle = key.slice(split + 1);
+            ctx.stroke(path);
         }
+        ctx.restore();
+    }
 
-        return visibleCount;
+    /**
+     * Blip brightness in phosphor mode: full right behind the sweep,
+     * fading with how far the sweep has travelled since.
+     */
+    function phosphorAlpha(pos) {
+        const since = sweep.sinceFront(pos, framePhase) * Math.PI * 2;
+        return 0.12 + 0.83 * Math.exp(-since / PHOSPHOR_DECAY);
     }
 
-    function checkSweepHit(ship, pos, sx, sy, size) {
-        if (!DoverAudio.isStarted()) return;
+    /**
+     * Where and how big a ship is drawn. Shared by drawing and hit-testing.
+     */
+    function shipGeometry(ship) {
+        const pos = DoverShips.toRadarPosition(ship);
+        const dist = Math.sqrt(pos.x * pos.x + pos.y * pos.y);
+
+        // Ship size based on length
+        const sizeNorm = Math.min(1, Math.max(0, (ship.length - 15) / 385));
+
+        return {
+            pos,
+            dist,
+            sx: cx + pos.x * radius,
+            sy: cy + pos.y * radius,
+            size: 4 + sizeNorm * 5,
+        };
+    }
 
-        const shipAngle = Math.atan2(pos.y, pos.x);
-        const normSweep = ((sweepAngle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-        const normShip = ((shipAngle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    function drawShips(ships) {
+        const now = performance.now();
+        let visibleCount = 0;
+
+        if (trailsEnabled) drawTrails(ships);
+
+        const ringCount = DoverAudio.getRingCount();
+        hitGrid.clear();
+        for (const ship of ships) {
+            const { pos, dist, sx, sy, size: chevronSize } = shipGeometry(ship);
+
+            if (dist > 1.05) continue;
+            visibleCount++;
+            hitGrid.insert({ ship, size: chevronSize }, sx, sy);
 
-        const tolerance = (size / radius) * 2 + 0.03;
+            const color = DoverShips.getShipColor(ship, colorMode);
 
-        let angleDiff = Math.abs(normSweep - normShip);
-        if (angleDiff > Math.PI) angleDiff = Math.PI * 2 - angleDiff;
+            if (ship.mmsi === selectedMmsi) drawSelection(sx, sy, chevronSize);
 
-        if (angleDiff < tolerance && !triggeredShips.has(ship.mmsi)) {
-            triggeredShips.add(ship.mmsi);
+            // Ships on rings the mixer silences fade back
+            const ringIndex = DoverShips.getRingIndex(ship, ringCount);
+            const audible = ringIndex < 0 || DoverAudio.isRingAudible(ringIndex);
+            const alpha = phosphorMode ? phosphorAlpha(pos) : palette.blip;
+            drawChevron(sx, sy, ship.heading, chevronSize, color, audible ? alpha : alpha * 0.35);
 
-            const ringIndex = DoverShips.getRingIndex(ship, RING_COUNT);
-            if (ringIndex >= 0) {
-                DoverAudio.triggerNote(ship, ringIndex);
-                drawHitFlash(sx, sy);
+            const flashAt = hitFlashes.get(ship.mmsi);
+            if (flashAt !== undefined && now >= flashAt) {
+                if (now - flashAt < HIT_FLASH_MS) drawHitFlash(sx, sy, 1 - (now - flashAt) / HIT_FLASH_MS);
+                else hitFlashes.delete(ship.mmsi);
             }
         }
+
+        return visibleCount;
+    }
+
+    /**
+     * Flash a ship when the engine plays it, timed to when it is heard.
+     */
+    function handleSweepHit(hit) {
+        hitFlashes.set(hit.ship.mmsi, performance.now() + (hit.time - Tone.immediate()) * 1000);
+    }
+
+    function drawSelection(x, y, size) {
+        const pulse = following && !reducedMotion ? 0.5 + 0.5 * Math.sin(performance.now() / 250) : 1;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, size + 7 + pulse * 2, 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(255, 255, 255, ${following ? 0.35 + 0.4 * pulse : 0.5})`;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.restore();
     }
 
-    function drawHitFlash(x, y) {
+    function drawHitFlash(x, y, strength) {
         ctx.save();
         ctx.beginPath();
         ctx.arc(x, y, 18, 0, Math.PI * 2);
         const grad = ctx.createRadialGradient(x, y, 0, x, y, 18);
-        grad.addColorStop(0, 'rgba(255, 255, 255, 0.5)');
+        grad.addColorStop(0, `rgba(255, 255, 255, ${(0.5 * strength).toFixed(2)})`);
         grad.addColorStop(1, 'transparent');
         ctx.fillStyle = grad;
         ctx.fill();
         ctx.restore();
     }
 
-    // --- Animation loop ---
+    function drawEventMarkers(time) {
+        while (eventMarkers.length && time - eventMarkers[0].createdAt > EVENT_MARKER_MS) {
+            eventMarkers.shift();
+        }
+        if (!eventMarkersEnabled) return;
 
-    function animate(time) {
-        if (!lastTime) lastTime = time;
-        const dt = (time - lastTime) / 1000;
-        lastTime = time;
+        ctx.save();
+        ctx.font = '9px Courier New';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (const marker of eventMarkers) {
+            const pos = DoverShips.geoToRadar(marker.event.lat, marker.event.lon);
+            if (Math.hypot(pos.x, pos.y) > 1.05) continue;
+            const x = cx + pos.x * radius;
+            const y = cy + pos.y * radius;
+            const age = (time - marker.createdAt) / EVENT_MARKER_MS;
+            const spread = reducedMotion ? 0 : age * 22;
+            const color = EVENT_MARKER_COLORS[marker.event.type] || 'rgba(255, 255, 255, A)';
 
-        sweepAngle += sweepSpeed * dt;
+            ctx.beginPath();
+            ctx.arc(x, y, 8 + spread, 0, Math.PI * 2);
+            ctx.strokeStyle = color.replace('A', (0.8 * (1 - age)).toFixed(2));
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
 
-        // Reset triggered ships each rotation
-        const currentQuadrant = Math.floor((sweepAngle / (Math.PI * 2)) * 4) % 4;
-        if (currentQuadrant === 0 && lastSweepQuadrant === 3) {
-            triggeredShips.clear();
+            ctx.fillStyle = color.replace('A', (0.9 * (1 - age)).toFixed(2));
+            ctx.fillText(DoverEvents.TYPES[marker.event.type].label.toUpperCase(), x, y - 12 - spread);
         }
-        lastSweepQuadrant = currentQuadrant;
+        ctx.restore();
+    }
+
+    /**
+     * Mark and sound each traffic event as DoverShips reports it.
+     */
+    function handleTrafficEvent(event) {
+        eventMarkers.push({ event, createdAt: performance.now() });
+        const pos = DoverShips.geoToRadar(event.lat, event.lon);
+        DoverAudio.triggerEvent(event, DoverShips.getRingIndex(event, DoverAudio.getRingCount()), pos);
+    }
+
+    // --- Animation loop ---
+
+    function animate(time) {
+        const drawStart = performance.now();
+        framePhase = DoverEngine.displayPhase();
+        const ships = DoverShips.getShips();
+        if (trailsEnabled) updateTrails(ships, time);
 
         // Draw
-        drawBackground();
-        drawCoastline();
-        drawRings();
-        drawSweep();
-        const visibleCount = drawShips();
-        drawCompass();
+        let visibleCount;
+        if (activeView) {
+            visibleCount = activeView.frame(time, ships, colorMode);
+            recordFrame(time, performance.now() - drawStart);
+        } else {
+            drawBackground();
+            drawStatic();
+            drawRingStates();
+            drawSweep();
+            visibleCount = drawShips(ships);
+            drawEventMarkers(time);
+            recordFrame(time, performance.now() - drawStart);
+            if (frameStatsEnabled) drawFrameStats(visibleCount);
+        }
 
         // Update UI — only count ships visible on radar
         shipCountEl.textContent = visibleCount;
+        refreshDetail(false);
 
         animId = requestAnimationFrame(animate);
     }
 
+    // --- Views ---
+
+    /**
+     * Draw with a registered view (DoverViews) instead of the scope, or
+     * 'radar' for the scope. Only the drawing changes; the engine and the
+     * audio carry on. Returns the name of the view now showing: a view
+     * that fails to start (no WebGL, say) leaves the radar up.
+     */
+    function setView(name) {
+        if (name === activeViewName) return activeViewName;
+        if (activeView) {
+            activeView.destroy();
+            activeView = null;
+        }
+        activeViewName = 'radar';
+
+        const view = DoverViews.get(name);
+        if (view) {
+            try {
+                activeView = view.create(canvas.parentElement);
+                activeView.resize(cssSize, dpr);
+                activeViewName = name;
+            } catch (err) {
+                console.warn(`View "${name}" unavailable, staying on the radar:`, err.message);
+                activeView = null;
+            }
+        }
+
+        // Hover and tap only work on the scope
+        canvas.hidden = activeView !== null;
+        if (activeView) {
+            hitGrid.clear();
+            tooltip.classList.remove('visible');
+        }
+        return activeViewName;
+    }
+
+    // --- Frame-time overlay ---
+
+    function recordFrame(time, drawMs) {
+        const { intervals, drawTimes } = frameStats;
+        if (frameStats.lastFrame) intervals.push(time - frameStats.lastFrame);
+        frameStats.lastFrame = time;
+        drawTimes.push(drawMs);
+        if (intervals.length > FRAME_STATS_SAMPLES) intervals.shift();
+        if (drawTimes.length > FRAME_STATS_SAMPLES) drawTimes.shift();
+    }
+
+    /**
+     * Frame rate, frame interval (mean and worst over the last couple of
+     * seconds) and time spent drawing, top left of the scope.
+     */
+    function drawFrameStats(visibleCount) {
+        const { intervals, drawTimes } = frameStats;
+        if (!intervals.length) return;
+        const mean = list => list.reduce((sum, v) => sum + v, 0) / list.length;
+        const frameMs = mean(intervals);
+        const lines = [
+            `${Math.round(1000 / frameMs)} fps`,
+            `frame ${frameMs.toFixed(1)} ms (max ${Math.max(...intervals).toFixed(1)})`,
+            `draw ${mean(drawTimes).toFixed(1)} ms (max ${Math.max(...drawTimes).toFixed(1)})`,
+            `${visibleCount} ships · ${dpr}x`,
+        ];
+
+        ctx.save();
+        ctx.font = '10px Courier New';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(4, 4, 190, lines.length * 13 + 6);
+        ctx.fillStyle = frameMs > 20 ? 'rgba(255, 170, 90, 0.9)' : 'rgba(100, 255, 150, 0.9)';
+        lines.forEach((line, i) => ctx.fillText(line, 8, 7 + i * 13));
+        ctx.restore();
+    }
+
     // --- Start screen & interaction ---
 
     function beginExperience() {
+        if (audioStarting) return;
+        startScreen.classList.add('hidden');
+        startAudio();
+
         if (hasStarted) return;
         hasStarted = true;
-
-        startScreen.classList.add('hidden');
         zoneIndicator.classList.add('visible');
         infoPanel.classList.add('visible');
-
-        DoverAudio.start();
         DoverShips.startFetching(3000);
-        animId = requestAnimationFrame(animate);
+        if (!audioOnly) animId = requestAnimationFrame(animate);
+    }
+
+    // A failed start (context blocked, Tone.start rejected) brings the
+    // start screen back with the reason, and another click retries
+    function startAudio() {
+        audioStarting = true;
+        DoverAudio.start().then(() => {
+            DoverEngine.start();
+            updateRecordButton();
+        }).catch(e => {
+            console.warn('Audio failed to start:', e);
+            startPrompt.textContent = `sound could not start (${e.message || e}) — click to try again`;
+            startScreen.classList.remove('hidden');
+        }).finally(() => {
+            audioStarting = false;
+        });
+    }
+
+    /**
+     * Stop or resume drawing; the engine keeps playing either way.
+     */
+    function setAudioOnly(on) {
+        audioOnly = on;
+        document.body.classList.toggle('audio-only', on);
+        if (on && animId !== null) {
+            cancelAnimationFrame(animId);
+            animId = null;
+        } else if (!on && hasStarted && animId === null) {
+            animId = requestAnimationFrame(animate);
+        }
     }
 
     // Click/tap anywhere on start screen
@@ -391,27 +900,130 @@
         beginExperience();
     });
 
-    // --- Hover tooltip ---
-    canvas.addEventListener('mousemove', (e) => {
+    // --- Hit-testing ---
+
+    /**
+     * Client (CSS px) coordinates to canvas pixels, so hit-testing matches
+     * drawing whatever the canvas backing-store scale is.
+     */
+    function toCanvasCoords(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * (cssSize / rect.width),
+            y: (clientY - rect.top) * (cssSize / rect.height),
+        };
+    }
+
+    /**
+     * Nearest visible ship whose chevron is under the point, or null.
+     * Looks in the grid of where ships were drawn last frame.
+     */
+    function hitTestShip(clientX, clientY) {
+        const { x, y } = toCanvasCoords(clientX, clientY);
         const rect = canvas.getBoundingClientRect();
-        const mx = e.clientX - rect.left;
-        const my = e.clientY - rect.top;
+        const minRadius = MIN_HIT_RADIUS * cssSize / rect.width;
 
-        let found = null;
-        for (const ship of DoverShips.getShips()) {
-            const pos = DoverShips.toRadarPosition(ship);
-            const sx = cx + pos.x * radius;
-            const sy = cy + pos.y * radius;
-            const dist = Math.sqrt((mx - sx) ** 2 + (my - sy) ** 2);
-            if (dist < 15) {
-                found = ship;
-                break;
-            }
+        const reach = Math.max(MAX_CHEVRON_SIZE * 1.8, minRadius);
+        for (const { item, distance } of hitGrid.query(x, y, reach)) {
+            if (distance < Math.max(item.size * 1.8, minRadius)) return item.ship;
+        }
+        return null;
+    }
+
+    // --- Detail panel ---
+
+    function selectShip(mmsi) {
+        selectedMmsi = mmsi;
+        if (mmsi === null) setFollowing(false);
+        detailPanel.classList.toggle('visible', mmsi !== null);
+        refreshDetail(true);
+    }
+
+    function setFollowing(on) {
+        following = on && selectedMmsi !== null;
+        DoverAudio.setSoloShip(following ? selectedMmsi : null);
+        detailFollowBtn.textContent = following ? 'Unfollow' : 'Follow';
+        detailFollowBtn.classList.toggle('active', following);
+    }
+
+    function formatAge(ms) {
+        const s = Math.max(0, Math.round(ms / 1000));
+        if (s < 60) return s + 's ago';
+        if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's ago';
+        return Math.floor(s / 3600) + 'h ago';
+    }
+
+    function refreshDetail(force) {
+        if (selectedMmsi === null) return;
+        const now = performance.now();
+        if (!force && now - lastDetailRefresh < DETAIL_REFRESH_MS) return;
+        lastDetailRefresh = now;
+
+        const ship = DoverShips.getShips().find(s => s.mmsi === selectedMmsi);
+        if (!ship) {
+            detailName.textContent = 'Vessel out of range';
+            detailFields.innerHTML = '';
+            if (following) setFollowing(false);
+            return;
         }
 
+        const ringIndex = DoverShips.getRingIndex(ship, DoverAudio.getRingCount());
+        const note = ringIndex >= 0 ? DoverScales.formatNote(DoverAudio.getRingNotes()[ringIndex]) : null;
+        const updated = DoverShips.getLastUpdate(ship.mmsi);
+
+        const hasStatus = ship.navStatus !== undefined && ship.navStatus !== null;
+        const fields = [
+            ['MMSI', ship.mmsi],
+            ['Type', ship.typeName || ship.type],
+            ['AIS Type', Number.isInteger(ship.typeCode) ? `${ship.typeCode} — ${DoverShipTypes.describeCode(ship.typeCode)}` : null],
+            ['Class', ship.aisClass],
+            ['Status', hasStatus ? DoverShipTypes.navStatus(ship.navStatus).name : null],
+            ['Speed', `${ship.speed} kn`],
+            ['Heading', `${Math.round(ship.heading)}°`],
+            ['Length', `${ship.length} m`],
+            ['Beam', ship.beam ? `${ship.beam} m` : null],
+            ['Draught', ship.draught ? `${ship.draught} m` : null],
+            ['Destination', ship.destination],
+            ['Updated', updated ? formatAge(Date.now() - updated) : '—'],
+            ['Ring', ringIndex >= 0 ? `${ringIndex + 1} — ${note}` : 'outside rings'],
+        ];
+
+        detailName.textContent = ship.name;
+        detailFields.innerHTML = '';
+        for (const [label, value] of fields) {
+            if (value === null || value === undefined || value === '') continue;
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            detailFields.append(dt, dd);
+        }
+    }
+
+    canvas.addEventListener('click', (e) => {
+        // The end of a drag or pinch is not a tap
+        if (gesture && gesture.dragged) return;
+        const ship = hitTestShip(e.clientX, e.clientY);
+        if (ship) {
+            if (ship.mmsi !== selectedMmsi) setFollowing(false);
+            selectShip(ship.mmsi);
+        } else if (!following) {
+            selectShip(null);
+        }
+    });
+
+    detailFollowBtn.addEventListener('click', () => setFollowing(!following));
+    detailCloseBtn.addEventListener('click', () => selectShip(null));
+
+    // --- Hover tooltip ---
+    canvas.addEventListener('mousemove', (e) => {
+        const found = hitTestShip(e.clientX, e.clientY);
+
         if (found) {
             tooltip.classList.add('visible');
-            tooltip.textContent = `${found.name} — ${found.typeName} — ${found.speed} kn — ${found.length}m`;
+            // Under way using engine is the norm; any other status is worth a mention
+            const status = found.navStatus ? ` — ${DoverShipTypes.navStatus(found.navStatus).name.toLowerCase()}` : '';
+            tooltip.textContent = `${found.name} — ${found.typeName} — ${found.speed} kn — ${found.length}m${status}`;
             tooltip.style.left = (e.clientX + 14) + 'px';
             tooltip.style.top = (e.clientY - 10) + 'px';
         } else {
@@ -423,11 +1035,182 @@
         tooltip.classList.remove('visible');
     });
 
-    // --- Audio controls (D key) ---
+    // --- Zoom & pan ---
+
+    function formatRange() {
+        const nm = DoverShips.getRangeNm();
+        return `Range ${nm < 10 ? nm.toFixed(1) : Math.round(nm)} nautical miles`;
+    }
+
+    /**
+     * Zoom by `factor` keeping the canvas point (x, y) (default the
+     * center) where it is.
+     */
+    function zoomView(factor, x = cx, y = cy) {
+        DoverShips.zoomBy(factor, (x - cx) / radius, (y - cy) / radius);
+    }
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const { x, y } = toCanvasCoords(e.clientX, e.clientY);
+        const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;   // Firefox scrolls by lines
+        zoomView(Math.exp(-pixels * WHEEL_ZOOM), x, y);
+    }, { passive: false });
+
+    canvas.addEventListener('dblclick', () => DoverShips.resetView());
+
+    // One pointer drags the map, two pinch-zoom about their midpoint
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!pointers.size) gesture = { dragged: false, travel: 0 };
+        pointers.set(e.pointerId, toCanvasCoords(e.clientX, e.clientY));
+        canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const last = pointers.get(e.pointerId);
+        if (!last) return;
+        const now = toCanvasCoords(e.clientX, e.clientY);
+        pointers.set(e.pointerId, now);
+
+        if (pointers.size === 1) {
+            gesture.travel += Math.hypot(now.x - last.x, now.y - last.y);
+            if (gesture.travel > DRAG_THRESHOLD) gesture.dragged = true;
+            DoverShips.panBy((now.x - last.x) / radius, (now.y - last.y) / radius);
+        } else if (pointers.size === 2) {
+            const other = [...pointers].find(([id]) => id !== e.pointerId)[1];
+            const before = Math.hypot(last.x - other.x, last.y - other.y);
+            const after = Math.hypot(now.x - other.x, now.y - other.y);
+            if (before > 0) zoomView(after / before, (now.x + other.x) / 2, (now.y + other.y) / 2);
+            DoverShips.panBy((now.x - last.x) / 2 / radius, (now.y - last.y) / 2 / radius);
+            gesture.dragged = true;
+        }
+        if (gesture.dragged) tooltip.classList.remove('visible');
+    });
+
+    const endPointer = (e) => pointers.delete(e.pointerId);
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+
+    // --- Keyboard ---
+
+    function togglePanel() {
+        debugPanel.classList.toggle('visible');
+        audioToggleBtn.classList.toggle('active', debugPanel.classList.contains('visible'));
+    }
+
+    function toggleMute() {
+        const input = document.getElementById('internal-audio');
+        input.checked = !input.checked;
+        input.dispatchEvent(new Event('change'));
+        DoverAnnouncer.say(input.checked ? 'Sound on' : 'Sound muted');
+    }
+
+    function nudgeSweepSpeed(direction) {
+        const input = document.getElementById('ctrl-sweep');
+        if (input.disabled) {
+            DoverAnnouncer.say('Sweep speed follows the clock');
+            return;
+        }
+        const step = parseFloat(input.step) * 2;
+        const value = Math.min(parseFloat(input.max), Math.max(parseFloat(input.min), parseFloat(input.value) + direction * step));
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+        DoverAnnouncer.say(`Sweep speed ${value.toFixed(2)}`);
+    }
+
+    /**
+     * Toggle ring `index`'s mute, or with `solo` its solo, as the mixer
+     * buttons do.
+     */
+    function toggleRing(index, solo) {
+        const strip = DoverAudio.getRingMix(index);
+        if (!strip) {
+            DoverAnnouncer.say(`There are only ${DoverAudio.getRingCount()} rings`);
+            return;
+        }
+        if (solo) {
+            DoverAudio.setRingMix(index, { solo: !strip.solo });
+            DoverAnnouncer.say(`Ring ${index + 1} ${strip.solo ? 'solo off' : 'solo'}`);
+        } else {
+            DoverAudio.setRingMix(index, { muted: !strip.muted });
+            DoverAnnouncer.say(`Ring ${index + 1} ${strip.muted ? 'on' : 'muted'}`);
+        }
+    }
+
+    /**
+     * Select the next ship clockwise from north (or from the selected
+     * one), the way the sweep meets them; `direction` -1 goes back.
+     */
+    function cycleShip(direction) {
+        const bearing = pos => (Math.atan2(pos.x, -pos.y) + Math.PI * 2) % (Math.PI * 2);
+        const visible = DoverShips.getShips()
+            .map(ship => ({ ship, pos: DoverShips.toRadarPosition(ship) }))
+            .filter(({ pos }) => Math.hypot(pos.x, pos.y) <= 1)
+            .sort((a, b) => bearing(a.pos) - bearing(b.pos));
+        if (!visible.length) {
+            DoverAnnouncer.say('No vessels in range');
+            return;
+        }
+
+        const current = visible.findIndex(({ ship }) => ship.mmsi === selectedMmsi);
+        const next = current < 0
+            ? (direction > 0 ? 0 : visible.length - 1)
+            : (current + direction + visible.length) % visible.length;
+        const { ship } = visible[next];
+        if (ship.mmsi !== selectedMmsi) setFollowing(false);
+        selectShip(ship.mmsi);
+
+        const ringIndex = DoverShips.getRingIndex(ship, DoverAudio.getRingCount());
+        const ring = ringIndex >= 0 ? `ring ${ringIndex + 1}` : 'outside the rings';
+        DoverAnnouncer.say(`${ship.name}, ${ship.typeName || ship.type}, ${ship.speed} knots, ${ring}`);
+    }
+
+    // Shortcuts, also listed under KEYBOARD in the panel
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'd' || e.key === 'D') {
-            debugPanel.classList.toggle('visible');
-            audioToggleBtn.classList.toggle('active', debugPanel.classList.contains('visible'));
+        if (e.target.closest('input, select, textarea')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // By code, so Shift+digit works on any layout
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        if (digit) {
+            toggleRing(Number(digit[1]) - 1, e.shiftKey);
+            return;
+        }
+
+        const pans = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+        if (pans[e.key]) {
+            e.preventDefault();
+            DoverShips.panBy(pans[e.key][0] * KEY_PAN, pans[e.key][1] * KEY_PAN);
+            return;
+        }
+
+        switch (e.key) {
+            case 'd': case 'D': togglePanel(); break;
+            case 'm': case 'M': toggleMute(); break;
+            case '[': nudgeSweepSpeed(-1); break;
+            case ']': nudgeSweepSpeed(1); break;
+            case 'n': cycleShip(1); break;
+            case 'N': cycleShip(-1); break;
+            case 'f': case 'F':
+                if (selectedMmsi === null) break;
+                setFollowing(!following);
+                DoverAnnouncer.say(following ? 'Following' : 'Not following');
+                break;
+            case 'Escape':
+                if (selectedMmsi !== null) selectShip(null);
+                break;
+            case '+': case '=':
+                zoomView(KEY_ZOOM);
+                DoverAnnouncer.say(formatRange());
+                break;
+            case '-': case '_':
+                zoomView(1 / KEY_ZOOM);
+                DoverAnnouncer.say(formatRange());
+                break;
+            case '0':
+                DoverShips.resetView();
+                DoverAnnouncer.say(formatRange());
+                break;
         }
     });
 
@@ -446,8 +1229,13 @@
 
         bind('ctrl-sweep', 'val-sweep',
             v => v.toFixed(2),
-            v => { sweepSpeed = v; }
+            v => sweep.setSpeed(v)
         );
+        setupSweepModeControls();
+        setupClockControls();
+        setupScaleControls();
+        setupMixerControls();
+
         bind('ctrl-reverb-decay', 'val-reverb-decay',
             v => v.toFixed(1) + 's',
             v => DoverAudio.setReverbDecay(v)
@@ -468,6 +1256,14 @@
             v => Math.round(v) + 'dB',
             v => DoverAudio.setMasterVolume(v)
         );
+        bind('ctrl-pan-width', 'val-pan-width',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setPanWidth(v)
+        );
+        bind('ctrl-speed-artic', 'val-speed-artic',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setSpeedArticulation(v)
+        );
         bind('ctrl-drone', 'val-drone',
             v => Math.round(v) + 'dB',
             v => DoverAudio.setDroneVolume(v)
@@ -476,13 +1272,807 @@
             v => Math.round(v) + 'dB',
             v => DoverAudio.setOceanVolume(v)
         );
+        bind('ctrl-event-volume', 'val-event-volume',
+            v => Math.round(v) + 'dB',
+            v => DoverAudio.setEventVolume(v)
+        );
+        bind('ctrl-ambient-depth', 'val-ambient-depth',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setAmbientDepth(v)
+        );
+        bind('ctrl-ambient-smoothing', 'val-ambient-smoothing',
+            v => Math.round(v) + ' min',
+            v => DoverAmbient.setSmoothing(v)
+        );
+
+        setupEffectsControls(bind);
+
+        // What the ambient layers are currently following
+        const ambientReadout = document.getElementById('ambient-state');
+        DoverAmbient.onChange(state => {
+            ambientReadout.textContent = `${Math.round(state.count)} ships · ${state.meanSpeed.toFixed(1)} kn`
+                + ` · ${state.churnPerMin.toFixed(1)}/min · ${state.harmony}`;
+        });
+    }
+
+    // Effect buses, sends and the master stages. `bind` as in setupDebugControls.
+    function setupEffectsControls(bind) {
+        for (const layer of DoverAudio.SEND_LAYERS) {
+            for (const bus of DoverAudio.EFFECT_BUSES) {
+                const input = document.getElementById(`ctrl-send-${layer}-${bus}`);
+                if (!input) continue;
+                input.addEventListener('input', () => {
+                    const level = parseFloat(input.value);
+                    input.title = Math.round(level * 100) + '%';
+                    DoverAudio.setSend(layer, bus, level);
+                });
+            }
+        }
+
+        const delayTimeSelect = document.getElementById('ctrl-delay-time');
+        for (const [time, label] of Object.entries(DoverAudio.DELAY_TIMES)) {
+            delayTimeSelect.add(new Option(label, time));
+        }
+        delayTimeSelect.value = DoverAudio.settings.delayTime;
+        delayTimeSelect.addEventListener('change', () => DoverAudio.setDelayTime(delayTimeSelect.value));
+
+        bind('ctrl-delay-feedback', 'val-delay-feedback',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setDelayFeedback(v)
+        );
+        bind('ctrl-chorus-rate', 'val-chorus-rate',
+            v => v.toFixed(1) + 'Hz',
+            v => DoverAudio.setChorusRate(v)
+        );
+        bind('ctrl-chorus-depth', 'val-chorus-depth',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setChorusDepth(v)
+        );
+        bind('ctrl-shimmer-decay', 'val-shimmer-decay',
+            v => Math.round(v) + 's',
+            v => DoverAudio.setShimmerDecay(v)
+        );
+        bind('ctrl-shimmer-feedback', 'val-shimmer-feedback',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setShimmerFeedback(v)
+        );
+        bind('ctrl-tape-drive', 'val-tape-drive',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setTapeDrive(v)
+        );
+        bind('ctrl-tape-mix', 'val-tape-mix',
+            v => Math.round(v * 100) + '%',
+            v => DoverAudio.setTapeMix(v)
+        );
+        bind('ctrl-limiter', 'val-limiter',
+            v => v.toFixed(1) + 'dB',
+            v => DoverAudio.setLimiterThreshold(v)
+        );
+    }
+
+    // Trails & phosphor display options
+    function setupDisplayControls() {
+        const trailsInput = document.getElementById('ctrl-trails');
+        const phosphorInput = document.getElementById('ctrl-phosphor');
+        if (!trailsInput || !phosphorInput) return;
+
+        trailsInput.addEventListener('change', () => {
+            trailsEnabled = trailsInput.checked;
+            if (!trailsEnabled) trails.clear();
+        });
+        phosphorInput.addEventListener('change', () => {
+            phosphorMode = phosphorInput.checked;
+        });
+
+        const markersInput = document.getElementById('ctrl-event-markers');
+        markersInput.addEventListener('change', () => {
+            eventMarkersEnabled = markersInput.checked;
+        });
+
+        const lengthInput = document.getElementById('ctrl-trail-length');
+        const lengthDisplay = document.getElementById('val-trail-length');
+        lengthInput.addEventListener('input', () => {
+            trailLength = parseInt(lengthInput.value, 10);
+            lengthDisplay.textContent = Math.round(trailLength * TRAIL_SAMPLE_MS / 1000) + 's';
+        });
+
+        const colorSelect = document.getElementById('ctrl-color-mode');
+        colorSelect.addEventListener('change', () => {
+            colorMode = colorSelect.value;
+            renderLegend();
+        });
+        // Type and status legends list what is currently on the water
+        DoverShips.onSnapshot(() => {
+            if (colorMode !== 'speed') renderLegend();
+        });
+
+        // Audio only (also ?audio-only): no id prefix, so a preset never
+        // blanks the scope. The count comes from the engine meanwhile.
+        const audioOnlyInput = document.getElementById('audio-only');
+        audioOnlyInput.checked = audioOnly;
+        audioOnlyInput.addEventListener('change', () => setAudioOnly(audioOnlyInput.checked));
+        setAudioOnly(audioOnly);
+
+        const viewSelect = document.getElementById('ctrl-view');
+        for (const { name, label } of DoverViews.list()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            viewSelect.appendChild(option);
+        }
+        viewSelect.addEventListener('change', () => {
+            viewSelect.value = setView(viewSelect.value);
+        });
+        const requestedView = new URLSearchParams(window.location.search).get('view');
+        if (requestedView) viewSelect.value = setView(requestedView);
+
+        const frameStatsInput = document.getElementById('frame-stats');
+        frameStatsInput.checked = frameStatsEnabled;
+        frameStatsInput.addEventListener('change', () => {
+            frameStatsEnabled = frameStatsInput.checked;
+        });
+        DoverShips.onSnapshot(() => {
+            if (audioOnly) shipCountEl.textContent = DoverEngine.getVisibleCount();
+        });
+    }
+
+    /**
+     * Legend for the current colour mode. Type and status modes show the
+     * categories present in the current traffic, with counts.
+     */
+    function renderLegend() {
+        let entries;
+        if (colorMode === 'speed') {
+            legendTitle.textContent = 'SPEED';
+            entries = SPEED_LEGEND;
+        } else {
+            const counts = new Map();
+            for (const ship of DoverShips.getReportedShips()) {
+                const key = colorMode === 'type' ? ship.type : (ship.navStatus ?? null);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            const describe = colorMode === 'type' ? DoverShipTypes.get : DoverShipTypes.navStatus;
+            legendTitle.textContent = colorMode === 'type' ? 'SHIP TYPE' : 'STATUS';
+            entries = [...counts]
+                .sort((a, b) => b[1] - a[1])
+                .map(([key, count]) => [describe(key).color, `${describe(key).name} (${count})`]);
+        }
+
+        legendEl.innerHTML = '';
+        for (const [color, label] of entries) {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            const swatch = document.createElement('div');
+            swatch.className = 'legend-color';
+            swatch.style.background = color;
+            const text = document.createElement('span');
+            text.textContent = label;
+            item.append(swatch, text);
+            legendEl.appendChild(item);
+        }
+    }
+
+    // Sweep shape; arms only apply to the rotary modes
+    function setupSweepModeControls() {
+        const modeSelect = document.getElementById('ctrl-sweep-mode');
+        const armsGroup = document.getElementById('group-sweep-arms');
+        const armsInput = document.getElementById('ctrl-sweep-arms');
+        const armsValue = document.getElementById('val-sweep-arms');
+        if (!modeSelect || !armsInput) return;
+
+        for (const [id, mode] of Object.entries(DoverSweep.MODES)) {
+            modeSelect.add(new Option(mode.label, id));
+        }
+        modeSelect.value = sweep.getMode();
+        armsInput.max = DoverSweep.MAX_ARMS;
+
+        modeSelect.addEventListener('change', () => {
+            sweep.setMode(modeSelect.value);
+            armsGroup.classList.toggle('hidden', modeSelect.value === 'ping' || modeSelect.value === 'scan');
+        });
+        armsInput.addEventListener('input', () => {
+            sweep.setArms(parseInt(armsInput.value, 10));
+            armsValue.textContent = sweep.getArms();
+        });
+    }
+
+    // Tempo, quantize and swing. With a clock running the sweep turns
+    // with the Transport instead of at Sweep Speed.
+    function setupClockControls() {
+        const clockSelect = document.getElementById('ctrl-clock');
+        const options = document.querySelectorAll('.clock-option');
+        const midiGroup = document.getElementById('group-midi-clock');
+        const midiInputSelect = document.getElementById('midi-clock-input');
+        const midiClockStatus = document.getElementById('midi-clock-status');
+        const bpmInput = document.getElementById('ctrl-bpm');
+        const bpmValue = document.getElementById('val-bpm');
+        const beatsInput = document.getElementById('ctrl-beats');
+        const quantizeSelect = document.getElementById('ctrl-quantize');
+        const swingInput = document.getElementById('ctrl-swing');
+        const barsInput = document.getElementById('ctrl-sweep-bars');
+        const sweepInput = document.getElementById('ctrl-sweep');
+        if (!clockSelect) return;
+
+        for (const [grid, label] of Object.entries(DoverAudio.QUANTIZE_GRIDS)) {
+            quantizeSelect.add(new Option(label, grid));
+        }
+        quantizeSelect.value = DoverAudio.settings.quantize;
+
+        const lockSweep = () => {
+            const free = DoverAudio.settings.clock === 'free';
+            sweep.setBarsPerTurn(free ? 0 : parseInt(barsInput.value, 10));
+            sweepInput.disabled = !free;
+        };
+
+        clockSelect.addEventListener('change', () => {
+            const source = clockSelect.value;
+            DoverAudio.setClockSource(source);
+            for (const group of options) group.classList.toggle('hidden', source === 'free');
+            midiGroup.classList.toggle('hidden', source !== 'midi');
+            bpmInput.disabled = source === 'midi';
+            if (source === 'midi') {
+                DoverMidi.enable().catch(e => {
+                    midiClockStatus.textContent = `MIDI access refused: ${e.message || e.name}`;
+                });
+            }
+            lockSweep();
+        });
+
+        bpmInput.addEventListener('input', () => DoverAudio.setTempo(parseFloat(bpmInput.value)));
+        DoverAudio.onTempoChange(bpm => {
+            bpmValue.textContent = `${DoverAudio.settings.clock === 'midi' ? bpm.toFixed(1) : Math.round(bpm)} BPM`;
+        });
+        beatsInput.addEventListener('input', () => {
+            const beats = parseInt(beatsInput.value, 10);
+            document.getElementById('val-beats').textContent = `${beats}/4`;
+            DoverAudio.setBeatsPerBar(beats);
+        });
+        quantizeSelect.addEventListener('change', () => DoverAudio.setQuantize(quantizeSelect.value));
+        swingInput.addEventListener('input', () => {
+            const swing = parseFloat(swingInput.value);
+            document.getElementById('val-swing').textContent = Math.round(swing * 100) + '%';
+            DoverAudio.setSwing(swing);
+        });
+        barsInput.addEventListener('input', () => {
+            document.getElementById('val-sweep-bars').textContent = barsInput.value;
+            lockSweep();
+        });
+
+        midiInputSelect.addEventListener('change', () => DoverMidi.setClockInput(midiInputSelect.value));
+        DoverMidi.onChange(status => {
+            midiInputSelect.replaceChildren(new Option('— none —', ''),
+                ...status.inputs.map(i => new Option(i.name, i.id)));
+            midiInputSelect.value = status.clockInput || '';
+            midiClockStatus.textContent = status.inputs.length ? '' : 'no MIDI inputs found';
+        });
+    }
+
+    // Scale, ring count and custom note controls
+    function setupScaleControls() {
+        const rootSelect = document.getElementById('ctrl-scale-root');
+        const modeSelect = document.getElementById('ctrl-scale-mode');
+        const ringsInput = document.getElementById('ctrl-rings');
+        const octaveInput = document.getElementById('ctrl-scale-octave');
+        const spreadInput = document.getElementById('ctrl-scale-spread');
+        const customGroup = document.getElementById('group-custom-notes');
+        const customInput = document.getElementById('ctrl-custom-notes');
+        const notesDisplay = document.getElementById('val-scale-notes');
+        if (!rootSelect || !modeSelect) return;
+
+        for (const name of DoverScales.NOTE_NAMES) {
+            rootSelect.add(new Option(name, name));
+        }
+        for (const [id, scale] of Object.entries(DoverScales.SCALES)) {
+            modeSelect.add(new Option(scale.name, id));
+        }
+
+        const refresh = () => {
+            const s = DoverAudio.settings;
+            rootSelect.value = s.scaleRoot;
+            modeSelect.value = s.scaleMode;
+            ringsInput.value = s.ringCount;
+            octaveInput.value = s.scaleOctave;
+            spreadInput.value = s.scaleSpread;
+            document.getElementById('val-rings').textContent = s.ringCount;
+            document.getElementById('val-scale-octave').textContent = s.scaleOctave;
+            document.getElementById('val-scale-spread').textContent = s.scaleSpread;
+            customGroup.classList.toggle('hidden', s.scaleMode !== 'custom');
+            notesDisplay.textContent = DoverAudio.getScaleNotes().map(DoverScales.formatNote).join(' ');
+        };
+
+        rootSelect.addEventListener('change', () => {
+            DoverAudio.setScale({ root: rootSelect.value });
+            refresh();
+        });
+        modeSelect.addEventListener('change', () => {
+            if (modeSelect.value === 'custom') {
+                DoverAudio.setCustomNotes(customInput.value.split(/[\s,]+/).filter(Boolean));
+            } else {
+                DoverAudio.setScale({ mode: modeSelect.value });
+            }
+            refresh();
+        });
+        ringsInput.addEventListener('input', () => {
+            DoverAudio.setRingCount(parseInt(ringsInput.value, 10));
+            refresh();
+        });
+        octaveInput.addEventListener('input', () => {
+            DoverAudio.setScale({ octave: parseInt(octaveInput.value, 10) });
+            refresh();
+        });
+        spreadInput.addEventListener('input', () => {
+            DoverAudio.setScale({ spread: parseInt(spreadInput.value, 10) });
+            refresh();
+        });
+        customInput.addEventListener('change', () => {
+            DoverAudio.setCustomNotes(customInput.value.split(/[\s,]+/).filter(Boolean));
+            refresh();
+        });
+
+        customInput.value = DoverAudio.getCustomNotes().join(' ');
+        refresh();
+    }
+
+    // Ring mixer: a strip per ring, rebuilt when the rings change and kept
+    // in step with DoverAudio whoever changes it (keys, presets, scripts).
+    // The strips have no ctrl- ids; presets save the mixer themselves.
+    function setupMixerControls() {
+        const container = document.getElementById('ring-mixer');
+        const resetBtn = document.getElementById('mixer-reset');
+        if (!container) return;
+        const synths = Object.keys(DoverAudio.SHIP_VOICES);
+        const formatPan = pan => (pan === null ? 'bearing' : pan === 0 ? 'C' : `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`);
+
+        function buildStrip(index) {
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
+            strip.innerHTML = `
+                <div class="mixer-head">
+                    <span class="mixer-ring">${index + 1}</span>
+                    <input type="text" class="mixer-note" spellcheck="false" aria-label="Ring ${index + 1} note">
+                    <button class="mixer-mute" title="Mute" aria-label="Mute ring ${index + 1}">M</button>
+                    <button class="mixer-solo" title="Solo" aria-label="Solo ring ${index + 1}">S</button>
+                </div>
+                <div class="mixer-row">
+                    <span>Vol</span>
+                    <input type="range" class="mixer-volume" min="${DoverAudio.MIN_RING_VOLUME}" max="${DoverAudio.MAX_RING_VOLUME}" step="1" aria-label="Ring ${index + 1} volume">
+                    <span class="mixer-volume-value"></span>
+                </div>
+                <div class="mixer-row">
+                    <span>Pan</span>
+                    <input type="range" class="mixer-pan" min="-1" max="1" step="0.05" aria-label="Ring ${index + 1} pan">
+                    <button class="mixer-pan-value" title="Back to the ship's bearing"></button>
+                </div>
+                <select class="mixer-synth" aria-label="Ring ${index + 1} synth"></select>`;
+
+            const q = selector => strip.querySelector(selector);
+            const synthSelect = q('.mixer-synth');
+            synthSelect.add(new Option("Ship's own voice", ''));
+            for (const name of synths) synthSelect.add(new Option(name, name));
+
+            const set = changes => DoverAudio.setRingMix(index, changes);
+            q('.mixer-note').addEventListener('change', e => set({ note: e.target.value.trim() || null }));
+            q('.mixer-mute').addEventListener('click', () => set({ muted: !DoverAudio.getRingMix(index).muted }));
+            q('.mixer-solo').addEventListener('click', () => set({ solo: !DoverAudio.getRingMix(index).solo }));
+            q('.mixer-volume').addEventListener('input', e => set({ volume: parseFloat(e.target.value) }));
+            q('.mixer-pan').addEventListener('input', e => set({ pan: parseFloat(e.target.value) }));
+            q('.mixer-pan-value').addEventListener('click', () => set({ pan: null }));
+            synthSelect.addEventListener('change', () => set({ synth: synthSelect.value || null }));
+
+            strip.addEventListener('mouseenter', () => { highlightRing = index; });
+            strip.addEventListener('mouseleave', () => { highlightRing = null; });
+            strip.addEventListener('focusin', () => { highlightRing = index; });
+            strip.addEventListener('focusout', () => { highlightRing = null; });
+            return strip;
+        }
+
+        function fill(index) {
+            const strip = container.children[index];
+            const mix = DoverAudio.getRingMix(index);
+            if (!strip || !mix) return;
+            const q = selector => strip.querySelector(selector);
+            const scaleNote = DoverAudio.getScaleNotes()[index];
+
+            q('.mixer-note').value = mix.note === null ? '' : mix.note;
+            q('.mixer-note').placeholder = DoverScales.formatNote(scaleNote);
+            q('.mixer-mute').classList.toggle('active', mix.muted);
+            q('.mixer-mute').setAttribute('aria-pressed', mix.muted);
+            q('.mixer-solo').classList.toggle('active', mix.solo);
+            q('.mixer-solo').setAttribute('aria-pressed', mix.solo);
+            q('.mixer-volume').value = mix.volume;
+            q('.mixer-volume-value').textContent = `${mix.volume > 0 ? '+' : ''}${mix.volume}dB`;
+            q('.mixer-pan').value = mix.pan === null ? 0 : mix.pan;
+            q('.mixer-pan-value').textContent = formatPan(mix.pan);
+            q('.mixer-pan-value').disabled = mix.pan === null;
+            q('.mixer-synth').value = mix.synth || '';
+        }
+
+        function render(index) {
+            const count = DoverAudio.getRingCount();
+            if (index === null || container.children.length !== count) {
+                while (container.children.length > count) container.lastElementChild.remove();
+                while (container.children.length < count) container.appendChild(buildStrip(container.children.length));
+                if (highlightRing !== null && highlightRing >= count) highlightRing = null;
+                for (let i = 0; i < count; i++) fill(i);
+            } else {
+                fill(index);
+            }
+        }
+
+        DoverAudio.onMixerChange(render);
+        resetBtn.addEventListener('click', () => DoverAudio.resetMixer());
+        render(null);
+    }
+
+    // Traffic session record / replay
+    function setupSessionControls() {
+        const recordBtn = document.getElementById('session-record');
+        const playBtn = document.getElementById('session-play');
+        const liveBtn = document.getElementById('session-live');
+        const saveBtn = document.getElementById('session-save');
+        const loadBtn = document.getElementById('session-load');
+        const fileInput = document.getElementById('session-file');
+        const seekInput = document.getElementById('ctrl-session-seek');
+        const seekDisplay = document.getElementById('val-session-seek');
+        const speedInput = document.getElementById('ctrl-session-speed');
+        const speedDisplay = document.getElementById('val-session-speed');
+        if (!recordBtn) return;
+
+        const formatTime = ms => {
+            const total = Math.floor(ms / 1000);
+            const pad = n => String(n).padStart(2, '0');
+            return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+        };
+        let seeking = false;
+
+        const render = state => {
+            recordBtn.textContent = state.recording ? 'Stop' : 'Record';
+            recordBtn.classList.toggle('active', state.recording);
+            playBtn.textContent = state.playing ? 'Pause' : 'Play';
+            playBtn.disabled = state.recording || state.snapshots < 2;
+            liveBtn.disabled = !state.replaying;
+            saveBtn.disabled = state.recording || state.snapshots === 0;
+            seekInput.max = state.duration;
+            if (!seeking) seekInput.value = state.position;
+            seekDisplay.textContent = state.snapshots
+                ? `${formatTime(state.position)} / ${formatTime(state.duration)} — ${state.snapshots} snapshots`
+                : 'no session';
+        };
+
+        recordBtn.addEventListener('click', () => {
+            if (DoverSession.getState().recording) {
+                DoverSession.stopRecording();
+            } else {
+                DoverSession.startRecording();
+            }
+        });
+        playBtn.addEventListener('click', () => {
+            if (DoverSession.getState().playing) {
+                DoverSession.pause();
+            } else {
+                DoverSession.play();
+            }
+        });
+        liveBtn.addEventListener('click', () => DoverSession.stopPlayback());
+        saveBtn.addEventListener('click', () => DoverSession.download());
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                await DoverSession.load(file);
+            } catch (e) {
+                seekDisplay.textContent = 'could not read ' + file.name;
+            }
+        });
+        seekInput.addEventListener('input', () => {
+            seeking = true;
+            DoverSession.seek(parseFloat(seekInput.value));
+        });
+        seekInput.addEventListener('change', () => { seeking = false; });
+        speedInput.addEventListener('input', () => {
+            const v = parseFloat(speedInput.value);
+            speedDisplay.textContent = v + 'x';
+            DoverSession.setSpeed(v);
+        });
+
+        DoverSession.subscribe(render);
+        render(DoverSession.getState());
+    }
+
+    // Data source picker; ?source= preselects it and ?ws= sets the NMEA
+    // bridge URL. The API key comes only from its field, never the URL,
+    // and goes only to the URL typed next to it, so a shared link cannot
+    // send it elsewhere; the ids avoid the ctrl- prefix so it never lands
+    // in a preset either.
+    function setupSourceControls() {
+        const select = document.getElementById('source-select');
+        const connectGroup = document.getElementById('group-source-connect');
+        const keyRow = document.getElementById('source-key-row');
+        const keyInput = document.getElementById('source-key');
+        const urlInput = document.getElementById('source-url');
+        const connectBtn = document.getElementById('source-connect');
+        const status = document.getElementById('source-status');
+        if (!select) return;
+
+        // WebSocket sources wait for Connect so the URL/key can be entered first
+        const urls = { aisstream: DoverAisStream.DEFAULT_URL, nmea: DoverNmea.DEFAULT_URL };
+        const params = new URLSearchParams(window.location.search);
+        // ?seed= replays one simulation exactly (the seed shows in the status)
+        const seed = Number.parseInt(params.get('seed'), 10);
+        const initial = params.get('source') || (Number.isFinite(seed) ? 'simulation' : null);
+        if (params.get('ws') && initial === 'nmea') urls.nmea = params.get('ws');
+
+        let editing = null;
+        const showSettings = name => {
+            if (editing) urls[editing] = urlInput.value.trim() || urls[editing];
+            editing = name in urls ? name : null;
+            connectGroup.classList.toggle('hidden', !editing);
+            keyRow.hidden = name !== 'aisstream';
+            if (editing) urlInput.value = urls[editing];
+        };
+
+        const optionsFor = name => {
+            if (name === 'simulation' && Number.isFinite(seed)) return { seed };
+            if (!(name in urls)) return {};
+            if (name === editing) urls[name] = urlInput.value.trim() || urls[name];
+            return name === 'aisstream'
+                ? { apiKey: keyInput.value.trim(), url: urls.aisstream }
+                : { url: urls[name] };
+        };
+
+        let shownSource = null;
+        const render = info => {
+            // Only follow actual switches (e.g. a fallback), not status
+            // updates, so a half-made selection is left alone
+            if (info.name !== shownSource) {
+                shownSource = info.name;
+                select.value = info.name;
+                showSettings(info.name);
+            }
+            status.textContent = info.replaying
+                ? 'paused during session playback'
+                : (info.status || 'starts with the radar');
+        };
+
+        select.addEventListener('change', () => {
+            showSettings(select.value);
+            if (!(select.value in urls)) DoverShips.useSource(select.value, optionsFor(select.value));
+        });
+        connectBtn.addEventListener('click', () => {
+            DoverShips.useSource(select.value, optionsFor(select.value));
+        });
+
+        DoverShips.onSourceChange(render);
+
+        if (initial === 'aisstream') {
+            // Needs the key first: show its settings and wait for Connect
+            render(DoverShips.getSourceInfo());
+            select.value = initial;
+            showSettings(initial);
+        } else if (initial && DoverShips.getSourceNames().includes(initial)) {
+            DoverShips.useSource(initial, optionsFor(initial));
+        } else {
+            render(DoverShips.getSourceInfo());
+        }
+    }
+
+    // MIDI/OSC output. Device, URL and the internal mute avoid the ctrl-
+    // prefix so loading a preset never silences the radar or picks a port.
+    function setupOutputControls() {
+        const internalInput = document.getElementById('internal-audio');
+        const midiSelect = document.getElementById('midi-output');
+        const midiEnableBtn = document.getElementById('midi-enable');
+        const midiStatus = document.getElementById('midi-status');
+        const channelsSelect = document.getElementById('ctrl-midi-channels');
+        const channelInput = document.getElementById('ctrl-midi-channel');
+        const channelValue = document.getElementById('val-midi-channel');
+        const oscUrl = document.getElementById('osc-url');
+        const oscConnectBtn = document.getElementById('osc-connect');
+        const oscStatus = document.getElementById('osc-status');
+        if (!internalInput) return;
+
+        DoverMidi.init();
+        DoverOsc.init();
+
+        internalInput.addEventListener('change', () => {
+            DoverAudio.setInternalMuted(!internalInput.checked);
+        });
+
+        const renderMidi = status => {
+            midiEnableBtn.disabled = !status.supported || status.enabled;
+            midiEnableBtn.textContent = status.enabled ? 'MIDI Enabled' : 'Enable MIDI';
+            midiSelect.disabled = !status.enabled;
+            midiSelect.replaceChildren(new Option('— none —', ''),
+                ...status.outputs.map(o => new Option(o.name, o.id)));
+            midiSelect.value = status.output || '';
+            if (!status.supported) {
+                midiStatus.textContent = 'Web MIDI is not available in this browser';
+            } else if (!status.enabled) {
+                midiStatus.textContent = 'off';
+            } else {
+                midiStatus.textContent = status.outputs.length ? '' : 'no MIDI outputs found';
+            }
+        };
+        midiEnableBtn.addEventListener('click', () => {
+            DoverMidi.enable().catch(e => {
+                midiStatus.textContent = `MIDI access refused: ${e.message || e.name}`;
+            });
+        });
+        midiSelect.addEventListener('change', () => DoverMidi.setOutput(midiSelect.value));
+        channelsSelect.addEventListener('change', () => DoverMidi.setChannelMode(channelsSelect.value));
+        channelInput.addEventListener('input', () => {
+            const channel = parseInt(channelInput.value, 10);
+            channelValue.textContent = channel;
+            DoverMidi.setBaseChannel(channel);
+        });
+        DoverMidi.onChange(renderMidi);
+        renderMidi(DoverMidi.getStatus());
+
+        oscUrl.value = DoverOsc.DEFAULT_URL;
+        const renderOsc = status => {
+            oscStatus.textContent = status;
+            oscConnectBtn.textContent = status === 'off' ? 'Connect' : 'Disconnect';
+        };
+        oscConnectBtn.addEventListener('click', () => {
+            if (DoverOsc.getStatus() === 'off') DoverOsc.connect(oscUrl.value.trim() || DoverOsc.DEFAULT_URL);
+            else DoverOsc.disconnect();
+        });
+        DoverOsc.onStatusChange(renderOsc);
+        renderOsc(DoverOsc.getStatus());
+    }
+
+    // Named presets, files and share links
+    function setupPresetControls() {
+        const select = document.getElementById('preset-select');
+        const nameInput = document.getElementById('preset-name');
+        const saveBtn = document.getElementById('preset-save');
+        const deleteBtn = document.getElementById('preset-delete');
+        const linkBtn = document.getElementById('preset-link');
+        const exportBtn = document.getElementById('preset-export');
+        const importBtn = document.getElementById('preset-import');
+        const fileInput = document.getElementById('preset-file');
+        const status = document.getElementById('preset-status');
+        if (!select) return;
+
+        const refreshList = (selected = '') => {
+            select.length = 1;
+            for (const name of DoverPresets.list()) {
+                select.add(new Option(name, name));
+            }
+            select.value = selected;
+            deleteBtn.disabled = !select.value;
+        };
+
+        select.addEventListener('change', () => {
+            deleteBtn.disabled = !select.value;
+            if (!select.value) return;
+            nameInput.value = select.value;
+            DoverPresets.load(select.value);
+            status.textContent = `loaded "${select.value}"`;
+        });
+        saveBtn.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                status.textContent = 'enter a name first';
+                return;
+            }
+            DoverPresets.save(name);
+            refreshList(name);
+            status.textContent = `saved "${name}"`;
+        });
+        deleteBtn.addEventListener('click', () => {
+            if (!select.value) return;
+            DoverPresets.remove(select.value);
+            status.textContent = `deleted "${select.value}"`;
+            refreshList();
+        });
+        linkBtn.addEventListener('click', async () => {
+            const url = DoverPresets.getShareUrl();
+            try {
+                await navigator.clipboard.writeText(url);
+                status.textContent = 'link copied';
+            } catch (e) {
+                history.replaceState(null, '', url);
+                status.textContent = 'link is in the address bar';
+            }
+        });
+        exportBtn.addEventListener('click', () => DoverPresets.exportFile(select.value || null));
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const name = await DoverPresets.importFile(file);
+                refreshList(name);
+                nameInput.value = name;
+                status.textContent = `imported "${name}"`;
+            } catch (e) {
+                status.textContent = 'could not read ' + file.name;
+            }
+        });
+
+        refreshList();
+        DoverPresets.init();
+    }
+
+    // --- Accessibility ---
+
+    function setHighContrast(on) {
+        palette = on ? PALETTES.contrast : PALETTES.standard;
+        document.body.classList.toggle('high-contrast', on);
+    }
+
+    // Like audio-only, these have no ctrl- prefix: they belong to the
+    // listener, not to a preset. Both start from the system settings.
+    function setupAccessibilityControls() {
+        const contrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more), (forced-colors: active)') : null;
+        const contrastInput = document.getElementById('high-contrast');
+        contrastInput.checked = Boolean(contrastQuery && contrastQuery.matches);
+        contrastInput.addEventListener('change', () => setHighContrast(contrastInput.checked));
+        if (contrastQuery) {
+            contrastQuery.addEventListener('change', () => {
+                contrastInput.checked = contrastQuery.matches;
+                setHighContrast(contrastQuery.matches);
+            });
+        }
+        setHighContrast(contrastInput.checked);
+
+        if (reducedMotionQuery) {
+            reducedMotionQuery.addEventListener('change', () => {
+                reducedMotion = reducedMotionQuery.matches;
+            });
+        }
+
+        const announceInput = document.getElementById('announce-vessels');
+        announceInput.addEventListener('change', () => DoverAnnouncer.setEnabled(announceInput.checked));
+        DoverAnnouncer.setEnabled(announceInput.checked);
+        DoverAnnouncer.init(document.getElementById('announcer'));
     }
 
     // --- Audio toggle button (mobile-friendly alternative to D key) ---
-    audioToggleBtn.addEventListener('click', () => {
-        debugPanel.classList.toggle('visible');
-        audioToggleBtn.classList.toggle('active', debugPanel.classList.contains('visible'));
+    audioToggleBtn.addEventListener('click', togglePanel);
+
+    // --- Recording ---
+
+    // Only usable once the audio is running; the title says why not
+    function updateRecordButton(error = null) {
+        const recording = DoverRecorder.isRecording();
+        recordBtn.disabled = !DoverRecorder.isSupported() || !DoverAudio.isStarted();
+        recordBtn.classList.toggle('recording', recording);
+        if (!DoverRecorder.isSupported()) {
+            recordBtn.title = 'Recording is not supported in this browser';
+        } else if (!DoverAudio.isStarted()) {
+            recordBtn.title = 'Record WAV (once the audio has started)';
+        } else if (error) {
+            recordBtn.title = `Recording failed: ${error.message || error} — click to try again`;
+        } else {
+            recordBtn.title = recording ? 'Stop recording' : 'Record WAV';
+        }
+    }
+
+    recordBtn.addEventListener('click', async () => {
+        if (recordBtn.disabled) return;
+        recordBtn.disabled = true;
+        recordBtn.classList.add('busy');
+        let error = null;
+        try {
+            if (DoverRecorder.isRecording()) {
+                const wav = await DoverRecorder.stop();
+                if (wav) DoverRecorder.download(wav);
+            } else {
+                await DoverRecorder.start();
+            }
+        } catch (e) {
+            console.warn('Recording failed:', e);
+            error = e;
+        }
+        recordBtn.classList.remove('busy');
+        updateRecordButton(error);
     });
+    updateRecordButton();
 
     // --- Fullscreen (with CSS fallback for browsers without Fullscreen API) ---
     fullscreenBtn.addEventListener('click', () => {
@@ -513,12 +2103,26 @@
     // --- Init ---
     function init() {
         resize();
+        DoverRegion.onChange(region => {
+            zoneName.textContent = region.name.toUpperCase();
+            trails.clear();
+            regionVersion++;
+        });
+        DoverRegion.init();
+        DoverShips.onEvent(handleTrafficEvent);
+        DoverEngine.onHit(handleSweepHit);
+        DoverAmbient.init();
         setupDebugControls();
+        setupDisplayControls();
+        setupAccessibilityControls();
+        setupSourceControls();
+        setupOutputControls();
+        setupSessionControls();
+        setupPresetControls();
 
         // Draw initial static radar (before user clicks)
         drawBackground();
-        drawRings();
-        drawCompass();
+        drawStatic();
     }
 
     window.addEventListener('resize', resize);
@@ -0,0 +1,139 @@
+/**
+ * Dover Radar Synth - Session Recorder
+ *
+ * Taps the master output and turns a live performance into a WAV file:
+ * - Captures via Tone.Recorder (MediaRecorder under the hood)
+ * - Decodes the compressed capture and re-encodes it as 16-bit PCM WAV
+ * - Names files after the data source and the recording start time
+ */
+const DoverRecorder = (() => {
+    let recorder = null;
+    let source = null;
+    let startedAt = null;
+
+    function isSupported() {
+        return typeof MediaRecorder !== 'undefined' && Tone.Recorder !== undefined;
+    }
+
+    async function start() {
+        if (recorder || !DoverAudio.isStarted() || !isSupported()) return false;
+
+        source = DoverAudio.getOutput();
+        recorder = new Tone.Recorder();
+        try {
+            source.connect(recorder);
+            await recorder.start();
+        } catch (e) {
+            release();
+            throw e;
+        }
+        startedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Stop recording and resolve with { blob, filename } for a WAV file.
+     * Recording is over afterwards even if the capture cannot be decoded.
+     */
+    async function stop() {
+        if (!recorder) return null;
+
+        const began = startedAt;
+        let captured;
+        try {
+            captured = await recorder.stop();
+        } finally {
+            release();
+        }
+
+        const buffer = await Tone.context.rawContext.decodeAudioData(await captured.arrayBuffer());
+        return {
+            blob: encodeWav(buffer),
+            filename: buildFilename(began, DoverShips.getDataSource()),
+        };
+    }
+
+    function release() {
+        try {
+            source.disconnect(recorder);
+        } catch (e) { /* output already disposed */ }
+        recorder.dispose();
+        recorder = null;
+        startedAt = null;
+    }
+
+    /**
+     * Encode an AudioBuffer as interleaved 16-bit PCM WAV.
+     */
+    function encodeWav(buffer) {
+        const channels = Math.min(2, buffer.numberOfChannels);
+        const sampleRate = buffer.sampleRate;
+        const frames = buffer.length;
+        const dataSize = frames * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, str) => {
+            for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+        };
+
+        // RIFF header + fmt chunk + data chunk
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);                        // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+        view.setUint16(32, channels * 2, true);              // block align
+        view.setUint16(34, 16, true);                        // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = [];
+        for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = Math.max(-1, Math.min(1, data[c][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    /**
+     * e.g. dover-strait_live_2026-02-06_21-04-33.wav
+     */
+    function buildFilename(date, dataSource) {
+        const pad = n => String(n).padStart(2, '0');
+        const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+            + `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+        return `dover-strait_${dataSource}_${stamp}.wav`;
+    }
+
+    function download({ blob, filename }) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    return {
+        start,
+        stop,
+        download,
+        encodeWav,
+        isSupported,
+        isRecording: () => recorder !== null,
+        getStartTime: () => startedAt,
+    };
+})();
@@ -0,0 +1,214 @@
+/**
+ * Dover Radar Synth - Region
+ *
+ * Decides which stretch of water the radar shows and loads its map data:
+ * - Presets are GeoJSON files in data/regions/ (bbox, center, coastlines,
+ *   place labels, main traffic bearing, and the traffic layout the
+ *   simulator uses: lanes, ferry routes, anchorages, fishing grounds)
+ * - ?region=<preset> or ?bbox=latMin,lonMin,latMax,lonMax pins a region
+ * - Otherwise the region follows the center/bbox the API reports
+ */
+const DoverRegion = (() => {
+
+    const PRESETS = {
+        dover:     'Dover Strait',
+        gibraltar: 'Strait of Gibraltar',
+        oresund:   'Øresund',
+        singapore: 'Singapore Strait',
+    };
+    const DEFAULT_REGION = 'dover';
+
+    let current = null;
+    let pinned = false;
+    let loading = null;
+    const listeners = new Set();
+
+    /**
+     * Parse a region GeoJSON FeatureCollection. `bbox` is the standard
+     * [west, south, east, north]; `center` is [lon, lat]. Features with a
+     * `kind` property describe traffic rather than the map:
+     *   lane (LineString in direction of travel; width nm, interval min, destinations)
+     *   ferry (LineString port to port; ports, interval min, speed kn, dwell min)
+     *   anchorage, fishing (Point; radius nm, count)
+     */
+    function fromGeoJson(geo, fallbackId) {
+        const [lonMin, latMin, lonMax, latMax] = geo.bbox;
+        const center = geo.center
+            ? { lat: geo.center[1], lon: geo.center[0] }
+            : { lat: (latMin + latMax) / 2, lon: (lonMin + lonMax) / 2 };
+
+        const coasts = [];
+        const places = [];
+        const traffic = { lanes: [], ferryRoutes: [], anchorages: [], fishingGrounds: [] };
+        const toPoints = coords => coords.map(([lon, lat]) => ({ lat, lon }));
+        for (const feature of geo.features || []) {
+            const { geometry, properties = {} } = feature;
+            if (!geometry) continue;
+
+            const { kind, ...props } = properties;
+            if (kind === 'lane' && geometry.type === 'LineString') {
+                traffic.lanes.push({ ...props, points: toPoints(geometry.coordinates) });
+            } else if (kind === 'ferry' && geometry.type === 'LineString') {
+                traffic.ferryRoutes.push({ ...props, points: toPoints(geometry.coordinates) });
+            } else if ((kind === 'anchorage' || kind === 'fishing') && geometry.type === 'Point') {
+                const list = kind === 'anchorage' ? traffic.anchorages : traffic.fishingGrounds;
+                list.push({ ...props, lat: geometry.coordinates[1], lon: geometry.coordinates[0] });
+            } else if (geometry.type === 'LineString') {
+                coasts.push(geometry.coordinates.map(([lon, lat]) => ({ lat, lon })));
+            } else if (geometry.type === 'MultiLineString') {
+                for (const line of geometry.coordinates) {
+                    coasts.push(line.map(([lon, lat]) => ({ lat, lon })));
+                }
+            } else if (geometry.type === 'Point' && properties.name) {
+                places.push({ name: properties.name, lat: geometry.coordinates[1], lon: geometry.coordinates[0] });
+            }
+        }
+
+        return {
+            id: geo.id || fallbackId,
+            name: geo.name || PRESETS[fallbackId] || fallbackId,
+            center,
+            bbox: { latMin, latMax, lonMin, lonMax },
+            laneBearing: typeof geo.laneBearing === 'number' ? geo.laneBearing : 45,
+            coasts,
+            places,
+            traffic,
+        };
+    }
+
+    /**
+     * A region with no map data, e.g. from ?bbox= or an unknown API bbox.
+     */
+    function bareRegion(bbox, center, name) {
+        return {
+            id: 'custom',
+            name: name || 'Custom Region',
+            center: center || { lat: (bbox.latMin + bbox.latMax) / 2, lon: (bbox.lonMin + bbox.lonMax) / 2 },
+            bbox,
+            laneBearing: 45,
+            coasts: [],
+            places: [],
+            traffic: null,
+        };
+    }
+
+    function setRegion(region) {
+        current = region;
+        DoverShips.setRegion(region.center, region.bbox, {
+            pinned,
+            laneBearing: region.laneBearing,
+            traffic: region.traffic,
+        });
+        for (const fn of listeners) fn(current);
+    }
+
+    async function loadPreset(id) {
+        const res = await fetch(`data/regions/${id}.geojson`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return fromGeoJson(await res.json(), id);
+    }
+
+    /**
+     * Switch to a preset by id. Resolves with the region.
+     */
+    async function load(id) {
+        if (!PRESETS[id]) throw new Error(`Unknown region: ${id}`);
+        loading = loadPreset(id);
+        try {
+            const region = await loading;
+            setRegion(region);
+            return region;
+        } finally {
+            loading = null;
+        }
+    }
+
+    function parseBBoxParam(value) {
+        const parts = value.split(',').map(Number);
+        if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+        const [latMin, lonMin, latMax, lonMax] = parts;
+        if (latMin >= latMax || lonMin >= lonMax) return null;
+        return { latMin, latMax, lonMin, lonMax };
+    }
+
+    /**
+     * Adopt the region the API reports (unless the URL pinned one).
+     * Matches it to a preset by id, else keeps the current preset's map
+     * if its bbox holds the center; otherwise shows the bare box.
+     */
+    async function followServer(snapshot) {
+        if (pinned || loading || !snapshot.region) return;
+        const { id, center, bbox } = snapshot.region;
+        if (!center || !bbox) return;
+        if (current && Math.abs(current.center.lat - center.lat) < 1e-6
+            && Math.abs(current.center.lon - center.lon) < 1e-6) return;
+
+        let presetId = PRESETS[id] ? id : null;
+        if (!presetId && current && current.id !== 'custom') {
+            const b = current.bbox;
+            if (center.lat >= b.latMin && center.lat <= b.latMax && center.lon >= b.lonMin && center.lon <= b.lonMax) {
+                presetId = current.id;
+            }
+        }
+
+        if (presetId) {
+            // Snapshots arriving meanwhile wait for this load
+            loading = loadPreset(presetId).catch(() => null);
+            try {
+                const region = await loading;
+                if (region) {
+                    setRegion({ ...region, center, bbox });
+                    return;
+                }
+            } finally {
+                loading = null;
+            }
+        }
+        setRegion(bareRegion(bbox, center));
+    }
+
+    /**
+     * Pick the starting region: URL parameter, else the default preset.
+     */
+    async function init() {
+        const params = new URLSearchParams(window.location.search);
+        const bboxParam = params.get('bbox') && parseBBoxParam(params.get('bbox'));
+        const regionParam = params.get('region');
+
+        DoverShips.onSnapshot(followServer);
+
+        if (bboxParam) {
+            pinned = true;
+            setRegion(bareRegion(bboxParam));
+            return current;
+        }
+
+        pinned = Boolean(regionParam && PRESETS[regionParam]);
+        try {
+            return await load(pinned ? regionParam : DEFAULT_REGION);
+        } catch (e) {
+            // Map data unavailable — keep the radar running on the built-in box
+            console.warn('Region data failed to load:', e);
+            setRegion(bareRegion(DoverShips.getBBox(), DoverShips.getCenter(), PRESETS[DEFAULT_REGION]));
+            return current;
+        }
+    }
+
+    /**
+     * Subscribe to region changes. Returns an unsubscribe function.
+     */
+    function onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        init,
+        load,
+        onChange,
+        fromGeoJson,
+        get: () => current,
+        isPinned: () => pinned,
+        PRESETS,
+    };
+})();
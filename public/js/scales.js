@@ -0,0 +1,146 @@
+/**
+ * Dover Radar Synth - Scales & Tunings
+ *
+ * Turns a root, a mode and a ring count into one note per radar ring:
+ * - Equal-tempered modes (pentatonics, dorian, lydian, whole-tone)
+ * - Just intonation (returned as frequencies in Hz)
+ * - Fixed note lists (the original Dover voicing, or user-supplied notes)
+ *
+ * Ring 0 is the innermost ring and gets the highest note.
+ */
+const DoverScales = (() => {
+
+    const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+    const NOTE_ALIASES = { Db: 1, 'D#': 3, Gb: 6, 'G#': 8, 'A#': 10, Cb: -1, Fb: 4, 'E#': 5, 'B#': 12 };
+
+    // Scale definitions — `intervals` in semitones, `ratios` for just intonation,
+    // `notes` for fixed voicings
+    const SCALES = {
+        dover:           { name: 'Dover (original)',   notes: ['C5', 'G4', 'Eb4', 'Bb3', 'C3'] },
+        minorPentatonic: { name: 'Minor pentatonic',   intervals: [0, 3, 5, 7, 10] },
+        majorPentatonic: { name: 'Major pentatonic',   intervals: [0, 2, 4, 7, 9] },
+        dorian:          { name: 'Dorian',             intervals: [0, 2, 3, 5, 7, 9, 10] },
+        lydian:          { name: 'Lydian',             intervals: [0, 2, 4, 6, 7, 9, 11] },
+        wholeTone:       { name: 'Whole-tone',         intervals: [0, 2, 4, 6, 8, 10] },
+        just:            { name: 'Just intonation',    ratios: [1, 9 / 8, 5 / 4, 4 / 3, 3 / 2, 5 / 3, 15 / 8] },
+        custom:          { name: 'Custom notes',       notes: null },
+    };
+
+    /**
+     * Parse a note name like 'Eb4' or 'C#5' into a MIDI number.
+     * Returns null for anything unparseable.
+     */
+    function noteToMidi(note) {
+        const m = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(String(note).trim());
+        if (!m) return null;
+
+        const name = m[1].toUpperCase() + m[2];
+        let pc = NOTE_NAMES.indexOf(name);
+        if (pc < 0) pc = NOTE_ALIASES[name];
+        if (pc === undefined) return null;
+
+        return (parseInt(m[3], 10) + 1) * 12 + pc;
+    }
+
+    function midiToNote(midi) {
+        const pc = ((midi % 12) + 12) % 12;
+        return NOTE_NAMES[pc] + (Math.floor(midi / 12) - 1);
+    }
+
+    function midiToFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * Shift a note (name or Hz) by a number of octaves.
+     */
+    function transposeOctaves(note, octaves) {
+        if (typeof note === 'number') return note * Math.pow(2, octaves);
+        const midi = noteToMidi(note);
+        return midi === null ? note : midiToNote(midi + octaves * 12);
+    }
+
+    /**
+     * Fixed list: cycle through the notes, dropping below the list's range
+     * each time it runs out, optionally transposed by a number of semitones.
+     */
+    function fromNoteList(notes, ringCount, semitones) {
+        const first = noteToMidi(notes[0]);
+        const last = noteToMidi(notes[notes.length - 1]);
+        const span = first !== null && last !== null
+            ? Math.max(1, Math.ceil((Math.abs(first - last) + 1) / 12))
+            : 1;
+
+        const result = [];
+        for (let i = 0; i < ringCount; i++) {
+            const base = notes[i % notes.length];
+            const octaveDrop = Math.floor(i / notes.length) * span;
+            const midi = noteToMidi(base);
+            if (midi === null) {
+                result.push(transposeOctaves(base, -octaveDrop));
+            } else {
+                result.push(midiToNote(midi + semitones - octaveDrop * 12));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Walk down the scale from the root, `spread` degrees per ring.
+     */
+    function fromDegrees(scale, rootMidi, ringCount, spread) {
+        const steps = scale.intervals || scale.ratios;
+        const len = steps.length;
+        const result = [];
+
+        for (let i = 0; i < ringCount; i++) {
+            const position = -i * spread;
+            const octaveShift = Math.floor(position / len);
+            const degree = position - octaveShift * len;
+
+            if (scale.ratios) {
+                const freq = midiToFrequency(rootMidi) * Math.pow(2, octaveShift) * scale.ratios[degree];
+                result.push(Math.round(freq * 100) / 100);
+            } else {
+                result.push(midiToNote(rootMidi + octaveShift * 12 + scale.intervals[degree]));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Build the ring notes for a scale configuration.
+     * Notes are strings ('Eb4') except for just intonation, which yields Hz.
+     */
+    function buildRingNotes({ root = 'C', mode = 'dover', ringCount = 5, octave = 5, spread = 2, customNotes = [] } = {}) {
+        const scale = SCALES[mode] || SCALES.dover;
+        const rootMidi = noteToMidi(root + '0');
+        const rootPc = rootMidi === null ? 0 : rootMidi - 12;
+
+        if (scale.notes !== undefined) {
+            const notes = mode === 'custom' ? customNotes : scale.notes;
+            if (!notes || notes.length === 0) return fromNoteList(SCALES.dover.notes, ringCount, 0);
+            // Fixed voicings follow the root (nearest transposition); custom lists are absolute
+            const semitones = mode === 'custom' ? 0 : (rootPc > 6 ? rootPc - 12 : rootPc);
+            return fromNoteList(notes, ringCount, semitones);
+        }
+
+        return fromDegrees(scale, (octave + 1) * 12 + rootPc, ringCount, Math.max(1, spread));
+    }
+
+    /**
+     * Human-readable label for a note (frequencies are shown in Hz).
+     */
+    function formatNote(note) {
+        return typeof note === 'number' ? Math.round(note) + 'Hz' : note;
+    }
+
+    return {
+        NOTE_NAMES,
+        SCALES,
+        buildRingNotes,
+        noteToMidi,
+        midiToNote,
+        formatNote,
+    };
+})();
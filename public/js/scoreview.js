@@ -0,0 +1,157 @@
+/**
+ * Dover Radar Synth - Score View
+ *
+ * A scrolling piano roll of what the strait plays: one row per ring
+ * (inner ring, the highest note, on top), time running right to left,
+ * every note (DoverAudio.onNote) drawn where and when it sounds, in its
+ * ship type's colour. Event gestures are drawn hollow. With a musical
+ * clock the grid shows bars and beats, otherwise seconds.
+ */
+const DoverScoreView = (() => {
+    const WINDOW_S = 12;            // seconds of history across the view
+    const NOW_AT = 0.88;            // the playhead, as a fraction of the width
+    const LABEL_WIDTH = 44;         // px for the note names
+    const MARGIN = 20;              // px, like the radar's
+    const MIN_NOTE_PX = 3;
+
+    function create(container) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'view-canvas';
+        container.appendChild(canvas);
+        const ctx = canvas.getContext('2d');
+
+        let size = 0;
+        let dpr = 1;
+        const notes = [];           // { at, ring, kind, color, duration }
+
+        const unsubscribe = DoverAudio.onNote(note => {
+            notes.push({
+                at: Tone.now() + note.delay,
+                ring: note.ring,
+                kind: note.kind,
+                duration: note.duration,
+                color: note.kind === 'ship'
+                    ? DoverShipTypes.get(note.type).color
+                    : 'rgba(255, 255, 255, 0.7)',
+            });
+        });
+
+        function resize(newSize, ratio) {
+            size = newSize;
+            dpr = ratio;
+            canvas.width = Math.round(size * dpr);
+            canvas.height = Math.round(size * dpr);
+            canvas.style.width = size + 'px';
+            canvas.style.height = size + 'px';
+        }
+
+        // Vertical lines for bars and beats (clock running) or seconds
+        function drawGrid(now, left, width, top, height, xOf) {
+            const s = DoverAudio.settings;
+            const lines = [];
+            if (s.clock !== 'free') {
+                const beatS = 60 / s.bpm;
+                const beats = DoverAudio.getTransportBars(now) * s.beatsPerBar;
+                const first = Math.ceil(beats - (WINDOW_S * NOW_AT) / beatS);
+                for (let b = first; b * beatS <= beats * beatS + WINDOW_S; b++) {
+                    lines.push({ at: now + (b - beats) * beatS, strong: b % s.beatsPerBar === 0 });
+                }
+            } else {
+                for (let t = Math.ceil(now - WINDOW_S); t <= now + WINDOW_S; t++) {
+                    lines.push({ at: t, strong: t % 5 === 0 });
+                }
+            }
+
+            ctx.lineWidth = 0.5;
+            for (const line of lines) {
+                const x = xOf(line.at);
+                if (x < left || x > left + width) continue;
+                ctx.strokeStyle = `rgba(255, 255, 255, ${line.strong ? 0.12 : 0.04})`;
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, top + height);
+                ctx.stroke();
+            }
+        }
+
+        function frame(time, ships) {
+            const now = Tone.immediate();
+            const ringNotes = DoverAudio.getRingNotes();
+            const rows = ringNotes.length;
+            const left = MARGIN + LABEL_WIDTH;
+            const top = MARGIN;
+            const width = size - left - MARGIN;
+            const height = size - MARGIN * 2;
+            const rowHeight = height / rows;
+            const pxPerS = width / WINDOW_S;
+            const nowX = left + width * NOW_AT;
+            const xOf = at => nowX + (at - now) * pxPerS;
+
+            while (notes.length && notes[0].at < now - WINDOW_S) notes.shift();
+
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.clearRect(0, 0, size, size);
+
+            // Rows and their notes
+            ctx.font = '10px Courier New';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            for (let i = 0; i < rows; i++) {
+                const y = top + rowHeight * i;
+                ctx.fillStyle = `rgba(255, 255, 255, ${i % 2 ? 0.015 : 0.03})`;
+                ctx.fillRect(left, y, width, rowHeight);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+                ctx.fillText(DoverScales.formatNote(ringNotes[i]), left - 8, y + rowHeight / 2);
+            }
+            drawGrid(now, left, width, top, height, xOf);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, width, height);
+            ctx.clip();
+            for (const note of notes) {
+                if (note.ring < 0 || note.ring >= rows) continue;
+                const x = xOf(note.at);
+                const w = Math.max(MIN_NOTE_PX, note.duration * pxPerS);
+                const y = top + rowHeight * note.ring + rowHeight * 0.2;
+                const h = rowHeight * 0.6;
+                // Fresh notes glow; older ones settle
+                const age = Math.max(0, now - note.at);
+                ctx.globalAlpha = 0.45 + 0.5 * Math.exp(-age * 2);
+                if (note.kind === 'ship') {
+                    ctx.fillStyle = note.color;
+                    ctx.fillRect(x, y, w, h);
+                } else {
+                    ctx.strokeStyle = note.color;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(x + 0.5, y + h * 0.2, w, h * 0.6);
+                }
+            }
+            ctx.restore();
+
+            // Playhead
+            ctx.strokeStyle = 'rgba(100, 255, 150, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(nowX, top);
+            ctx.lineTo(nowX, top + height);
+            ctx.stroke();
+
+            return ships.filter(ship => {
+                const pos = DoverShips.toRadarPosition(ship);
+                return Math.hypot(pos.x, pos.y) <= 1.05;
+            }).length;
+        }
+
+        function destroy() {
+            unsubscribe();
+            canvas.remove();
+        }
+
+        return { resize, frame, destroy };
+    }
+
+    DoverViews.register('score', 'Score (piano roll)', create);
+
+    return { create };
+})();
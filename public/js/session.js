@@ -0,0 +1,250 @@
+/**
+ * Dover Radar Synth - Traffic Session Recorder & Player
+ *
+ * Records the snapshots DoverShips publishes into a timeline and plays
+ * them back through DoverShips' replay mode:
+ * - Save/load as NDJSON (header line, then one snapshot per line)
+ * - Play/pause, seek and 1x–60x playback speed
+ */
+const DoverSession = (() => {
+    const FORMAT = 'dover-session';
+    const VERSION = 1;
+    const TICK_MS = 100;
+    const MIN_SPEED = 1;
+    const MAX_SPEED = 60;
+
+    // Timeline: [{ t, timestamp, source, motionScale, ships }], t in ms since the first snapshot
+    let timeline = [];
+    let recording = false;
+    let unsubscribe = null;
+
+    // Playback
+    let playing = false;
+    let position = 0;
+    let speed = 1;
+    let cursor = -1;
+    let tickTimer = null;
+    let lastTick = 0;
+    const listeners = new Set();
+
+    function notify() {
+        for (const fn of listeners) fn(getState());
+    }
+
+    // --- Recording ---
+
+    function startRecording() {
+        if (recording) return;
+        stopPlayback();
+        timeline = [];
+        recording = true;
+        unsubscribe = DoverShips.onSnapshot(snapshot => {
+            if (snapshot.source === 'replay') return;
+            const t = timeline.length ? snapshot.timestamp - timeline[0].timestamp : 0;
+            timeline.push({
+                t,
+                timestamp: snapshot.timestamp,
+                source: snapshot.source,
+                motionScale: snapshot.motionScale,
+                ships: snapshot.ships,
+            });
+            notify();
+        });
+        notify();
+    }
+
+    function stopRecording() {
+        if (!recording) return;
+        recording = false;
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+        notify();
+    }
+
+    // --- Files ---
+
+    function toNdjson() {
+        const header = {
+            format: FORMAT,
+            version: VERSION,
+            startedAt: timeline.length ? new Date(timeline[0].timestamp).toISOString() : null,
+            snapshots: timeline.length,
+        };
+        return [header, ...timeline].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    function download() {
+        if (!timeline.length) return;
+        const blob = new Blob([toNdjson()], { type: 'application/x-ndjson' });
+        const stamp = new Date(timeline[0].timestamp).toISOString().slice(0, 19).replace(/:/g, '-');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `dover-session_${stamp}.ndjson`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Parse NDJSON (or a plain JSON array of snapshots) into the timeline.
+     */
+    function parse(text) {
+        const trimmed = text.trim();
+        const entries = trimmed.startsWith('[')
+            ? JSON.parse(trimmed)
+            : trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        const snapshots = entries.filter(e => e && e.format !== FORMAT && Array.isArray(e.ships));
+        if (!snapshots.length) throw new Error('No snapshots found');
+
+        const first = snapshots[0].timestamp || 0;
+        return snapshots
+            .map(s => ({
+                t: typeof s.t === 'number' ? s.t : (s.timestamp || 0) - first,
+                timestamp: s.timestamp || first,
+                source: s.source || 'unknown',
+                motionScale: s.motionScale,
+                ships: s.ships,
+            }))
+            .sort((a, b) => a.t - b.t);
+    }
+
+    async function load(file) {
+        const text = typeof file === 'string' ? file : await file.text();
+        stopRecording();
+        stopPlayback();
+        timeline = parse(text);
+        notify();
+        return timeline.length;
+    }
+
+    // --- Playback ---
+
+    function indexAt(ms) {
+        // Last snapshot at or before `ms` (binary search)
+        let lo = 0, hi = timeline.length - 1, found = 0;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (timeline[mid].t <= ms) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    function applyPosition() {
+        const index = indexAt(position);
+        if (index !== cursor) {
+            cursor = index;
+            DoverShips.loadReplaySnapshot(timeline[index], playing ? speed : 0);
+        }
+    }
+
+    function tick() {
+        const now = performance.now();
+        position += (now - lastTick) * speed;
+        lastTick = now;
+
+        if (position >= getDuration()) {
+            position = getDuration();
+            applyPosition();
+            pause();
+            return;
+        }
+        applyPosition();
+        notify();
+    }
+
+    function play() {
+        if (!timeline.length || playing) return;
+        stopRecording();
+        if (position >= getDuration()) position = 0;
+
+        DoverShips.startReplay();
+        playing = true;
+        cursor = -1;
+        applyPosition();
+        lastTick = performance.now();
+        tickTimer = setInterval(tick, TICK_MS);
+        notify();
+    }
+
+    function pause() {
+        if (!playing) return;
+        playing = false;
+        clearInterval(tickTimer);
+        tickTimer = null;
+        DoverShips.setReplaySpeed(0);
+        notify();
+    }
+
+    /**
+     * Pause and hand the radar back to the live feed.
+     */
+    function stopPlayback() {
+        pause();
+        cursor = -1;
+        DoverShips.stopReplay();
+        notify();
+    }
+
+    function seek(ms) {
+        position = Math.max(0, Math.min(getDuration(), ms));
+        if (DoverShips.isReplaying()) applyPosition();
+        notify();
+    }
+
+    function setSpeed(val) {
+        speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, val));
+        if (playing) DoverShips.setReplaySpeed(speed);
+        notify();
+    }
+
+    function getDuration() {
+        return timeline.length ? timeline[timeline.length - 1].t : 0;
+    }
+
+    function getState() {
+        return {
+            recording,
+            playing,
+            replaying: DoverShips.isReplaying(),
+            position,
+            duration: getDuration(),
+            speed,
+            snapshots: timeline.length,
+        };
+    }
+
+    /**
+     * Subscribe to state changes (recording, playback position, ...).
+     */
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return {
+        startRecording,
+        stopRecording,
+        download,
+        load,
+        parse,
+        toNdjson,
+        play,
+        pause,
+        stopPlayback,
+        seek,
+        setSpeed,
+        getState,
+        getTimeline: () => timeline,
+        subscribe,
+        MIN_SPEED,
+        MAX_SPEED,
+    };
+})();
@@ -1,146 +1,581 @@
 /**
  * Dover Radar Synth - Ship Data Manager
  *
- * Fetches ship positions from PHP proxy or simulates client-side.
+ * Ship data comes from pluggable sources: the PHP proxy poller and the
+ * client-side simulation (simulator.js) are built in, streaming sources (aisstream.js)
+ * register themselves. A failing source falls back to the simulation.
+ * The region (center + bounding box) defaults to Dover and is set by
+ * region.js from the URL or the API response.
+ * Every new snapshot is announced to listeners, along with the traffic
+ * events found by comparing it with the last one (events.js); a replay
+ * mode lets recorded snapshots stand in for the live feed (see session.js).
+ * Between snapshots, ships are dead-reckoned from speed and heading and
+ * eased toward each fresh report, so getShips() moves smoothly every frame.
+ * The scope can zoom and pan over the region (setView, zoomBy, panBy);
+ * radar positions and rings follow the view.
  * Speed-based coloring to match art.lol/boats aesthetic.
  */
 const DoverShips = (() => {
 
-    // Dover Strait center and bounding box
-    const CENTER = { lat: 51.05, lon: 1.55 };
-    const BBOX = {
+    // Region center and bounding box — Dover Strait until told otherwise
+    let center = { lat: 51.05, lon: 1.55 };
+    let bbox = {
         latMin: 50.7, latMax: 51.4,
         lonMin: 0.8, lonMax: 2.3
     };
+    let laneBearing = 45;      // main traffic axis, used by the simulation
+    let traffic = null;        // the region's lanes, ferry routes, anchorages, fishing grounds
+    let projection = DoverProjection.create(center, DoverProjection.rangeForBBox(center, bbox));
+    let regionPinned = false;  // pinned regions ignore server data from elsewhere
+
+    // Zoom and pan: the scope shows the region's range / zoom around a
+    // center moved by `pan` (radar units of the whole region)
+    const MIN_ZOOM = 0.5;
+    const MAX_ZOOM = 8;
+    let zoom = 1;
+    let pan = { x: 0, y: 0 };
 
     /**
      * Speed-based color using HSL.
-     * Fast = warm (orange/red), Slow = cool (green/blue), Anchored = purple
+     * Fast = warm (orange/red), Slow = cool (green/blue)
      */
     function getSpeedColor(speed) {
-        if (speed <= 2)  return 'hsl(270, 60%, 60%)';  // anchored — purple
         if (speed <= 6)  return 'hsl(190, 80%, 60%)';  // very slow — cyan
         if (speed <= 12) return 'hsl(120, 80%, 60%)';  // slow — green
         if (speed <= 18) return 'hsl(45, 80%, 60%)';   // medium — amber
         return 'hsl(15, 80%, 60%)';                     // fast — orange-red
     }
 
+    const STATIONARY_COLOR = 'hsl(270, 60%, 60%)';     // anchored/moored — purple
+
+    /**
+     * Blip color for a color mode: 'speed' (stationary ships purple),
+     * 'type' (AIS category) or 'status' (navigational status).
+     */
+    function getShipColor(ship, mode = 'speed') {
+        if (mode === 'type') return DoverShipTypes.get(ship.type).color;
+        if (mode === 'status') return DoverShipTypes.navStatus(ship.navStatus).color;
+        return DoverShipTypes.isStationary(ship) ? STATIONARY_COLOR : getSpeedColor(ship.speed);
+    }
+
+    // Dead reckoning
+    const REAL_DEGREES_PER_KNOT_SECOND = 1 / 60 / 3600; // 1 kn = 1 arc-minute of latitude per hour
+    const SIM_TIME_SCALE = 8;     // simulated seconds per real second
+    const EASE_MS = 1500;         // time to blend from the extrapolated to the reported position
+    const SNAP_DEGREES = 0.05;    // bigger corrections are jumps (wraps, seeks) — don't glide
+    const MAX_EXTRAPOLATE_S = 120;
+
     let ships = [];
+    let tracks = new Map();       // mmsi -> { report, receivedAt, updatedAt, motionScale, offsetLat, offsetLon }
+    let motionScale = REAL_DEGREES_PER_KNOT_SECOND;
+    let replayBaseScale = REAL_DEGREES_PER_KNOT_SECOND;
     let dataSource = 'simulated';
-    let fetchInterval = null;
-    let useClientSimulation = true;
-
-    // --- Client-side simulation ---
-    const SIM_SHIP_TYPES = [
-        { type: 'cargo',    minSpeed: 10, maxSpeed: 16, minLen: 100, maxLen: 300 },
-        { type: 'tanker',   minSpeed: 8,  maxSpeed: 14, minLen: 150, maxLen: 350 },
-        { type: 'container',minSpeed: 12, maxSpeed: 22, minLen: 200, maxLen: 400 },
-        { type: 'ferry',    minSpeed: 15, maxSpeed: 25, minLen: 80,  maxLen: 200 },
-        { type: 'fishing',  minSpeed: 3,  maxSpeed: 10, minLen: 15,  maxLen: 50 },
-        { type: 'passenger',minSpeed: 14, maxSpeed: 22, minLen: 100, maxLen: 250 },
-        { type: 'tug',      minSpeed: 6,  maxSpeed: 12, minLen: 20,  maxLen: 45 },
-    ];
-
-    const SIM_NAMES = [
-        'MV Fortune', 'MT Glory', 'MSC Spirit', 'CMA CGM Pride', 'OOCL Star',
-        'Ever Express', 'Maersk Pioneer', 'NS Horizon', 'SS Atlantic', 'MV Europa',
-        'HMS Dover', 'MT Calais', 'MSC Thames', 'Neptune', 'Triton',
-        'MV Poseidon', 'SS Albatross', 'Seahawk', 'MV Vigilant', 'Ever Endurance',
-        'CMA CGM Volta', 'OOCL Tokyo', 'Maersk Elba', 'MV Zephyr', 'MT Coral',
-        'SS Meridian', 'MV Fjord', 'NS Arctic', 'Ever Nimbus', 'MT Beacon',
-        'HMS Sentinel', 'MSC Aurora', 'MV Compass', 'Maersk Oslo', 'OOCL Baltic',
-        'MV Orion', 'MT Solstice', 'CMA Titan', 'Maersk Jade', 'NS Equinox'
-    ];
-
-    let simShips = null;
-
-    function initSimulation() {
-        const count = 20 + Math.floor(Math.random() * 15);
-        simShips = [];
-
-        for (let i = 0; i < count; i++) {
-            const laneRoll = Math.random();
-            const typeInfo = laneRoll > 0.7 && laneRoll < 0.85
-                ? SIM_SHIP_TYPES[3]
-                : SIM_SHIP_TYPES[Math.floor(Math.random() * SIM_SHIP_TYPES.length)];
-
-            let lat, lon, heading;
-
-            if (laneRoll < 0.35) {
-                // NE-bound lane
-                heading = 30 + Math.random() * 30;
-                lat = CENTER.lat + (Math.random() - 0.5) * 0.15 + 0.05;
-                lon = BBOX.lonMin + Math.random() * (BBOX.lonMax - BBOX.lonMin);
-            } else if (laneRoll < 0.7) {
-                // SW-bound lane
-                heading = 210 + Math.random() * 30;
-                lat = CENTER.lat + (Math.random() - 0.5) * 0.15 - 0.05;
-                lon = BBOX.lonMin + Math.random() * (BBOX.lonMax - BBOX.lonMin);
-            } else {
-                // Cross-channel ferry
-                heading = Math.random() > 0.5 ? 130 + Math.random() * 30 : 310 + Math.random() * 30;
-                lat = 50.87 + Math.random() * 0.25;
-                lon = 1.32 + Math.random() * 0.45;
+    let fetchIntervalMs = null;
+    let replaying = false;
+    const snapshotListeners = new Set();
+    const eventListeners = new Set();
+    const eventDetector = DoverEvents.createDetector();
+    let lastSnapshotAt = null;
+
+    // Data sources
+    const FALLBACK_SOURCE = 'simulation';
+    const SERVER_RETRY_MAX_MS = 60000;  // back-off ceiling while the server is unreachable
+    const sourceFactories = new Map();
+    let sourceName = 'server';
+    let sourceOptions = {};
+    let activeSource = null;
+    let sourceStatus = '';
+    const sourceListeners = new Set();
+
+    /**
+     * Subscribe to snapshots: fn({ timestamp, source, ships }).
+     * Returns an unsubscribe function.
+     */
+    function onSnapshot(fn) {
+        snapshotListeners.add(fn);
+        return () => snapshotListeners.delete(fn);
+    }
+
+    /**
+     * Subscribe to traffic events: fn({ type, mmsi, ship, lat, lon, ... }),
+     * see events.js for the types. Returns an unsubscribe function.
+     */
+    function onEvent(fn) {
+        eventListeners.add(fn);
+        return () => eventListeners.delete(fn);
+    }
+
+    function publishSnapshot(extra) {
+        updateTracks();
+        const snapshot = { timestamp: Date.now(), source: dataSource, motionScale, ships, ...extra };
+        for (const fn of snapshotListeners) {
+            try {
+                fn(snapshot);
+            } catch (e) {
+                console.warn('Snapshot listener failed:', e);
+            }
+        }
+        publishEvents(snapshot);
+    }
+
+    function publishEvents(snapshot) {
+        // Ship time since the last snapshot: simulations and replays run fast
+        const elapsedS = lastSnapshotAt === null ? 0
+            : (snapshot.timestamp - lastSnapshotAt) / 1000 * motionScale / REAL_DEGREES_PER_KNOT_SECOND;
+        lastSnapshotAt = snapshot.timestamp;
+
+        const events = eventDetector.detect(ships, {
+            bbox, center, laneBearing, lanes: traffic && traffic.lanes, elapsedS,
+        });
+        for (const event of events) {
+            for (const fn of eventListeners) {
+                try {
+                    fn(event);
+                } catch (e) {
+                    console.warn('Event listener failed:', e);
+                }
             }
+        }
+    }
 
-            const speed = typeInfo.minSpeed + Math.random() * (typeInfo.maxSpeed - typeInfo.minSpeed);
-            const length = typeInfo.minLen + Math.random() * (typeInfo.maxLen - typeInfo.minLen);
-
-            simShips.push({
-                mmsi: 200000000 + i * 1000 + Math.floor(Math.random() * 999),
-                name: SIM_NAMES[i % SIM_NAMES.length],
-                type: typeInfo.type,
-                typeName: typeInfo.type.charAt(0).toUpperCase() + typeInfo.type.slice(1),
-                lat, lon,
-                speed: Math.round(speed * 10) / 10,
-                heading: heading + (Math.random() - 0.5) * 10,
-                length: Math.round(length),
+    /**
+     * Start event detection afresh, so a new source, region or replay
+     * isn't reported as ships arriving and leaving.
+     */
+    function resetEvents() {
+        eventDetector.reset();
+        lastSnapshotAt = null;
+    }
+
+    /**
+     * Move a position `distance` degrees (of latitude) along a heading.
+     * Used by dead reckoning.
+     */
+    function advancePosition(pos, heading, distance) {
+        const headingRad = (heading * Math.PI) / 180;
+        pos.lat += Math.cos(headingRad) * distance;
+        pos.lon += Math.sin(headingRad) * distance / Math.cos(pos.lat * Math.PI / 180);
+        return pos;
+    }
+
+    // --- Data sources ---
+    //
+    // A source factory takes options and returns { start(feed), stop() },
+    // optionally regionChanged(). The feed it is started with offers:
+    //   emit(ships, { source, motionScale, region })  — publish a snapshot
+    //   fail(error)        — give up; DoverShips falls back to the simulation
+    //   setStatus(text)    — short human-readable connection state
+    //   intervalMs, getBBox(), getCenter(), isRegionPinned()
+
+    /**
+     * Built-in: run DoverSimulator, one fixed step per interval so a given
+     * seed always plays out the same. Without a seed a random one is used.
+     */
+    function createSimulationSource({ seed = DoverSimulator.randomSeed(), timeScale = SIM_TIME_SCALE } = {}) {
+        let feed = null;
+        let timer = null;
+        let simulator = null;
+
+        function createSimulator() {
+            simulator = DoverSimulator.create({ center, bbox, laneBearing, traffic }, { seed });
+        }
+
+        function step() {
+            feed.emit(simulator.step(feed.intervalMs / 1000 * timeScale), {
+                source: 'simulated',
+                motionScale: REAL_DEGREES_PER_KNOT_SECOND * timeScale,
             });
         }
+
+        return {
+            start(f) {
+                feed = f;
+                feed.setStatus(`simulating (seed ${seed})`);
+                createSimulator();
+                step();
+                timer = setInterval(step, feed.intervalMs);
+            },
+            stop() {
+                clearInterval(timer);
+                timer = null;
+            },
+            regionChanged() {
+                createSimulator();
+                if (timer) step();
+            },
+            getSeed: () => seed,
+        };
     }
 
-    function updateSimulation() {
-        if (!simShips) initSimulation();
+    /**
+     * Built-in: poll the PHP proxy's live AIS cache. The server has no
+     * simulation of its own:
+     * - 'none' (cache not filled yet): wait for live data, still polling
+     * - 'simulated' (configured that way): hand over to the simulation
+     * - unreachable or another region: run the simulation meanwhile and
+     *   keep retrying, backing off, until live data comes back
+     */
+    function createServerSource({ url = '../api/ships.php' } = {}) {
+        let feed = null;
+        let timer = null;
+        let running = false;
+        let fallback = null;
+        let retryDelay = 0;
+
+        function schedule(ms) {
+            clearTimeout(timer);
+            timer = setTimeout(poll, ms);
+        }
+
+        // The simulation stands in, publishing through this source's feed
+        function failOver(error) {
+            if (!fallback) {
+                console.warn('Server data unavailable, simulating meanwhile:', error);
+                resetEvents();
+                fallback = sourceFactories.get(FALLBACK_SOURCE)();
+                fallback.start({ ...feed, setStatus() {}, fail() {} });
+            }
+            retryDelay = Math.min(SERVER_RETRY_MAX_MS, retryDelay ? retryDelay * 2 : feed.intervalMs);
+            feed.setStatus(`server unavailable (${error.message}), simulating; retrying in ${Math.round(retryDelay / 1000)}s`);
+            schedule(retryDelay);
+        }
+
+        function recover() {
+            if (!fallback) return;
+            fallback.stop();
+            fallback = null;
+            resetEvents();
+        }
 
-        const dt = 0.5;
-        const knotToDegreeLat = 1 / 3600 / 1.15078;
+        async function poll() {
+            let data;
+            try {
+                const res = await fetch(url);
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                data = await res.json();
+            } catch (e) {
+                if (running) failOver(e);
+                return;
+            }
+            if (!running) return;
 
-        for (const ship of simShips) {
-            const headingRad = (ship.heading * Math.PI) / 180;
-            const speedDeg = ship.speed * knotToDegreeLat * dt;
+            const serverRegion = parseServerRegion(data);
+            if (feed.isRegionPinned() && serverRegion && !containsPoint(feed.getBBox(), serverRegion.center)) {
+                failOver(new Error('server region does not match the pinned region'));
+                return;
+            }
 
-            ship.lat += Math.cos(headingRad) * speedDeg;
-            ship.lon += Math.sin(headingRad) * speedDeg / Math.cos(ship.lat * Math.PI / 180);
+            if (data.source === 'simulated') {
+                feed.fail(new Error('The server is set to simulate'));
+                return;
+            }
 
-            // Wrap ships that leave the bounding box
-            if (ship.lon > BBOX.lonMax + 0.1) {
-                ship.lon = BBOX.lonMin - 0.05;
-                ship.lat = CENTER.lat + (Math.random() - 0.5) * 0.2;
-            } else if (ship.lon < BBOX.lonMin - 0.1) {
-                ship.lon = BBOX.lonMax + 0.05;
-                ship.lat = CENTER.lat + (Math.random() - 0.5) * 0.2;
+            retryDelay = 0;
+            schedule(feed.intervalMs);
+            if (data.source !== 'aisstream') {
+                // Keep whatever is on the scope until the cache fills
+                feed.setStatus(fallback
+                    ? 'waiting for live data on the server, simulating meanwhile'
+                    : 'waiting for live data on the server');
+                return;
             }
-            if (ship.lat > BBOX.latMax + 0.1 || ship.lat < BBOX.latMin - 0.1) {
-                ship.lat = CENTER.lat + (Math.random() - 0.5) * 0.1;
+
+            recover();
+            feed.setStatus('live via server');
+            feed.emit(data.ships || [], {
+                source: 'live',
+                motionScale: REAL_DEGREES_PER_KNOT_SECOND,
+                region: serverRegion,
+            });
+        }
+
+        return {
+            start(f) {
+                feed = f;
+                running = true;
+                feed.setStatus('polling');
+                poll();
+            },
+            stop() {
+                running = false;
+                clearTimeout(timer);
+                timer = null;
+                if (fallback) fallback.stop();
+                fallback = null;
+            },
+            regionChanged() {
+                if (fallback) fallback.regionChanged();
+            },
+        };
+    }
+
+    /**
+     * Make a source available to useSource() by name.
+     */
+    function registerSource(name, factory) {
+        sourceFactories.set(name, factory);
+    }
+
+    function notifySourceListeners() {
+        const info = getSourceInfo();
+        for (const fn of sourceListeners) fn(info);
+    }
+
+    function getSourceInfo() {
+        return { name: sourceName, status: sourceStatus, dataSource, replaying };
+    }
+
+    /**
+     * Subscribe to source changes and status updates. Returns an unsubscribe function.
+     */
+    function onSourceChange(fn) {
+        sourceListeners.add(fn);
+        return () => sourceListeners.delete(fn);
+    }
+
+    function createFeed(source) {
+        // Calls from a source that has since been replaced are ignored
+        const isCurrent = () => activeSource === source.instance;
+        return {
+            intervalMs: fetchIntervalMs || 3000,
+            getBBox: () => bbox,
+            getCenter: () => center,
+            isRegionPinned: () => regionPinned,
+            emit(newShips, meta = {}) {
+                if (!isCurrent() || replaying) return;
+                ships = newShips;
+                dataSource = meta.source || 'live';
+                motionScale = meta.motionScale || REAL_DEGREES_PER_KNOT_SECOND;
+                publishSnapshot(meta.region ? { region: meta.region } : undefined);
+            },
+            fail(error) {
+                if (!isCurrent()) return;
+                console.warn(`Data source "${sourceName}" failed:`, error);
+                if (sourceName !== FALLBACK_SOURCE) useSource(FALLBACK_SOURCE);
+            },
+            setStatus(text) {
+                if (!isCurrent()) return;
+                sourceStatus = text;
+                notifySourceListeners();
+            },
+        };
+    }
+
+    function startActiveSource() {
+        const factory = sourceFactories.get(sourceName);
+        if (!factory) {
+            console.warn(`Unknown data source "${sourceName}"`);
+            sourceName = FALLBACK_SOURCE;
+            return startActiveSource();
+        }
+        const holder = {};
+        resetEvents();
+        holder.instance = factory(sourceOptions);
+        activeSource = holder.instance;
+        activeSource.start(createFeed(holder));
+    }
+
+    function stopActiveSource() {
+        if (!activeSource) return;
+        const source = activeSource;
+        activeSource = null;
+        source.stop();
+    }
+
+    /**
+     * Switch data source by name. Takes effect immediately if fetching,
+     * otherwise when startFetching() is called.
+     */
+    function useSource(name, options = {}) {
+        const running = activeSource !== null;
+        stopActiveSource();
+        sourceName = name;
+        sourceOptions = options;
+        sourceStatus = '';
+        if (running) startActiveSource();
+        notifySourceListeners();
+    }
+
+    /**
+     * The API reports its region as center {lat, lon} and snake_case bbox.
+     */
+    function parseServerRegion(data) {
+        if (!data.center || !data.bbox) return null;
+        return {
+            id: data.region || null,
+            center: { lat: data.center.lat, lon: data.center.lon },
+            bbox: {
+                latMin: data.bbox.lat_min, latMax: data.bbox.lat_max,
+                lonMin: data.bbox.lon_min, lonMax: data.bbox.lon_max,
+            },
+        };
+    }
+
+    /**
+     * Ships inside the region, how many, and the mean speed of those under way.
+     */
+    function getTrafficStats(list = ships) {
+        const inBox = list.filter(ship => containsPoint(bbox, ship));
+        const moving = inBox.filter(ship => ship.speed >= 1);
+        return {
+            ships: inBox,
+            count: inBox.length,
+            meanSpeed: moving.length ? moving.reduce((sum, ship) => sum + ship.speed, 0) / moving.length : 0,
+        };
+    }
+
+    function containsPoint(box, point) {
+        return point.lat >= box.latMin && point.lat <= box.latMax
+            && point.lon >= box.lonMin && point.lon <= box.lonMax;
+    }
+
+    /**
+     * Move the radar to a new region. Drops the current ships; the
+     * simulation restarts inside the new box.
+     */
+    function setRegion(newCenter, newBBox, { pinned = false, laneBearing: bearing = 45, traffic: layout = null } = {}) {
+        center = { ...newCenter };
+        bbox = { ...newBBox };
+        laneBearing = bearing;
+        traffic = layout;
+        regionPinned = pinned;
+        zoom = 1;
+        pan = { x: 0, y: 0 };
+        rebuildProjection();
+
+        resetEvents();
+        if (activeSource && activeSource.regionChanged) activeSource.regionChanged();
+    }
+
+    // --- Zoom & pan ---
+
+    function rebuildProjection() {
+        const rangeNm = DoverProjection.rangeForBBox(center, bbox);
+        const viewCenter = DoverProjection.create(center, rangeNm).unproject(pan.x, pan.y);
+        projection = DoverProjection.create(viewCenter, rangeNm / zoom);
+    }
+
+    /**
+     * Show the region at `newZoom` (1 = the whole region inside the rim)
+     * centered on (x, y), in radar units of the whole region.
+     */
+    function setView(newZoom, x = pan.x, y = pan.y) {
+        zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom));
+        // Keep the view's center inside the region's rim
+        const offset = Math.hypot(x, y);
+        const scale = offset > 1 ? 1 / offset : 1;
+        pan = { x: x * scale, y: y * scale };
+        rebuildProjection();
+    }
+
+    /**
+     * Zoom by `factor` about the radar point (x, y) in current radar
+     * units (default the center), which stays where it is on screen.
+     */
+    function zoomBy(factor, x = 0, y = 0) {
+        const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor));
+        setView(next, pan.x + x / zoom - x / next, pan.y + y / zoom - y / next);
+    }
+
+    /**
+     * Drag the map by (dx, dy) current radar units.
+     */
+    function panBy(dx, dy) {
+        setView(zoom, pan.x - dx / zoom, pan.y - dy / zoom);
+    }
+
+    // --- Dead reckoning ---
+
+    /**
+     * Where a track's ship is at `now`: its last report moved along its
+     * heading, plus whatever is left of the easing offset.
+     */
+    function trackPosition(track, now) {
+        const elapsed = now - track.receivedAt;
+        const seconds = Math.min(MAX_EXTRAPOLATE_S, elapsed / 1000);
+        const pos = advancePosition(
+            { lat: track.report.lat, lon: track.report.lon },
+            track.report.heading,
+            (track.report.speed || 0) * track.motionScale * seconds
+        );
+
+        const remaining = Math.max(0, 1 - elapsed / EASE_MS);
+        const ease = remaining * remaining;
+        pos.lat += track.offsetLat * ease;
+        pos.lon += track.offsetLon * ease;
+        return pos;
+    }
+
+    /**
+     * Re-anchor tracks on the latest snapshot, keeping the on-screen
+     * position continuous by carrying the correction as a decaying offset.
+     */
+    function updateTracks() {
+        const now = performance.now();
+        const wallClock = Date.now();
+        const next = new Map();
+
+        for (const report of ships) {
+            const track = { report, receivedAt: now, updatedAt: wallClock, motionScale, offsetLat: 0, offsetLon: 0 };
+            const previous = tracks.get(report.mmsi);
+
+            if (previous) {
+                // Unchanged reports (server cache re-served) keep their age
+                if (previous.report.lat === report.lat && previous.report.lon === report.lon) {
+                    track.updatedAt = previous.updatedAt;
+                }
+                const shown = trackPosition(previous, now);
+                const dLat = shown.lat - report.lat;
+                const dLon = shown.lon - report.lon;
+                if (Math.abs(dLat) < SNAP_DEGREES && Math.abs(dLon) < SNAP_DEGREES) {
+                    track.offsetLat = dLat;
+                    track.offsetLon = dLon;
+                }
             }
+            next.set(report.mmsi, track);
         }
 
-        ships = [...simShips];
-    }
-
-    async function fetchFromServer() {
-        try {
-            const res = await fetch('../api/ships.php');
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            const data = await res.json();
-            ships = data.ships || [];
-            dataSource = data.source === 'aisstream' ? 'live' : 'simulated';
-            useClientSimulation = false;
-        } catch (e) {
-            useClientSimulation = true;
-            dataSource = 'simulated';
-            updateSimulation();
+        tracks = next;
+    }
+
+    /**
+     * Change the motion rate of every track without moving anything
+     * (replay speed changes, pause).
+     */
+    function rebaseTracks(scale) {
+        const now = performance.now();
+        for (const track of tracks.values()) {
+            const pos = trackPosition(track, now);
+            track.report = { ...track.report, lat: pos.lat, lon: pos.lon };
+            track.receivedAt = now;
+            track.offsetLat = 0;
+            track.offsetLon = 0;
+            track.motionScale = scale;
+        }
+        motionScale = scale;
+    }
+
+    /**
+     * When a ship's position was last reported (ms since epoch), preferring
+     * the feed's own `lastUpdate` (seconds) when it has one.
+     */
+    function getLastUpdate(mmsi) {
+        const track = tracks.get(mmsi);
+        if (!track) return null;
+        return track.report.lastUpdate ? track.report.lastUpdate * 1000 : track.updatedAt;
+    }
+
+    /**
+     * Ships at their dead-reckoned positions for this moment.
+     */
+    function getShips() {
+        const now = performance.now();
+        const result = [];
+        for (const track of tracks.values()) {
+            const pos = trackPosition(track, now);
+            result.push({ ...track.report, lat: pos.lat, lon: pos.lon });
         }
+        return result;
     }
 
     /**
@@ -148,23 +583,16 @@ const DoverShips = (() => {
      * Returns {x, y} in range roughly -1 to 1.
      */
     function toRadarPosition(ship) {
-        const latRange = (BBOX.latMax - BBOX.latMin) / 2;
-        const lonRange = (BBOX.lonMax - BBOX.lonMin) / 2;
-
-        const x = (ship.lon - CENTER.lon) / lonRange;
-        const y = -(ship.lat - CENTER.lat) / latRange;
-
-        return { x, y };
+        return projection.project(ship.lat, ship.lon);
     }
 
     /**
-     * Get ring index for a ship (0 = innermost).
+     * Get ring index for a ship (0 = innermost), from its true distance
+     * to the center: each ring is rangeNm / ringCount nautical miles wide.
      */
     function getRingIndex(ship, ringCount) {
-        const pos = toRadarPosition(ship);
-        const dist = Math.sqrt(pos.x * pos.x + pos.y * pos.y);
-        const ringWidth = 1.0 / ringCount;
-        const index = Math.floor(dist / ringWidth);
+        const ringWidthNm = projection.rangeNm / ringCount;
+        const index = Math.floor(projection.distanceNm(ship.lat, ship.lon) / ringWidthNm);
         return index < ringCount ? index : -1;
     }
 
@@ -172,42 +600,181 @@ const DoverShips = (() => {
      * Convert a lat/lon to radar-relative position (for coastline).
      */
     function geoToRadar(lat, lon) {
-        const latRange = (BBOX.latMax - BBOX.latMin) / 2;
-        const lonRange = (BBOX.lonMax - BBOX.lonMin) / 2;
-        return {
-            x: (lon - CENTER.lon) / lonRange,
-            y: -(lat - CENTER.lat) / latRange,
-        };
+        return projection.project(lat, lon);
     }
 
+    /**
+     * Start the selected data source; `intervalMs` paces polling sources.
+     */
     function startFetching(intervalMs = 5000) {
-        fetchFromServer();
-        fetchInterval = setInterval(() => {
-            if (useClientSimulation) {
-                updateSimulation();
-            } else {
-                fetchFromServer();
-            }
-        }, intervalMs);
+        fetchIntervalMs = intervalMs;
+        if (replaying || activeSource) return;
+        startActiveSource();
     }
 
     function stopFetching() {
-        if (fetchInterval) {
-            clearInterval(fetchInterval);
-            fetchInterval = null;
+        stopActiveSource();
+    }
+
+    // --- Replay ---
+
+    /**
+     * Pause the live feed so recorded snapshots can be fed in.
+     */
+    function startReplay() {
+        if (replaying) return;
+        replaying = true;
+        stopFetching();
+        resetEvents();
+        dataSource = 'replay';
+        notifySourceListeners();
+    }
+
+    /**
+     * Feed a recorded snapshot; `speed` is the playback rate, so ships
+     * drift between snapshots as fast as they did when recorded × speed.
+     */
+    function loadReplaySnapshot(snapshot, speed = 1) {
+        if (!replaying) return;
+        ships = (snapshot.ships || []).map(s => ({ ...s }));
+        replayBaseScale = snapshot.motionScale || REAL_DEGREES_PER_KNOT_SECOND;
+        motionScale = replayBaseScale * speed;
+        publishSnapshot();
+    }
+
+    function setReplaySpeed(speed) {
+        if (!replaying) return;
+        rebaseTracks(replayBaseScale * speed);
+    }
+
+    /**
+     * Leave replay and resume whatever feed was running before.
+     */
+    function stopReplay() {
+        if (!replaying) return;
+        replaying = false;
+        rebaseTracks(REAL_DEGREES_PER_KNOT_SECOND);
+        if (fetchIntervalMs !== null) startFetching(fetchIntervalMs);
+        notifySourceListeners();
+    }
+
+    // --- Streaming helpers ---
+
+    // Passenger ships bound for one of these are shown as ferries
+    const FERRY_PORTS = ['DOVER', 'CALAIS', 'DUNKERQUE', 'DUNKIRK'];
+
+    /**
+     * Merge partial AIS reports by MMSI and expire ships that go quiet.
+     * Used by streaming sources; mirrors the collector's ship cache.
+     *
+     * Ships carry mmsi, name, type (category id), typeName, typeCode,
+     * aisClass ('A'/'B'), navStatus, destination, draught, beam, lat, lon,
+     * speed, heading, length. Unreported fields are null.
+     */
+    function createShipTracker({ staleAfterMs = 300000 } = {}) {
+        const known = new Map();
+
+        /**
+         * Apply fields from one message; undefined values are ignored.
+         * A `typeCode` also sets type/typeName.
+         */
+        function update(mmsi, fields) {
+            let ship = known.get(mmsi);
+            if (!ship) {
+                ship = {
+                    mmsi, name: '', type: 'unknown', typeName: DoverShipTypes.get('unknown').name,
+                    typeCode: null, aisClass: null, navStatus: null, destination: null,
+                    draught: null, beam: null,
+                    lat: 0, lon: 0, speed: 0, heading: 0, length: 100,
+                };
+                known.set(mmsi, ship);
+            }
+
+            for (const [key, value] of Object.entries(fields)) {
+                if (value === undefined || value === null) continue;
+                ship[key] = value;
+            }
+
+            if (fields.typeCode !== undefined || fields.destination !== undefined) {
+                ship.type = DoverShipTypes.categorize(ship.typeCode);
+                const dest = (ship.destination || '').toUpperCase();
+                if (ship.type === 'passenger' && FERRY_PORTS.some(port => dest.includes(port))) {
+                    ship.type = 'ferry';
+                }
+                ship.typeName = DoverShipTypes.get(ship.type).name;
+            }
+
+            ship.lastUpdate = Math.floor(Date.now() / 1000);
+            return ship;
+        }
+
+        function expire(now = Date.now()) {
+            for (const [mmsi, ship] of known) {
+                if (now - ship.lastUpdate * 1000 > staleAfterMs) known.delete(mmsi);
+            }
         }
+
+        /**
+         * Ships with a position inside `box`, ready to emit.
+         */
+        function snapshot(box) {
+            expire();
+            const result = [];
+            for (const ship of known.values()) {
+                if (ship.lat === 0 && ship.lon === 0) continue;
+                if (box && !containsPoint(box, ship)) continue;
+                result.push({ ...ship, name: ship.name || `MMSI ${ship.mmsi}` });
+            }
+            return result;
+        }
+
+        return {
+            update,
+            expire,
+            snapshot,
+            clear: () => known.clear(),
+            size: () => known.size,
+        };
     }
 
+    registerSource('simulation', createSimulationSource);
+    registerSource('server', createServerSource);
+
     return {
         startFetching,
         stopFetching,
-        getShips: () => ships,
+        onSnapshot,
+        onEvent,
+        registerSource,
+        useSource,
+        onSourceChange,
+        getSourceInfo,
+        getSourceNames: () => [...sourceFactories.keys()],
+        createShipTracker,
+        startReplay,
+        loadReplaySnapshot,
+        setReplaySpeed,
+        stopReplay,
+        isReplaying: () => replaying,
+        getShips,
+        getReportedShips: () => ships,
+        getTrafficStats,
+        getLastUpdate,
         getDataSource: () => dataSource,
         toRadarPosition,
         getRingIndex,
         geoToRadar,
         getSpeedColor,
-        getCenter: () => CENTER,
-        getBBox: () => BBOX,
+        getShipColor,
+        getCenter: () => center,
+        getBBox: () => bbox,
+        getRangeNm: () => projection.rangeNm,
+        getProjection: () => projection,
+        setRegion,
+        setView,
+        zoomBy,
+        panBy,
+        resetView: () => setView(1, 0, 0),
+        getView: () => ({ zoom, x: pan.x, y: pan.y }),
     };
 })();
@@ -0,0 +1,119 @@
+/**
+ * Dover Radar Synth - Ship Types & Navigational Status
+ *
+ * The AIS ship type and navigational status tables, shared by every data
+ * source and the display:
+ * - AIS type code (0–99) → category (cargo, tanker, hsc, sailing, sar, ...)
+ * - Navigational status code (0–15) → name, and whether the ship is stationary
+ * - Colours for the "colour by type / status" display modes
+ *
+ * `voice` names the SHIP_VOICES entry a category borrows when it has none.
+ */
+const DoverShipTypes = (() => {
+
+    // Category id → display name, colour, fallback voice
+    const CATEGORIES = {
+        cargo:         { name: 'Cargo',           color: 'hsl(30, 80%, 60%)',  voice: 'cargo' },
+        container:     { name: 'Container',       color: 'hsl(15, 80%, 60%)',  voice: 'container' },
+        tanker:        { name: 'Tanker',          color: 'hsl(0, 70%, 58%)',   voice: 'tanker' },
+        passenger:     { name: 'Passenger',       color: 'hsl(210, 80%, 65%)', voice: 'passenger' },
+        ferry:         { name: 'Ferry',           color: 'hsl(190, 80%, 60%)', voice: 'ferry' },
+        hsc:           { name: 'High-Speed Craft', color: 'hsl(170, 80%, 55%)', voice: 'ferry' },
+        fishing:       { name: 'Fishing',         color: 'hsl(120, 70%, 55%)', voice: 'fishing' },
+        tug:           { name: 'Tug',             color: 'hsl(50, 85%, 60%)',  voice: 'tug' },
+        towing:        { name: 'Towing',          color: 'hsl(50, 85%, 60%)',  voice: 'tug' },
+        dredging:      { name: 'Dredging',        color: 'hsl(40, 60%, 50%)',  voice: 'tug' },
+        diving:        { name: 'Diving Ops',      color: 'hsl(40, 60%, 50%)',  voice: 'tug' },
+        pilot:         { name: 'Pilot',           color: 'hsl(60, 90%, 65%)',  voice: 'tug' },
+        sar:           { name: 'Search & Rescue', color: 'hsl(330, 85%, 65%)', voice: 'tug' },
+        tender:        { name: 'Port Tender',     color: 'hsl(50, 60%, 55%)',  voice: 'tug' },
+        antiPollution: { name: 'Anti-Pollution',  color: 'hsl(90, 60%, 50%)',  voice: 'tug' },
+        law:           { name: 'Law Enforcement', color: 'hsl(230, 70%, 65%)', voice: 'tug' },
+        medical:       { name: 'Medical',         color: 'hsl(340, 70%, 70%)', voice: 'tug' },
+        military:      { name: 'Military',        color: 'hsl(0, 0%, 72%)',    voice: 'military' },
+        sailing:       { name: 'Sailing',         color: 'hsl(270, 60%, 72%)', voice: 'leisure' },
+        pleasure:      { name: 'Pleasure Craft',  color: 'hsl(290, 60%, 70%)', voice: 'leisure' },
+        wig:           { name: 'Wing in Ground',  color: 'hsl(160, 50%, 60%)', voice: 'ferry' },
+        special:       { name: 'Special Craft',   color: 'hsl(40, 40%, 60%)',  voice: 'tug' },
+        other:         { name: 'Other',           color: 'hsl(0, 0%, 55%)',    voice: 'default' },
+        unknown:       { name: 'Unknown',         color: 'hsl(0, 0%, 45%)',    voice: 'default' },
+    };
+
+    // Single codes in the 30s and 50s
+    const CODE_CATEGORIES = {
+        30: 'fishing', 31: 'towing', 32: 'towing', 33: 'dredging', 34: 'diving',
+        35: 'military', 36: 'sailing', 37: 'pleasure',
+        50: 'pilot', 51: 'sar', 52: 'tug', 53: 'tender', 54: 'antiPollution',
+        55: 'law', 56: 'special', 57: 'special', 58: 'medical', 59: 'special',
+    };
+
+    // Decades with a hazard-category second digit
+    const DECADE_CATEGORIES = { 2: 'wig', 4: 'hsc', 6: 'passenger', 7: 'cargo', 8: 'tanker', 9: 'other' };
+    const HAZARD = {
+        1: 'hazardous cat. A', 2: 'hazardous cat. B', 3: 'hazardous cat. C', 4: 'hazardous cat. D',
+    };
+
+    const NAV_STATUS = {
+        0:  { name: 'Under way using engine',        color: 'hsl(120, 80%, 60%)' },
+        1:  { name: 'At anchor',                     color: 'hsl(270, 60%, 60%)', stationary: true },
+        2:  { name: 'Not under command',             color: 'hsl(0, 80%, 62%)' },
+        3:  { name: 'Restricted manoeuvrability',    color: 'hsl(45, 80%, 60%)' },
+        4:  { name: 'Constrained by draught',        color: 'hsl(30, 80%, 60%)' },
+        5:  { name: 'Moored',                        color: 'hsl(230, 60%, 65%)', stationary: true },
+        6:  { name: 'Aground',                       color: 'hsl(0, 90%, 50%)',   stationary: true },
+        7:  { name: 'Engaged in fishing',            color: 'hsl(170, 70%, 55%)' },
+        8:  { name: 'Under way sailing',             color: 'hsl(190, 80%, 60%)' },
+        11: { name: 'Towing astern',                 color: 'hsl(50, 85%, 60%)' },
+        12: { name: 'Pushing ahead / towing alongside', color: 'hsl(50, 85%, 60%)' },
+        14: { name: 'AIS-SART active',               color: 'hsl(330, 90%, 60%)' },
+    };
+    const NAV_STATUS_UNKNOWN = { name: 'Not reported', color: 'hsl(0, 0%, 55%)' };
+
+    /**
+     * AIS ship type code → category id.
+     */
+    function categorize(code) {
+        if (!Number.isInteger(code) || code <= 0 || code > 99) return 'unknown';
+        if (CODE_CATEGORIES[code]) return CODE_CATEGORIES[code];
+        return DECADE_CATEGORIES[Math.floor(code / 10)] || 'unknown';
+    }
+
+    /**
+     * Full description of a type code, e.g. 71 → "Cargo, hazardous cat. A".
+     */
+    function describeCode(code) {
+        const category = get(categorize(code));
+        const hazard = DECADE_CATEGORIES[Math.floor(code / 10)] && HAZARD[code % 10];
+        return hazard ? `${category.name}, ${hazard}` : category.name;
+    }
+
+    function get(id) {
+        return CATEGORIES[id] || CATEGORIES.unknown;
+    }
+
+    function navStatus(code) {
+        return NAV_STATUS[code] || NAV_STATUS_UNKNOWN;
+    }
+
+    /**
+     * Anchored, moored or aground, from the reported status. Sources
+     * without one (Class B, simulation) fall back to a speed guess.
+     */
+    function isStationary(ship) {
+        if (ship.navStatus !== undefined && ship.navStatus !== null && NAV_STATUS[ship.navStatus]) {
+            return Boolean(NAV_STATUS[ship.navStatus].stationary);
+        }
+        return ship.speed <= 0.5;
+    }
+
+    return {
+        categorize,
+        describeCode,
+        get,
+        navStatus,
+        isStationary,
+        CATEGORIES,
+        NAV_STATUS,
+    };
+})();
+
@@ -0,0 +1,497 @@
+/**
+ * Dover Radar Synth - Traffic Simulator
+ *
+ * Deterministic, seedable traffic for when there is no live AIS:
+ * - Through traffic follows the Traffic Separation Scheme lanes, spawning
+ *   at one end and leaving at the other, with smooth speed/heading changes
+ * - Ferries shuttle between ports on a fixed timetable
+ * - Fishing boats work their grounds, anchored ships swing to the tide
+ *
+ * The layout (lanes, ferry routes, anchorages, fishing grounds) comes from
+ * the region's GeoJSON; regions without lanes get a generic pair along the
+ * region's lane bearing. The same seed, layout and step sizes always give
+ * the same ships. No DOM dependencies; also loads under Node.
+ */
+const DoverSimulator = (() => {
+    const NM_PER_DEGREE_LAT = 60;
+    const LOOKAHEAD_NM = 1.5;           // lane ships steer for a point this far ahead
+    const MAX_TURN_DEG_PER_S = 0.5;
+    const ACCEL_KN_PER_S = 0.02;
+    const SPEED_CHANGE_MEAN_S = 1800;   // mean time between lane speed adjustments
+    const MIN_ARRIVAL_GAP_S = 180;
+    const FERRY_RAMP = 0.1;             // fraction of a crossing spent (de)accelerating
+    const FERRY_PASSING_NM = 0.5;       // ferries keep this far to starboard of the route
+    const TIDE_PERIOD_S = 6 * 3600;
+
+    // Generic lanes when the region has none
+    const DEFAULT_LANE_OFFSET_NM = 2.5;
+    const DEFAULT_LANE_WIDTH_NM = 3;
+    const DEFAULT_LANE_INTERVAL_MIN = 20;
+    const DEFAULT_FERRY_INTERVAL_MIN = 45;
+    const DEFAULT_FERRY_SPEED = 20;
+    const DEFAULT_FERRY_DWELL_MIN = 20;
+
+    // Vessel classes; `weight` is the share of lane traffic
+    const LANE_CLASSES = [
+        { type: 'cargo',     typeName: 'Cargo',     typeCode: 70, weight: 4, speed: [10, 15], length: [100, 300], beam: 0.15, draught: [7, 12] },
+        { type: 'container', typeName: 'Container', typeCode: 70, weight: 3, speed: [14, 21], length: [200, 400], beam: 0.14, draught: [10, 15] },
+        { type: 'tanker',    typeName: 'Tanker',    typeCode: 80, weight: 3, speed: [9, 14],  length: [150, 340], beam: 0.18, draught: [8, 16] },
+        { type: 'passenger', typeName: 'Passenger', typeCode: 60, weight: 1, speed: [14, 20], length: [150, 300], beam: 0.13, draught: [6, 8] },
+        { type: 'tug',       typeName: 'Tug',       typeCode: 52, weight: 1, speed: [7, 11],  length: [25, 45],   beam: 0.3,  draught: [4, 6] },
+    ];
+    const FERRY_CLASS = { type: 'ferry', typeName: 'Ferry', typeCode: 60, length: [150, 215], beam: 0.15, draught: [5, 7] };
+    const FISHING_CLASS = { type: 'fishing', typeName: 'Fishing', typeCode: 30, speed: [2, 4.5], length: [12, 40], beam: 0.3, draught: [3, 5] };
+    const ANCHORED_CLASSES = [
+        { type: 'tanker', typeName: 'Tanker', typeCode: 80, length: [150, 330], beam: 0.18, draught: [8, 15] },
+        { type: 'cargo',  typeName: 'Cargo',  typeCode: 70, length: [100, 250], beam: 0.15, draught: [7, 11] },
+    ];
+
+    const NAME_PREFIXES = {
+        cargo: ['MV', 'NS', 'SS'], container: ['MSC', 'CMA CGM', 'Maersk', 'OOCL', 'Ever'],
+        tanker: ['MT'], passenger: ['MS'], tug: ['Tug'], ferry: ['Pride of', 'Spirit of'],
+        fishing: ['FV'],
+    };
+    const NAME_WORDS = [
+        'Fortune', 'Glory', 'Spirit', 'Pride', 'Star', 'Express', 'Pioneer', 'Horizon', 'Atlantic',
+        'Europa', 'Thames', 'Neptune', 'Triton', 'Poseidon', 'Albatross', 'Seahawk', 'Vigilant',
+        'Endurance', 'Volta', 'Elba', 'Zephyr', 'Coral', 'Meridian', 'Fjord', 'Arctic', 'Nimbus',
+        'Beacon', 'Sentinel', 'Aurora', 'Compass', 'Baltic', 'Orion', 'Solstice', 'Titan', 'Jade', 'Equinox',
+    ];
+    const MMSI_PREFIXES = [232, 235, 244, 227, 228, 538, 636, 477, 563, 215];
+
+    // --- Seeded random numbers (mulberry32) ---
+
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        function next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        return {
+            next,
+            range: (min, max) => min + next() * (max - min),
+            pick: list => list[Math.floor(next() * list.length)],
+            chance: p => next() < p,
+            // Exponentially distributed wait with the given mean
+            wait: mean => -Math.log(1 - next()) * mean,
+        };
+    }
+
+    // --- Local geometry in nautical miles (x east, y north) ---
+
+    function createFrame(center) {
+        const cosLat = Math.cos(center.lat * Math.PI / 180);
+        return {
+            toNm: (lat, lon) => ({
+                x: (lon - center.lon) * NM_PER_DEGREE_LAT * cosLat,
+                y: (lat - center.lat) * NM_PER_DEGREE_LAT,
+            }),
+            toGeo: (x, y) => ({
+                lat: center.lat + y / NM_PER_DEGREE_LAT,
+                lon: center.lon + x / (NM_PER_DEGREE_LAT * cosLat),
+            }),
+        };
+    }
+
+    const toRad = deg => deg * Math.PI / 180;
+    const bearingOf = (dx, dy) => (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+    const turnBetween = (from, to) => ((to - from + 540) % 360) - 180;
+
+    /**
+     * Polyline with arc-length lookup. Points past either end are
+     * extrapolated along the end segments.
+     */
+    function createPath(points) {
+        const cumulative = [0];
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i].x - points[i - 1].x;
+            const dy = points[i].y - points[i - 1].y;
+            cumulative.push(cumulative[i - 1] + Math.hypot(dx, dy));
+        }
+        const length = cumulative[cumulative.length - 1];
+
+        function pointAt(s) {
+            let i = 1;
+            while (i < points.length - 1 && cumulative[i] < s) i++;
+            const a = points[i - 1], b = points[i];
+            const segment = cumulative[i] - cumulative[i - 1] || 1;
+            const t = (s - cumulative[i - 1]) / segment;
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        }
+
+        // Direction of travel at s, smoothed over corners
+        function headingAt(s) {
+            const a = pointAt(s - 0.3), b = pointAt(s + 0.3);
+            return bearingOf(b.x - a.x, b.y - a.y);
+        }
+
+        return { length, pointAt, headingAt };
+    }
+
+    // --- Layout ---
+
+    /**
+     * Lanes, ferry routes, anchorages and fishing grounds in local nm.
+     * `traffic` is what DoverRegion parses from the region GeoJSON.
+     */
+    function buildLayout(region, frame) {
+        const traffic = region.traffic || {};
+        const toPoints = coords => coords.map(p => frame.toNm(p.lat, p.lon));
+
+        let lanes = (traffic.lanes || []).map(lane => ({
+            path: createPath(toPoints(lane.points)),
+            width: lane.width || DEFAULT_LANE_WIDTH_NM,
+            interval: (lane.interval || DEFAULT_LANE_INTERVAL_MIN) * 60,
+            destinations: lane.destinations || [],
+        }));
+
+        // Generic pair: keep to starboard of the lane bearing axis
+        if (!lanes.length) {
+            const { bbox, center } = region;
+            const corner = frame.toNm(bbox.latMax, bbox.lonMax);
+            const half = Math.hypot(corner.x, corner.y) + 3;
+            const b = toRad(region.laneBearing ?? 45);
+            const dir = { x: Math.sin(b), y: Math.cos(b) };
+            const right = { x: dir.y, y: -dir.x };
+            const origin = frame.toNm(center.lat, center.lon);
+            const lane = sign => {
+                const off = { x: origin.x + right.x * DEFAULT_LANE_OFFSET_NM * sign, y: origin.y + right.y * DEFAULT_LANE_OFFSET_NM * sign };
+                const from = { x: off.x - dir.x * half * sign, y: off.y - dir.y * half * sign };
+                const to = { x: off.x + dir.x * half * sign, y: off.y + dir.y * half * sign };
+                return {
+                    path: createPath([from, to]),
+                    width: DEFAULT_LANE_WIDTH_NM,
+                    interval: DEFAULT_LANE_INTERVAL_MIN * 60,
+                    destinations: [],
+                };
+            };
+            lanes = [lane(1), lane(-1)];
+        }
+
+        const ferryRoutes = (traffic.ferryRoutes || []).map(route => {
+            const path = createPath(toPoints(route.points));
+            const speed = route.speed || DEFAULT_FERRY_SPEED;
+            const crossing = path.length / (speed * (1 - FERRY_RAMP)) * 3600;
+            const interval = (route.interval || DEFAULT_FERRY_INTERVAL_MIN) * 60;
+            const minDwell = (route.dwell || DEFAULT_FERRY_DWELL_MIN) * 60;
+            // Enough ferries that each can keep the timetable with at least minDwell in port
+            const fleet = Math.max(1, Math.ceil(2 * (crossing + minDwell) / interval));
+            return {
+                path, speed, crossing, interval, fleet,
+                cycle: fleet * interval,
+                dwell: fleet * interval / 2 - crossing,
+                ports: route.ports || ['', ''],
+            };
+        });
+
+        const areas = list => (list || []).map(area => ({
+            center: frame.toNm(area.lat, area.lon),
+            radius: area.radius || 1.5,
+            count: area.count || 3,
+        }));
+
+        return {
+            lanes,
+            ferryRoutes,
+            anchorages: areas(traffic.anchorages),
+            fishingGrounds: areas(traffic.fishingGrounds),
+        };
+    }
+
+    // --- Simulator ---
+
+    /**
+     * Create a simulator for `region` ({ center, bbox, laneBearing, traffic }).
+     * step(dtSeconds) advances simulated time and returns the ships.
+     */
+    function create(region, { seed = 1 } = {}) {
+        const random = createRandom(seed);
+        const frame = createFrame(region.center);
+        const layout = buildLayout(region, frame);
+        const usedMmsi = new Set();
+        let time = 0;
+        let ships = [];
+
+        function newIdentity(cls) {
+            let mmsi;
+            do {
+                mmsi = random.pick(MMSI_PREFIXES) * 1000000 + Math.floor(random.next() * 1000000);
+            } while (usedMmsi.has(mmsi));
+            usedMmsi.add(mmsi);
+
+            const length = Math.round(random.range(cls.length[0], cls.length[1]));
+            return {
+                mmsi,
+                name: `${random.pick(NAME_PREFIXES[cls.type] || ['MV'])} ${random.pick(NAME_WORDS)}`,
+                type: cls.type,
+                typeName: cls.typeName,
+                typeCode: cls.typeCode,
+                aisClass: 'A',
+                length,
+                beam: Math.round(length * cls.beam),
+                draught: Math.round(random.range(cls.draught[0], cls.draught[1]) * 10) / 10,
+            };
+        }
+
+        function pickLaneClass() {
+            const total = LANE_CLASSES.reduce((sum, c) => sum + c.weight, 0);
+            let roll = random.next() * total;
+            for (const cls of LANE_CLASSES) {
+                roll -= cls.weight;
+                if (roll < 0) return cls;
+            }
+            return LANE_CLASSES[0];
+        }
+
+        // --- Lane traffic ---
+
+        function spawnLaneShip(lane, s) {
+            const cls = pickLaneClass();
+            const speed = random.range(cls.speed[0], cls.speed[1]);
+            const offset = random.range(-0.35, 0.35) * lane.width;
+            const heading = lane.path.headingAt(s);
+            const base = lane.path.pointAt(s);
+            const right = toRad(heading + 90);
+            ships.push({
+                ...newIdentity(cls),
+                kind: 'lane',
+                lane,
+                cls,
+                s,
+                offset,
+                x: base.x + Math.sin(right) * offset,
+                y: base.y + Math.cos(right) * offset,
+                heading,
+                speed,
+                targetSpeed: speed,
+                navStatus: 0,
+                destination: lane.destinations.length ? random.pick(lane.destinations) : null,
+            });
+        }
+
+        function stepLaneShip(ship, dt) {
+            if (random.chance(dt / SPEED_CHANGE_MEAN_S)) {
+                ship.targetSpeed = random.range(ship.cls.speed[0], ship.cls.speed[1]);
+            }
+            const dv = ship.targetSpeed - ship.speed;
+            ship.speed += Math.sign(dv) * Math.min(Math.abs(dv), ACCEL_KN_PER_S * dt);
+
+            // Steer for a point ahead on the lane, at this ship's offset
+            const ahead = ship.lane.path.pointAt(ship.s + LOOKAHEAD_NM);
+            const right = toRad(ship.lane.path.headingAt(ship.s + LOOKAHEAD_NM) + 90);
+            const tx = ahead.x + Math.sin(right) * ship.offset;
+            const ty = ahead.y + Math.cos(right) * ship.offset;
+            const turn = turnBetween(ship.heading, bearingOf(tx - ship.x, ty - ship.y));
+            const maxTurn = MAX_TURN_DEG_PER_S * dt;
+            ship.heading = (ship.heading + Math.max(-maxTurn, Math.min(maxTurn, turn)) + 360) % 360;
+
+            const distance = ship.speed * dt / 3600;
+            ship.x += Math.sin(toRad(ship.heading)) * distance;
+            ship.y += Math.cos(toRad(ship.heading)) * distance;
+            ship.s += distance;
+        }
+
+        // --- Ferries (a pure function of time) ---
+
+        function ferryState(route, index) {
+            const phase = ((time - index * route.interval) % route.cycle + route.cycle) % route.cycle;
+            const { crossing, dwell, path } = route;
+            const legs = [
+                { start: 0, outbound: true },
+                { start: crossing + dwell, outbound: false },
+            ];
+
+            for (const leg of legs) {
+                const t = phase - leg.start;
+                if (t < 0 || t >= crossing) continue;
+                const f = t / crossing;
+                const r = FERRY_RAMP;
+                const travelled = f < r ? f * f / (2 * r) : f > 1 - r ? (1 - r) - (1 - f) * (1 - f) / (2 * r) : f - r / 2;
+                const ramp = Math.min(1, f / r, (1 - f) / r);
+                const s = path.length * travelled / (1 - r);
+                const along = leg.outbound ? s : path.length - s;
+                const heading = (path.headingAt(along) + (leg.outbound ? 0 : 180)) % 360;
+                // Out of port, pass opposite ferries port to port
+                const offset = FERRY_PASSING_NM * Math.min(1, s, path.length - s);
+                const point = path.pointAt(along);
+                const right = toRad(heading + 90);
+                return {
+                    x: point.x + Math.sin(right) * offset,
+                    y: point.y + Math.cos(right) * offset,
+                    heading, speed: route.speed * ramp, navStatus: 0,
+                    destination: route.ports[leg.outbound ? 1 : 0],
+                };
+            }
+
+            // In port at whichever end the last crossing finished, turning
+            // round for the next departure
+            const atFar = phase >= crossing && phase < crossing + dwell;
+            const along = atFar ? path.length : 0;
+            const docked = (atFar ? phase - crossing : phase - 2 * crossing - dwell) / dwell;
+            const turned = 180 * docked * docked * (3 - 2 * docked);
+            return {
+                ...path.pointAt(along),
+                heading: (path.headingAt(along) + (atFar ? 0 : 180) + turned) % 360,
+                speed: 0,
+                navStatus: 5,
+                destination: route.ports[atFar ? 0 : 1],
+            };
+        }
+
+        // --- Setup ---
+
+        function populate() {
+            // Lanes: arrivals already under way, spaced like the arrival process
+            for (const lane of layout.lanes) {
+                const meanGapNm = 13 * lane.interval / 3600;
+                for (let s = random.wait(meanGapNm); s < lane.path.length; s += Math.max(0.5, random.wait(meanGapNm))) {
+                    spawnLaneShip(lane, s);
+                }
+                lane.nextArrival = random.wait(lane.interval) + MIN_ARRIVAL_GAP_S;
+            }
+
+            layout.ferryRoutes.forEach(route => {
+                for (let i = 0; i < route.fleet; i++) {
+                    ships.push({ ...newIdentity(FERRY_CLASS), kind: 'ferry', route, index: i });
+                }
+            });
+
+            for (const ground of layout.fishingGrounds) {
+                for (let i = 0; i < ground.count; i++) {
+                    const angle = random.range(0, Math.PI * 2);
+                    const dist = Math.sqrt(random.next()) * ground.radius;
+                    ships.push({
+                        ...newIdentity(FISHING_CLASS),
+                        kind: 'fishing',
+                        ground,
+                        x: ground.center.x + Math.sin(angle) * dist,
+                        y: ground.center.y + Math.cos(angle) * dist,
+                        heading: random.range(0, 360),
+                        speed: random.range(FISHING_CLASS.speed[0], FISHING_CLASS.speed[1]),
+                        navStatus: 7,
+                        destination: null,
+                    });
+                }
+            }
+
+            for (const anchorage of layout.anchorages) {
+                for (let i = 0; i < anchorage.count; i++) {
+                    const angle = random.range(0, Math.PI * 2);
+                    const dist = Math.sqrt(random.next()) * anchorage.radius;
+                    ships.push({
+                        ...newIdentity(random.pick(ANCHORED_CLASSES)),
+                        kind: 'anchored',
+                        x: anchorage.center.x + Math.sin(angle) * dist,
+                        y: anchorage.center.y + Math.cos(angle) * dist,
+                        swing: random.range(0, 360),
+                        heading: 0,
+                        speed: 0,
+                        navStatus: 1,
+                        destination: null,
+                    });
+                }
+            }
+        }
+
+        function stepFishing(ship, dt) {
+            // Meander; head back once off the ground
+            const dx = ship.ground.center.x - ship.x, dy = ship.ground.center.y - ship.y;
+            const wanted = Math.hypot(dx, dy) > ship.ground.radius
+                ? bearingOf(dx, dy)
+                : ship.heading + random.range(-20, 20);
+            const turn = Math.max(-1, Math.min(1, turnBetween(ship.heading, wanted) / 20)) * 2 * MAX_TURN_DEG_PER_S * dt;
+            ship.heading = (ship.heading + turn + 360) % 360;
+            ship.speed = Math.max(FISHING_CLASS.speed[0], Math.min(FISHING_CLASS.speed[1], ship.speed + random.range(-0.05, 0.05) * dt));
+
+            const distance = ship.speed * dt / 3600;
+            ship.x += Math.sin(toRad(ship.heading)) * distance;
+            ship.y += Math.cos(toRad(ship.heading)) * distance;
+        }
+
+        /**
+         * Advance simulated time by `dt` seconds and return the ships.
+         */
+        function step(dt) {
+            time += dt;
+
+            for (const lane of layout.lanes) {
+                while (time >= lane.nextArrival) {
+                    spawnLaneShip(lane, 0);
+                    lane.nextArrival += Math.max(MIN_ARRIVAL_GAP_S, random.wait(lane.interval));
+                }
+            }
+
+            ships = ships.filter(ship => {
+                if (ship.kind === 'lane') {
+                    stepLaneShip(ship, dt);
+                    if (ship.s > ship.lane.path.length) {
+                        usedMmsi.delete(ship.mmsi);
+                        return false;
+                    }
+                } else if (ship.kind === 'fishing') {
+                    stepFishing(ship, dt);
+                } else if (ship.kind === 'anchored') {
+                    // Swing to the tide
+                    ship.heading = (ship.swing + 160 * Math.sin(2 * Math.PI * time / TIDE_PERIOD_S) + 360) % 360;
+                }
+                return true;
+            });
+
+            return getShips();
+        }
+
+        /**
+         * Current ships as plain DoverShips ship objects.
+         */
+        function getShips() {
+            return ships.map(ship => {
+                const state = ship.kind === 'ferry' ? ferryState(ship.route, ship.index) : ship;
+                const geo = frame.toGeo(state.x, state.y);
+                return {
+                    mmsi: ship.mmsi,
+                    name: ship.name,
+                    type: ship.type,
+                    typeName: ship.typeName,
+                    typeCode: ship.typeCode,
+                    aisClass: ship.aisClass,
+                    navStatus: state.navStatus,
+                    destination: state.destination,
+                    draught: ship.draught,
+                    beam: ship.beam,
+                    lat: Number(geo.lat.toFixed(6)),
+                    lon: Number(geo.lon.toFixed(6)),
+                    speed: Math.round(state.speed * 10) / 10,
+                    heading: Math.round(state.heading) % 360,
+                    length: ship.length,
+                };
+            });
+        }
+
+        populate();
+
+        return {
+            step,
+            getShips,
+            getTime: () => time,
+            seed,
+        };
+    }
+
+    /**
+     * A fresh seed for when none is given.
+     */
+    function randomSeed() {
+        return Math.floor(Math.random() * 1e9);
+    }
+
+    return {
+        create,
+        randomSeed,
+        createRandom,
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = DoverSimulator;
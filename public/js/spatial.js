@@ -0,0 +1,65 @@
+/**
+ * Dover Radar Synth - Spatial Index
+ *
+ * A uniform grid of points for quick "what is near here" lookups, so
+ * hovering and tapping stay cheap with hundreds of ships on the scope.
+ * Rebuild it whenever the points move (clear, then insert each one).
+ * No DOM dependencies; also loads under Node.
+ */
+const DoverSpatial = (() => {
+    /**
+     * Create a grid with square cells of `cellSize` (same units as the
+     * points). Pick a cell a little larger than a typical query radius.
+     */
+    function createGrid(cellSize) {
+        const cells = new Map();    // "col,row" -> [{ item, x, y }]
+        let count = 0;
+
+        const cellOf = v => Math.floor(v / cellSize);
+
+        function clear() {
+            cells.clear();
+            count = 0;
+        }
+
+        function insert(item, x, y) {
+            const key = `${cellOf(x)},${cellOf(y)}`;
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = [];
+                cells.set(key, cell);
+            }
+            cell.push({ item, x, y });
+            count++;
+        }
+
+        /**
+         * Entries ({ item, x, y, distance }) within `r` of (x, y), nearest first.
+         */
+        function query(x, y, r) {
+            const found = [];
+            for (let col = cellOf(x - r); col <= cellOf(x + r); col++) {
+                for (let row = cellOf(y - r); row <= cellOf(y + r); row++) {
+                    const cell = cells.get(`${col},${row}`);
+                    if (!cell) continue;
+                    for (const entry of cell) {
+                        const distance = Math.hypot(entry.x - x, entry.y - y);
+                        if (distance <= r) found.push({ ...entry, distance });
+                    }
+                }
+            }
+            return found.sort((a, b) => a.distance - b.distance);
+        }
+
+        return {
+            clear,
+            insert,
+            query,
+            size: () => count,
+        };
+    }
+
+    return { createGrid };
+})();
+
+if (typeof module !== 'undefined') module.exports = DoverSpatial;
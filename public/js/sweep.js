@@ -0,0 +1,231 @@
+/**
+ * Dover Radar Synth - Sweep Modes
+ *
+ * The sweep that plays the ships, in several shapes:
+ * - rotate: N evenly spaced arms turning clockwise
+ * - counter: the same arms, each with a twin turning anticlockwise
+ * - tempo: arms stepping in sixteenths, one turn per Tone.Transport bar
+ * - ping: a sonar ring expanding from the centre, hitting by distance
+ * - scan: a vertical bar crossing the scope from west to east
+ *
+ * The other modes run at their own speed, or lock to the Transport
+ * (setBarsPerTurn) when a musical clock is running.
+ *
+ * Every mode is a set of fronts moving through a phase measured in
+ * cycles. For each ship and front, the phase at which the front reaches
+ * the ship counts passes; a ship sounds once per pass, whatever the
+ * frame rate, so fronts never double-trigger or skip a ship.
+ * No DOM dependencies; also loads under Node.
+ */
+const DoverSweep = (() => {
+    const TWO_PI = Math.PI * 2;
+    const STEPS_PER_BAR = 16;
+    const ARM_TOLERANCE = 0.03;     // radians on top of the blip size
+    const MAX_ARMS = 8;
+
+    const MODES = {
+        rotate:  { label: 'Rotating arms' },
+        counter: { label: 'Counter-rotating' },
+        tempo:   { label: 'Tempo steps (1 turn = 1 bar)' },
+        ping:    { label: 'Sonar ping' },
+        scan:    { label: 'Linear scan' },
+    };
+
+    /**
+     * Create a sweep. speed is in radians per second (one ping or scan
+     * takes as long as one turn); arms only applies to the rotary modes.
+     */
+    function create({ mode = 'rotate', arms = 1, speed = 0.8 } = {}) {
+        let phase = 0;                  // cycles since start, never wraps
+        let prevPhase = 0;
+        let barsPerTurn = 0;            // 0 = free-running at `speed`
+        let resync = false;             // phase jumped; don't count what it skipped
+        const passes = new Map();       // mmsi -> { n: [pass per front], seen: phase }
+
+        function forget() {
+            passes.clear();
+            resync = true;
+        }
+
+        function setMode(next) {
+            if (!(next in MODES) || next === mode) return;
+            mode = next;
+            forget();
+        }
+
+        function setArms(n) {
+            const next = Math.round(Math.min(MAX_ARMS, Math.max(1, n)));
+            if (next === arms) return;
+            arms = next;
+            forget();
+        }
+
+        function setSpeed(radiansPerSecond) {
+            speed = radiansPerSecond;
+        }
+
+        /**
+         * Lock the turn (or ping, or scan) to the Transport: one per
+         * `bars` bars. 0 unlocks. The tempo mode is always one bar.
+         */
+        function setBarsPerTurn(bars) {
+            const next = Math.max(0, bars || 0);
+            if (next === barsPerTurn) return;
+            barsPerTurn = next;
+            if (mode !== 'tempo') forget();
+        }
+
+        /**
+         * The phase dt seconds after the last advance (negative for
+         * before), with the Transport at `bars` then. Does not move the sweep.
+         */
+        function phaseAt(dt, bars = 0) {
+            if (mode === 'tempo') return Math.floor(bars * STEPS_PER_BAR) / STEPS_PER_BAR;
+            if (barsPerTurn) return bars / barsPerTurn;
+            return phase + speed / TWO_PI * dt;
+        }
+
+        /**
+         * Move the fronts on by dt seconds. `bars` is the Transport
+         * position, used by the tempo mode and when locked.
+         */
+        function advance(dt, bars = 0) {
+            prevPhase = phase;
+            phase = phaseAt(dt, bars);
+            // Transport stopped or rewound: start counting afresh
+            if (phase < prevPhase) forget();
+            if (resync) {
+                prevPhase = phase;
+                resync = false;
+            }
+
+            // Drop ships that have not been near a front for a few cycles
+            if (Math.floor(phase) !== Math.floor(prevPhase)) {
+                for (const [mmsi, entry] of passes) {
+                    if (phase - entry.seen > 2) passes.delete(mmsi);
+                }
+            }
+        }
+
+        function rotary() {
+            return mode === 'rotate' || mode === 'counter' || mode === 'tempo';
+        }
+
+        // Clockwise arm angles first, then the anticlockwise twins
+        function armAngle(index, at) {
+            const twin = index >= arms;
+            const offset = TWO_PI * (index % arms) / arms;
+            return twin ? -TWO_PI * at + offset : TWO_PI * at + offset;
+        }
+
+        function armCount() {
+            return mode === 'counter' ? arms * 2 : arms;
+        }
+
+        /**
+         * The fronts as drawn: { kind: 'arm', angle, direction } (canvas
+         * radians, clockwise positive), { kind: 'ring', radius } or
+         * { kind: 'bar', x }, in radar units. `at` defaults to the
+         * current phase.
+         */
+        function getFronts(at = phase) {
+            if (mode === 'ping') return [{ kind: 'ring', radius: at - Math.floor(at) }];
+            if (mode === 'scan') return [{ kind: 'bar', x: (at - Math.floor(at)) * 2 - 1 }];
+            return Array.from({ length: armCount() }, (_, i) => ({
+                kind: 'arm',
+                angle: armAngle(i, at),
+                direction: i >= arms ? -1 : 1,
+            }));
+        }
+
+        /**
+         * For radar position `pos`, the phase each front has reached
+         * relative to the ship at `at`: the front is on the ship at every
+         * whole number. Null where no front ever reaches it.
+         */
+        function relativePhases(pos, at) {
+            const dist = Math.hypot(pos.x, pos.y);
+            if (mode === 'ping') return dist < 1 ? [at - dist] : null;
+            if (mode === 'scan') return Math.abs(pos.x) < 1 ? [at - (pos.x + 1) / 2] : null;
+
+            const shipAngle = Math.atan2(pos.y, pos.x);
+            return Array.from({ length: armCount() }, (_, i) => {
+                const direction = i >= arms ? -1 : 1;
+                return direction * (armAngle(i, at) - shipAngle) / TWO_PI;
+            });
+        }
+
+        // Tolerance in cycles: how early a front may catch a ship
+        function toleranceFor(size) {
+            if (mode === 'tempo') return 0;
+            if (rotary()) return (size * 2 + ARM_TOLERANCE) / TWO_PI;
+            return mode === 'scan' ? size / 2 : size;
+        }
+
+        /**
+         * Does a front reach this ship now? True once per pass of each
+         * front. `size` is the blip radius in radar units.
+         */
+        function hits(mmsi, pos, size = 0) {
+            const now = relativePhases(pos, phase);
+            if (!now) return false;
+            const before = relativePhases(pos, prevPhase);
+            const tolerance = toleranceFor(size);
+
+            let entry = passes.get(mmsi);
+            let hit = false;
+            now.forEach((u, i) => {
+                const n = Math.floor(u + tolerance);
+                const onShip = u + tolerance - n <= tolerance * 2;
+                const crossed = n > Math.floor(before[i] + tolerance);
+                if (!onShip && !crossed) return;
+                if (!entry) {
+                    entry = { n: [], seen: phase };
+                    passes.set(mmsi, entry);
+                }
+                entry.seen = phase;
+                if (entry.n[i] === n) return;
+                entry.n[i] = n;
+                hit = true;
+            });
+            return hit;
+        }
+
+        /**
+         * Cycles since a front last passed `pos` (0 just behind a front),
+         * for phosphor-style fading.
+         */
+        function sinceFront(pos, at = phase) {
+            const phases = relativePhases(pos, at);
+            if (!phases) return 1;
+            return Math.min(...phases.map(u => u - Math.floor(u)));
+        }
+
+        return {
+            advance,
+            phaseAt,
+            hits,
+            sinceFront,
+            getFronts,
+            forget,
+            setMode,
+            setArms,
+            setSpeed,
+            setBarsPerTurn,
+            getMode: () => mode,
+            getArms: () => arms,
+            getSpeed: () => speed,
+            getBarsPerTurn: () => barsPerTurn,
+            getPhase: () => phase,
+        };
+    }
+
+    return {
+        create,
+        MODES,
+        MAX_ARMS,
+        STEPS_PER_BAR,
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = DoverSweep;
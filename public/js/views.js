@@ -0,0 +1,57 @@
+/**
+ * Dover Radar Synth - Views
+ *
+ * Alternative visualisations of the same traffic and the same notes.
+ * The radar scope is built in (radar.js); other views register here and
+ * radar.js swaps them in at runtime, leaving the audio untouched.
+ *
+ * A view factory, create(container), adds its own canvas to `container`
+ * and returns:
+ *   resize(size, dpr)   square drawing size in CSS pixels, pixel ratio
+ *   frame(time, ships, colorMode)
+ *                       draw one frame (rAF time, DoverShips.getShips(),
+ *                       the radar's colour mode); returns how many ships
+ *                       it shows
+ *   destroy()           remove the canvas and any subscriptions
+ * It may throw (e.g. no WebGL); the radar stays up instead.
+ * Views follow notes through DoverEngine.onHit / DoverAudio.onNote.
+ */
+const DoverViews = (() => {
+    const views = new Map();
+
+    /**
+     * Make a view available by name. `label` is shown in the picker.
+     */
+    function register(name, label, create) {
+        views.set(name, { name, label, create });
+    }
+
+    /**
+     * Parse 'hsl(h, s%, l%)' (the DoverShips/DoverShipTypes colours) to
+     * [r, g, b] in 0–1, for views that cannot use CSS colours.
+     */
+    function hslToRgb(color) {
+        const match = /hsla?\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%/.exec(color);
+        if (!match) return [1, 1, 1];
+        const h = Number(match[1]) / 360;
+        const s = Number(match[2]) / 100;
+        const l = Number(match[3]) / 100;
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const channel = t => {
+            t = (t + 1) % 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+    }
+
+    return {
+        register,
+        get: name => views.get(name) || null,
+        list: () => [...views.values()].map(({ name, label }) => ({ name, label })),
+        hslToRgb,
+    };
+})();
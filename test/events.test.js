@@ -0,0 +1,131 @@
+/**
+ * Dover Radar Synth — traffic event tests
+ *
+ * Closest-approach maths and the detector's turn window and churn reset.
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DoverEvents = require('../public/js/events.js');
+
+const center = { lat: 51, lon: 1.5 };
+const context = {
+    center,
+    bbox: { latMin: 50.5, latMax: 51.5, lonMin: 0.7, lonMax: 2.3 },
+    laneBearing: 45,
+    lanes: [],
+    elapsedS: 60,
+};
+
+// A ship `x`/`y` nm east/north of the center
+function ship(mmsi, x, y, speed = 10, heading = 0, extra = {}) {
+    return {
+        mmsi,
+        lat: center.lat + y / 60,
+        lon: center.lon + x / 60 / Math.cos(center.lat * Math.PI / 180),
+        speed,
+        heading,
+        type: 'cargo',
+        ...extra,
+    };
+}
+
+const types = events => events.map(e => e.type);
+
+test('closestApproach: head-on ships meet', () => {
+    const { cpaNm, tcpaMin, rangeNm } = DoverEvents.closestApproach(
+        { x: 0, y: 0, speed: 10, heading: 0 },
+        { x: 0, y: 2, speed: 10, heading: 180 },
+    );
+    assert.equal(rangeNm, 2);
+    assert.ok(cpaNm < 1e-9);
+    assert.ok(Math.abs(tcpaMin - 6) < 1e-9);    // 2 nm at 20 kn closing
+});
+
+test('closestApproach: offset tracks pass at the offset', () => {
+    const { cpaNm, tcpaMin } = DoverEvents.closestApproach(
+        { x: 0, y: 0, speed: 10, heading: 0 },
+        { x: 0.3, y: 2, speed: 10, heading: 180 },
+    );
+    assert.ok(Math.abs(cpaNm - 0.3) < 1e-9);
+    assert.ok(Math.abs(tcpaMin - 6) < 1e-9);
+});
+
+test('closestApproach: matching velocities never close, diverging ships are past it', () => {
+    const parallel = DoverEvents.closestApproach(
+        { x: 0, y: 0, speed: 12, heading: 90 },
+        { x: 0, y: 1, speed: 12, heading: 90 },
+    );
+    assert.equal(parallel.tcpaMin, Infinity);
+    assert.equal(parallel.cpaNm, 1);
+
+    const diverging = DoverEvents.closestApproach(
+        { x: 0, y: 0, speed: 10, heading: 180 },
+        { x: 0, y: 2, speed: 10, heading: 0 },
+    );
+    assert.ok(diverging.tcpaMin < 0);
+});
+
+test('the first snapshot only sets the baseline, then arrivals and departures follow', () => {
+    const detector = DoverEvents.createDetector();
+    const fleet = [1, 2, 3, 4, 5, 6].map(n => ship(n, n * 3, -20, 0));
+    assert.deepEqual(detector.detect(fleet, context), []);
+
+    const next = [...fleet.slice(1), ship(7, 0, 20, 0)];
+    const events = detector.detect(next, context);
+    assert.deepEqual(types(events).sort(), ['arrival', 'departure']);
+    assert.equal(events.find(e => e.type === 'arrival').mmsi, 7);
+    assert.equal(events.find(e => e.type === 'departure').mmsi, 1);
+});
+
+test('a course change within the turn window is a turn', () => {
+    const detector = DoverEvents.createDetector();
+    detector.detect([ship(1, 0, 0, 12, 0)], context);
+    assert.deepEqual(detector.detect([ship(1, 0, 0, 12, 20)], { ...context, elapsedS: 60 }), []);
+    const events = detector.detect([ship(1, 0, 0, 12, 35)], { ...context, elapsedS: 30 });
+    assert.deepEqual(types(events), ['turn']);
+    assert.equal(events[0].change, 35);
+});
+
+test('a slow drift outside the turn window is not a turn', () => {
+    const detector = DoverEvents.createDetector();
+    detector.detect([ship(1, 0, 0, 12, 0)], context);
+    assert.deepEqual(detector.detect([ship(1, 0, 0, 12, 20)], { ...context, elapsedS: 100 }), []);
+    assert.deepEqual(detector.detect([ship(1, 0, 0, 12, 25)], { ...context, elapsedS: 100 }), []);
+    // 50° from the start, but only 25° since the window moved on
+    assert.deepEqual(detector.detect([ship(1, 0, 0, 12, 50)], { ...context, elapsedS: 10 }), []);
+});
+
+test('slow ships do not turn', () => {
+    const detector = DoverEvents.createDetector();
+    detector.detect([ship(1, 0, 0, 3, 0)], context);
+    assert.deepEqual(detector.detect([ship(1, 0, 0, 3, 90)], context), []);
+});
+
+test('swapping most ships at once resets instead of reporting them', () => {
+    const detector = DoverEvents.createDetector();
+    const before = Array.from({ length: 10 }, (_, i) => ship(i + 1, i * 2 - 10, -15, 0));
+    detector.detect(before, context);
+
+    const after = Array.from({ length: 10 }, (_, i) => ship(i + 101, i * 2 - 10, 15, 0));
+    assert.deepEqual(detector.detect(after, context), []);
+
+    // The new fleet is the baseline: one more ship is a plain arrival
+    const events = detector.detect([...after, ship(200, 0, 0, 0)], context);
+    assert.deepEqual(types(events), ['arrival']);
+});
+
+test('ships closing inside the CPA limit are reported once', () => {
+    const detector = DoverEvents.createDetector();
+    detector.detect([ship(1, 0, 0, 10, 0), ship(2, 0.1, 2, 10, 180)], context);
+
+    const events = detector.detect([ship(1, 0, 0.1, 10, 0), ship(2, 0.1, 1.9, 10, 180)], context);
+    assert.deepEqual(types(events), ['closeQuarters']);
+    assert.equal(events[0].other, 2);
+    assert.ok(events[0].cpaNm < 0.5);
+
+    assert.deepEqual(detector.detect([ship(1, 0, 0.2, 10, 0), ship(2, 0.1, 1.8, 10, 180)], context), []);
+});
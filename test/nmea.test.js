@@ -0,0 +1,135 @@
+/**
+ * Dover Radar Synth — AIVDM decoder tests
+ *
+ * Decodes the recorded sentences in fixtures/aivdm.nmea and checks them
+ * against their published decodes. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DoverNmea = require('../public/js/nmea.js');
+
+const lines = fs.readFileSync(path.join(__dirname, 'fixtures', 'aivdm.nmea'), 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim());
+const messages = DoverNmea.decodeLines(lines.join('\n'), DoverNmea.createAssembler());
+
+function find(msgType, mmsi) {
+    const message = messages.find(m => m.msgType === msgType && m.mmsi === mmsi);
+    assert.ok(message, `type ${msgType} from ${mmsi} decoded`);
+    return message.fields;
+}
+
+test('every fixture sentence passes its checksum', () => {
+    for (const line of lines) assert.ok(DoverNmea.parseSentence(line), line);
+});
+
+test('type 1 Class A position', () => {
+    assert.deepEqual(find(1, 227006760), {
+        navStatus: 0,
+        lon: 0.13138,
+        lat: 49.475577,
+        speed: 0,
+        heading: 37,
+        aisClass: 'A',
+    });
+    assert.equal(find(1, 366053209).navStatus, 3);
+});
+
+test('type 2 Class A position', () => {
+    assert.deepEqual(find(2, 356302000), {
+        navStatus: 0,
+        lon: -71.626143,
+        lat: 40.392358,
+        speed: 13.9,
+        heading: 91,
+        aisClass: 'A',
+    });
+});
+
+test('type 3 Class A position', () => {
+    assert.deepEqual(find(3, 563808000), {
+        navStatus: 5,
+        lon: -76.327533,
+        lat: 36.91,
+        speed: 0,
+        heading: 352,
+        aisClass: 'A',
+    });
+});
+
+test('type 5 static and voyage data from two fragments', () => {
+    assert.deepEqual(find(5, 351759000), {
+        callsign: '3FOF8',
+        typeCode: 70,
+        length: 295,
+        beam: 32,
+        draught: 12.2,
+        destination: 'NEW YORK',
+        name: 'EVER DIADEM',
+        aisClass: 'A',
+    });
+});
+
+test('type 18 Class B position', () => {
+    assert.deepEqual(find(18, 367430530), {
+        lon: -122.26732,
+        lat: 37.785035,
+        speed: 0,
+        heading: 0,
+        aisClass: 'B',
+    });
+});
+
+test('type 19 extended Class B position', () => {
+    assert.deepEqual(find(19, 367059850), {
+        lon: -88.810392,
+        lat: 29.543695,
+        speed: 8.7,
+        heading: 336,
+        typeCode: 70,
+        length: 26,
+        beam: 8,
+        name: 'CAPT.J.RIMES',
+        aisClass: 'B',
+    });
+});
+
+test('type 24 Class B static data, parts A and B', () => {
+    const parts = messages.filter(m => m.msgType === 24 && m.mmsi === 271041815);
+    assert.deepEqual(parts.map(m => m.fields), [
+        { name: 'PROGUY', aisClass: 'B' },
+        { typeCode: 60, callsign: 'TC6163', length: 15, beam: 5, aisClass: 'B' },
+    ]);
+});
+
+test('a sentence with a bad checksum is dropped', () => {
+    const line = lines[0].replace(/\*[0-9A-F]{2}$/, '*00');
+    assert.equal(DoverNmea.parseSentence(line), null);
+    assert.deepEqual(DoverNmea.decodeLines(line, DoverNmea.createAssembler()), []);
+});
+
+// The two halves of the type 5 message
+const [first, second] = lines
+    .filter(line => line.startsWith('!AIVDM,2,'))
+    .map(DoverNmea.parseSentence);
+
+test('fragments reassemble in either order', () => {
+    const assembler = DoverNmea.createAssembler();
+    assert.equal(assembler.add(second, 0), null);
+    const complete = assembler.add(first, 100);
+    assert.ok(complete);
+    assert.equal(DoverNmea.decodePayload(complete.payload, complete.fillBits).fields.name, 'EVER DIADEM');
+});
+
+test('a fragment left waiting too long is discarded', () => {
+    const assembler = DoverNmea.createAssembler({ timeoutMs: 1000 });
+    assert.equal(assembler.add(first, 0), null);
+    assert.equal(assembler.add(second, 5000), null);
+    // The late second half now starts a message of its own
+    assert.ok(assembler.add(first, 5500));
+});
@@ -0,0 +1,63 @@
+/**
+ * Dover Radar Synth — traffic simulator tests
+ *
+ * A seed must replay the same traffic (?seed=). Runs the simulator on the
+ * Dover preset's layout. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DoverSimulator = require('../public/js/simulator.js');
+
+// The region as DoverRegion hands it over: center, bbox and traffic layout
+function loadRegion(id) {
+    const file = path.join(__dirname, '..', 'public', 'data', 'regions', `${id}.geojson`);
+    const geo = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const [lonMin, latMin, lonMax, latMax] = geo.bbox;
+    const toPoints = coords => coords.map(([lon, lat]) => ({ lat, lon }));
+    const traffic = { lanes: [], ferryRoutes: [], anchorages: [], fishingGrounds: [] };
+    for (const { geometry, properties: { kind, ...props } } of geo.features) {
+        if (kind === 'lane') traffic.lanes.push({ ...props, points: toPoints(geometry.coordinates) });
+        if (kind === 'ferry') traffic.ferryRoutes.push({ ...props, points: toPoints(geometry.coordinates) });
+        const [lon, lat] = geometry.coordinates;
+        if (kind === 'anchorage') traffic.anchorages.push({ ...props, lat, lon });
+        if (kind === 'fishing') traffic.fishingGrounds.push({ ...props, lat, lon });
+    }
+    return {
+        center: { lat: geo.center[1], lon: geo.center[0] },
+        bbox: { latMin, latMax, lonMin, lonMax },
+        laneBearing: geo.laneBearing,
+        traffic,
+    };
+}
+
+const dover = loadRegion('dover');
+const STEPS = 200;
+const STEP_S = 24;                  // a 3 s poll at the simulation's 8x
+
+function run(region, seed) {
+    const simulator = DoverSimulator.create(region, { seed });
+    let ships;
+    for (let i = 0; i < STEPS; i++) ships = simulator.step(STEP_S);
+    return ships;
+}
+
+test('the same seed gives the same ships after many steps', () => {
+    const a = run(dover, 1234);
+    const b = run(dover, 1234);
+    assert.ok(a.length > 0);
+    assert.deepEqual(a, b);
+});
+
+test('a different seed gives different traffic', () => {
+    assert.notDeepEqual(run(dover, 1234), run(dover, 5678));
+});
+
+test('regions without a layout are reproducible too', () => {
+    const bare = { center: dover.center, bbox: dover.bbox, laneBearing: 45, traffic: null };
+    assert.deepEqual(run(bare, 42), run(bare, 42));
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Dover Radar Synth — Mock AISstream WebSocket Server
+ *
+ * Speaks just enough of the AISstream.io protocol to test the browser
+ * source without an API key: waits for the subscription message, then
+ * streams PositionReport / ShipStaticData / Class B messages for a
+ * handful of ships moving inside the subscribed bounding box.
+ *
+ * Usage:
+ *   node tools/mock-aisstream.js [port]      (default 8765)
+ *
+ * Then open the radar with public/index.html?source=aisstream, set the
+ * URL to ws://localhost:8765, enter any API key (e.g. "test") and press
+ * Connect.
+ *
+ * No dependencies (see websocket.js).
+ */
+
+'use strict';
+
+const { listen } = require('./websocket');
+
+const PORT = Number(process.argv[2]) || 8765;
+const SHIP_COUNT = 12;
+const POSITION_INTERVAL_MS = 1000;
+const STATIC_EVERY = 30;            // ticks between static data messages
+const KNOT_TO_DEGREE_LAT = 1 / 3600 / 1.15078;
+
+const FLEET = [
+    { name: 'MOCK CONTAINER', type: 71, dest: 'ROTTERDAM', length: 366 },
+    { name: 'MOCK TANKER', type: 80, dest: 'ANTWERP', length: 250 },
+    { name: 'MOCK FERRY', type: 60, dest: 'CALAIS', length: 190 },
+    { name: 'MOCK TRAWLER', type: 30, dest: '', length: 24 },
+    { name: 'MOCK TUG', type: 52, dest: 'DOVER', length: 32 },
+    { name: 'MOCK BULKER', type: 70, dest: 'HAMBURG', length: 229 },
+];
+
+// --- Simulated fleet ---
+
+function createFleet(box) {
+    const ships = [];
+    for (let i = 0; i < SHIP_COUNT; i++) {
+        const spec = FLEET[i % FLEET.length];
+        ships.push({
+            mmsi: 235000000 + i,
+            spec,
+            classB: spec.type === 30 || spec.type === 52,
+            lat: box.latMin + Math.random() * (box.latMax - box.latMin),
+            lon: box.lonMin + Math.random() * (box.lonMax - box.lonMin),
+            sog: 4 + Math.random() * 16,
+            cog: Math.random() * 360,
+        });
+    }
+    return ships;
+}
+
+function moveShip(ship, box, seconds) {
+    const distance = ship.sog * KNOT_TO_DEGREE_LAT * seconds;
+    const rad = ship.cog * Math.PI / 180;
+    ship.lat += Math.cos(rad) * distance;
+    ship.lon += Math.sin(rad) * distance / Math.cos(ship.lat * Math.PI / 180);
+    ship.cog = (ship.cog + (Math.random() - 0.5) * 2 + 360) % 360;
+
+    // Turn back into the box
+    if (ship.lat < box.latMin || ship.lat > box.latMax || ship.lon < box.lonMin || ship.lon > box.lonMax) {
+        ship.cog = (ship.cog + 180) % 360;
+    }
+}
+
+function metaData(ship) {
+    return {
+        MMSI: ship.mmsi,
+        ShipName: ship.spec.name,
+        latitude: ship.lat,
+        longitude: ship.lon,
+        time_utc: new Date().toISOString(),
+    };
+}
+
+function positionMessage(ship) {
+    const report = {
+        UserID: ship.mmsi,
+        Latitude: ship.lat,
+        Longitude: ship.lon,
+        Sog: Number(ship.sog.toFixed(1)),
+        Cog: Number(ship.cog.toFixed(1)),
+        TrueHeading: Math.round(ship.cog) % 360,
+    };
+    const type = ship.classB ? 'StandardClassBPositionReport' : 'PositionReport';
+    if (!ship.classB) report.NavigationalStatus = 0;
+    return { MessageType: type, MetaData: metaData(ship), Message: { [type]: report } };
+}
+
+function staticMessage(ship) {
+    const bow = Math.round(ship.spec.length * 0.8);
+    const dimension = { A: bow, B: ship.spec.length - bow, C: 10, D: 10 };
+
+    if (ship.classB) {
+        const report = { ...positionMessage(ship).Message.StandardClassBPositionReport,
+            Name: ship.spec.name, Type: ship.spec.type, Dimension: dimension };
+        return { MessageType: 'ExtendedClassBPositionReport', MetaData: metaData(ship),
+            Message: { ExtendedClassBPositionReport: report } };
+    }
+    return {
+        MessageType: 'ShipStaticData',
+        MetaData: metaData(ship),
+        Message: {
+            ShipStaticData: {
+                UserID: ship.mmsi,
+                Name: ship.spec.name,
+                Type: ship.spec.type,
+                Destination: ship.spec.dest,
+                Dimension: dimension,
+                MaximumStaticDraught: 8.5,
+            },
+        },
+    };
+}
+
+// --- Connections ---
+
+function handleConnection(client) {
+    let fleet = null;
+    let box = null;
+    let filter = null;
+    let tick = 0;
+    let timer = null;
+
+    const send = msg => client.send(JSON.stringify(msg));
+
+    function stream() {
+        tick++;
+        for (const ship of fleet) {
+            moveShip(ship, box, POSITION_INTERVAL_MS / 1000);
+            const msg = tick % STATIC_EVERY === 1 ? staticMessage(ship) : positionMessage(ship);
+            if (filter.has(msg.MessageType)) send(msg);
+        }
+    }
+
+    function onSubscription(text) {
+        let sub;
+        try {
+            sub = JSON.parse(text);
+        } catch (e) {
+            send({ error: 'Malformed subscription' });
+            return;
+        }
+        if (!sub.APIKey) {
+            send({ error: 'Api Key Is Not Valid' });
+            client.close();
+            return;
+        }
+
+        const [[latA, lonA], [latB, lonB]] = (sub.BoundingBoxes || [[[50.8, 1.0], [51.3, 1.8]]])[0];
+        box = {
+            latMin: Math.min(latA, latB), latMax: Math.max(latA, latB),
+            lonMin: Math.min(lonA, lonB), lonMax: Math.max(lonA, lonB),
+        };
+        filter = new Set(sub.FilterMessageTypes && sub.FilterMessageTypes.length
+            ? sub.FilterMessageTypes
+            : ['PositionReport', 'ShipStaticData', 'StandardClassBPositionReport', 'ExtendedClassBPositionReport']);
+        fleet = createFleet(box);
+        tick = 0;
+        console.log(`Subscribed: [${box.latMin},${box.lonMin}] to [${box.latMax},${box.lonMax}]`);
+
+        clearInterval(timer);
+        stream();
+        timer = setInterval(stream, POSITION_INTERVAL_MS);
+    }
+
+    // Every text message is a (re)subscription
+    client.onMessage(onSubscription);
+    client.onClose(() => clearInterval(timer));
+}
+
+listen(PORT, client => {
+    console.log(`Client connected from ${client.remoteAddress}`);
+    handleConnection(client);
+}, () => {
+    console.log(`Mock AISstream listening on ws://localhost:${PORT}`);
+});
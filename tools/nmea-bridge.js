@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Dover Radar Synth — NMEA → WebSocket Bridge
+ *
+ * Relays raw !AIVDM sentences from a local AIS receiver to the browser,
+ * which decodes them (public/js/nmea.js). Browsers cannot listen on UDP
+ * or open raw TCP sockets, so this forwards line by line.
+ *
+ * Usage:
+ *   node tools/nmea-bridge.js [--udp 10110] [--tcp host:port] [--file log.nmea]
+ *                             [--rate 20] [--ws 8766] [--host 127.0.0.1]
+ *                             [--origin url,...]
+ *
+ *   --udp     listen for NMEA datagrams (AIS-catcher: -u 127.0.0.1 10110)
+ *   --tcp     connect to a receiver's NMEA TCP server (e.g. dAISy over ser2net)
+ *   --file    replay a recorded sentence file, looping, at --rate lines/s
+ *   --ws      WebSocket port for the radar (default 8766)
+ *   --host    interface to serve the radar on (default 127.0.0.1 only)
+ *   --origin  page origins allowed to connect besides http(s)://localhost
+ *             (comma-separated; 'null' for a radar opened from file://)
+ *
+ * With no input option it listens on UDP 10110. Then open the radar with:
+ *   public/index.html?source=nmea&ws=ws://localhost:8766
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const net = require('net');
+const fs = require('fs');
+const { listen, listenOptions } = require('./websocket');
+const DoverNmea = require('../public/js/nmea.js');
+
+const TCP_RETRY_MS = 5000;
+const STATS_INTERVAL_MS = 30000;
+
+function parseArgs(argv) {
+    const opts = { ws: 8766, rate: 20 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        opts[key] = argv[i + 1];
+    }
+    if (!opts.udp && !opts.tcp && !opts.file) opts.udp = 10110;
+    return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const wsOptions = listenOptions(opts);
+const clients = new Set();
+const assembler = DoverNmea.createAssembler();
+const stats = { sentences: 0, messages: 0, ships: new Set() };
+
+function log(msg) {
+    console.log(`[${new Date().toISOString().slice(11, 19)}] ${msg}`);
+}
+
+/**
+ * Forward complete lines to every client and keep decode stats.
+ */
+function relay(lines) {
+    const sentences = lines.filter(line => line.includes('VDM') || line.includes('VDO'));
+    if (!sentences.length) return;
+
+    const text = sentences.join('\n');
+    for (const client of clients) client.send(text);
+
+    stats.sentences += sentences.length;
+    for (const { mmsi } of DoverNmea.decodeLines(text, assembler)) {
+        stats.messages++;
+        stats.ships.add(mmsi);
+    }
+}
+
+/**
+ * Split a byte stream into lines, holding back a trailing partial line.
+ */
+function lineSplitter() {
+    let partial = '';
+    return chunk => {
+        const lines = (partial + chunk.toString()).split(/\r?\n/);
+        partial = lines.pop();
+        relay(lines);
+    };
+}
+
+// --- Inputs ---
+
+if (opts.udp) {
+    const udp = dgram.createSocket('udp4');
+    udp.on('message', msg => relay(msg.toString().split(/\r?\n/)));
+    udp.on('error', e => log(`UDP error: ${e.message}`));
+    udp.bind(Number(opts.udp), () => log(`Listening for NMEA on UDP ${opts.udp}`));
+}
+
+if (opts.tcp) {
+    const [host, port] = opts.tcp.split(':');
+    const connectTcp = () => {
+        const socket = net.connect(Number(port), host, () => log(`Connected to receiver at ${opts.tcp}`));
+        socket.on('data', lineSplitter());
+        socket.on('error', e => log(`TCP error: ${e.message}`));
+        socket.on('close', () => {
+            log(`Receiver connection closed, retrying in ${TCP_RETRY_MS / 1000}s`);
+            setTimeout(connectTcp, TCP_RETRY_MS);
+        });
+    };
+    connectTcp();
+}
+
+if (opts.file) {
+    const lines = fs.readFileSync(opts.file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    let index = 0;
+    setInterval(() => {
+        relay([lines[index]]);
+        index = (index + 1) % lines.length;
+    }, 1000 / Number(opts.rate));
+    log(`Replaying ${lines.length} lines from ${opts.file} at ${opts.rate}/s`);
+}
+
+// --- WebSocket output ---
+
+listen(Number(opts.ws), client => {
+    clients.add(client);
+    log(`Radar connected from ${client.remoteAddress} (${clients.size} connected)`);
+    client.onClose(() => clients.delete(client));
+}, () => {
+    log(`Serving sentences on ws://${wsOptions.host}:${opts.ws}`);
+}, wsOptions);
+
+setInterval(() => {
+    log(`Sentences: ${stats.sentences} | Messages: ${stats.messages} | Ships heard: ${stats.ships.size}`);
+}, STATS_INTERVAL_MS);
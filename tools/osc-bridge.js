@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Dover Radar Synth — OSC WebSocket → UDP Bridge
+ *
+ * Forwards the OSC packets the radar sends (public/js/osc.js) to a UDP
+ * port, where Max, Pd, SuperCollider or TouchDesigner can pick them up.
+ * Browsers cannot send UDP, so each binary WebSocket message is passed
+ * on as one datagram, unchanged.
+ *
+ * Usage:
+ *   node tools/osc-bridge.js [--ws 8767] [--udp 127.0.0.1:9000]
+ *                            [--host 127.0.0.1] [--origin url,...]
+ *
+ *   --ws      WebSocket port for the radar (default 8767)
+ *   --udp     host:port to send OSC to (default 127.0.0.1:9000)
+ *   --host    interface to accept the radar on (default 127.0.0.1 only)
+ *   --origin  page origins allowed to connect besides http(s)://localhost
+ *             (comma-separated; 'null' for a radar opened from file://)
+ *
+ * Then connect from the radar's EXTERNAL OUTPUT panel (ws://localhost:8767).
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const { listen, listenOptions } = require('./websocket');
+
+const STATS_INTERVAL_MS = 30000;
+
+function parseArgs(argv) {
+    const opts = { ws: 8767, udp: '127.0.0.1:9000' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        opts[key] = argv[i + 1];
+    }
+    return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const wsOptions = listenOptions(opts);
+const [host, port] = opts.udp.includes(':') ? opts.udp.split(':') : ['127.0.0.1', opts.udp];
+const udp = dgram.createSocket('udp4');
+const stats = { packets: 0, errors: 0 };
+let connected = 0;
+
+function log(msg) {
+    console.log(`[${new Date().toISOString().slice(11, 19)}] ${msg}`);
+}
+
+udp.on('error', e => log(`UDP error: ${e.message}`));
+
+listen(Number(opts.ws), client => {
+    connected++;
+    log(`Radar connected from ${client.remoteAddress} (${connected} connected)`);
+    client.onBinary(packet => {
+        udp.send(packet, Number(port), host, err => {
+            if (err) stats.errors++;
+            else stats.packets++;
+        });
+    });
+    client.onClose(() => connected--);
+}, () => {
+    log(`Accepting OSC on ws://${wsOptions.host}:${opts.ws}, sending to udp://${host}:${port}`);
+}, wsOptions);
+
+setInterval(() => {
+    log(`Packets: ${stats.packets} | Send errors: ${stats.errors} | Radars: ${connected}`);
+}, STATS_INTERVAL_MS);
@@ -0,0 +1,188 @@
+/**
+ * Dover Radar Synth — Minimal WebSocket Server
+ *
+ * Just enough of RFC 6455 for the local dev tools: the upgrade
+ * handshake, unfragmented text and binary frames, ping/pong and close.
+ * Listens on loopback only unless told otherwise, and turns away
+ * browser pages from other origins, so a LAN host or an unrelated tab
+ * cannot drive the tools. No dependencies.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function encodeFrame(text, opcode = 0x01) {
+    const payload = Buffer.from(text);
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+        header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off `buffer`. Returns { frames, rest }.
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0F;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let len = buffer[offset + 1] & 0x7F;
+        let pos = offset + 2;
+
+        if (len === 126) {
+            if (buffer.length < pos + 2) break;
+            len = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (len === 127) {
+            if (buffer.length < pos + 8) break;
+            len = Number(buffer.readBigUInt64BE(pos));
+            pos += 8;
+        }
+
+        const maskEnd = pos + (masked ? 4 : 0);
+        if (buffer.length < maskEnd + len) break;
+
+        const payload = Buffer.from(buffer.subarray(maskEnd, maskEnd + len));
+        if (masked) {
+            const mask = buffer.subarray(pos, maskEnd);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode, payload });
+        offset = maskEnd + len;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Wrap an upgraded socket as { send(text), onMessage(fn), onBinary(fn),
+ * onClose(fn), close() }. onBinary handlers get a Buffer.
+ */
+function wrapSocket(socket) {
+    let buffer = Buffer.alloc(0);
+    const messageHandlers = [];
+    const binaryHandlers = [];
+    const closeHandlers = [];
+
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = rest;
+        for (const { opcode, payload } of frames) {
+            if (opcode === 0x08) {
+                socket.end(Buffer.from([0x88, 0]));
+            } else if (opcode === 0x09) {
+                socket.write(encodeFrame(payload, 0x0A));
+            } else if (opcode === 0x01) {
+                for (const fn of messageHandlers) fn(payload.toString());
+            } else if (opcode === 0x02) {
+                for (const fn of binaryHandlers) fn(payload);
+            }
+        }
+    });
+
+    let closed = false;
+    const onGone = () => {
+        if (closed) return;
+        closed = true;
+        for (const fn of closeHandlers) fn();
+    };
+    socket.on('close', onGone);
+    socket.on('error', onGone);
+
+    return {
+        remoteAddress: socket.remoteAddress,
+        send(text) {
+            if (!socket.destroyed) socket.write(encodeFrame(text));
+        },
+        close() {
+            socket.end(Buffer.from([0x88, 0]));
+        },
+        onMessage: fn => messageHandlers.push(fn),
+        onBinary: fn => binaryHandlers.push(fn),
+        onClose: fn => closeHandlers.push(fn),
+        isOpen: () => !closed && !socket.destroyed,
+    };
+}
+
+/**
+ * Whether an upgrade with this Origin header may connect: none at all
+ * (not a browser), the radar served from this machine, or one of the
+ * `origins` given on the command line (e.g. 'null' for file://).
+ */
+function isAllowedOrigin(origin, origins = []) {
+    if (origin === undefined) return true;
+    if (origins.includes(origin)) return true;
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:')
+            && LOOPBACK_HOSTS.includes(url.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Split the shared --host/--origin command-line values into listen()
+ * options.
+ */
+function listenOptions(opts) {
+    return {
+        host: opts.host || DEFAULT_HOST,
+        origins: opts.origin ? opts.origin.split(',').map(o => o.trim()) : [],
+    };
+}
+
+/**
+ * Start a WebSocket-only HTTP server; onConnection(client) per client.
+ * `host` is the interface to bind (default loopback); `origins` are
+ * extra browser origins to accept besides the local ones.
+ */
+function listen(port, onConnection, onReady, { host = DEFAULT_HOST, origins = [] } = {}) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket only\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.destroy();
+            return;
+        }
+        if (!isAllowedOrigin(req.headers.origin, origins)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+            + 'Upgrade: websocket\r\n'
+            + 'Connection: Upgrade\r\n'
+            + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        onConnection(wrapSocket(socket));
+    });
+
+    server.listen(port, host, onReady);
+    return server;
+}
+
+module.exports = { listen, listenOptions, isAllowedOrigin, encodeFrame, decodeFrames };